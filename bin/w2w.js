@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+// Command-line runner: the same parsers, policy engine and generators as the web app, for
+// scripted daily runs and for checking policy changes against saved W2W pastes.
+//
+// Exit codes: 0 success, 1 bad arguments or unreadable input, 2 parse anomalies (skipped
+// matches or unparsed text that looks like a request). Output is still written on 2.
+import { parseArgs } from 'node:util';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { basename } from 'node:path';
+import {
+  W2WParser, AttendancePolicyEngine, DEFAULT_POLICY_PROFILE, PolicyProfiles, DEFAULT_SHEET_LAYOUT, SheetLayouts,
+  parseTimePunches, computeSheetPoints, emailValues, DEFAULT_EMAIL_TEMPLATES, normalizeTemplates, templateForPoints,
+  renderEmail, DEFAULT_EMAIL_DOMAIN, recipientFor, mailMergeCSV, buildBatchScripts, EMPTY_EXTENSIONS, Extensions,
+  Roster, parseRosterFile, parseCSV
+} from '../src/index.js';
+
+const USAGE = `Usage: w2w <command> [options]
+
+Commands:
+  process       Classify W2W pickups/calloffs and time punches into infraction entries
+  apps-script   Print the Google Apps Script that writes those entries into the workbook
+  emails        Build attendance emails from the NS-C Log, Infraction List and WO Expiration
+
+W2W input (process, apps-script); each option can be repeated:
+  --pickups <file>        Pickup page paste (.txt) or export (.csv/.tsv)
+  --calloffs <file>       Calloff page paste (.txt) or export (.csv/.tsv)
+  --punches <file>        Time-clock export (.csv/.tsv)
+
+Sheet input (emails), exported from the workbook as TSV or CSV:
+  --nsc-log <file>  --infraction-list <file>  --wo-expiration <file>
+
+Settings (JSON files exported from the app):
+  --profile <file>  --layout <file>  --templates <file>  --extensions <file>
+  --roster <file>         Exported roster JSON, or a CSV/TSV with a name column
+
+Output:
+  --format <fmt>          process: json (default) or tsv; emails: text (default), json or csv
+  --undo                  apps-script: print the undo script instead
+  --manager <name>        emails: signature name (default MANAGER)
+  --domain <domain>       emails: address domain for NetIDs (default ${DEFAULT_EMAIL_DOMAIN})
+  --out <file>            Write to a file instead of stdout
+  --allow-anomalies       Exit 0 even when parse anomalies are found
+  -h, --help`;
+
+const OPTIONS = {
+  pickups: { type: 'string', multiple: true, default: [] },
+  calloffs: { type: 'string', multiple: true, default: [] },
+  punches: { type: 'string', multiple: true, default: [] },
+  'nsc-log': { type: 'string' },
+  'infraction-list': { type: 'string' },
+  'wo-expiration': { type: 'string' },
+  profile: { type: 'string' },
+  layout: { type: 'string' },
+  templates: { type: 'string' },
+  roster: { type: 'string' },
+  extensions: { type: 'string' },
+  format: { type: 'string' },
+  undo: { type: 'boolean', default: false },
+  manager: { type: 'string', default: 'MANAGER' },
+  domain: { type: 'string', default: DEFAULT_EMAIL_DOMAIN },
+  out: { type: 'string' },
+  'allow-anomalies': { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+class UsageError extends Error {}
+
+const readText = (file) => {
+  try {
+    return readFileSync(file, 'utf8');
+  } catch (e) {
+    throw new UsageError(`Could not read ${file}: ${e.message}`);
+  }
+};
+
+const readJSONWith = (file, parse, fallback) => {
+  if (!file) return fallback;
+  try {
+    return parse(readText(file));
+  } catch (e) {
+    throw new UsageError(`${file}: ${e.message}`);
+  }
+};
+
+// CSV exports become rows; anything else is treated as a tab-separated paste
+const readSheet = (file) => {
+  if (!file) return '';
+  const text = readText(file);
+  return /\.csv$/i.test(file) ? parseCSV(text.replace(/^﻿/, '')) : text;
+};
+
+const isoDay = (date) => (date instanceof Date && !isNaN(date)
+  ? `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+  : '');
+
+// Every W2W file and punch export parsed, with anomalies as { file, text, reason }
+function parseInputs(values) {
+  const entries = [];
+  const anomalies = [];
+  const note = (file, list) => list.forEach(a => anomalies.push({ file, text: String(a.text || '').trim().slice(0, 120), reason: a.reason }));
+
+  [...values.pickups.map(f => [f, true]), ...values.calloffs.map(f => [f, false])].forEach(([file, isPickup]) => {
+    let result;
+    try {
+      result = W2WParser.parseFile(basename(file), readText(file), isPickup);
+    } catch (e) {
+      if (e instanceof UsageError) throw e;
+      throw new UsageError(`${file}: ${e instanceof ReferenceError ? 'saved HTML pages can only be read in the web app; export CSV or paste the text instead' : e.message}`);
+    }
+    if (result.entries) {
+      entries.push(...result.entries);
+      note(file, result.skipped);
+      return;
+    }
+    const { entries: found, skipped, unparsed } = W2WParser.diagnose(result.text, isPickup);
+    entries.push(...found);
+    note(file, skipped);
+    note(file, unparsed);
+  });
+
+  values.punches.forEach(file => {
+    try {
+      const result = parseTimePunches(basename(file), readText(file));
+      entries.push(...result.entries);
+      note(file, result.skipped);
+    } catch (e) {
+      throw new UsageError(`${file}: ${e.message}`);
+    }
+  });
+
+  if (!entries.length && !anomalies.length) throw new UsageError('No W2W input given; use --pickups, --calloffs or --punches');
+  return { entries, anomalies };
+}
+
+// The fields a regression corpus should compare; request stamps the parser had to make up
+// are left out because they change with every run
+const entryRecord = (e) => ({
+  name: e.name,
+  shiftDate: isoDay(e.shiftDate),
+  shiftTime: e.shiftTime,
+  infraction: e.infraction,
+  points: e.points,
+  reason: e.reason,
+  comment: e.comment,
+  requestedDate: e.isPickup || e.warnings.some(w => w.code === 'defaultRequestedDate') ? null : e.requestedDate.toISOString(),
+  warnings: e.warnings.map(w => w.code)
+});
+
+const TSV_COLUMNS = ['name', 'shiftDate', 'shiftTime', 'infraction', 'points', 'reason', 'comment', 'requestedDate', 'warnings'];
+const tsvCell = (value) => String(Array.isArray(value) ? value.join(' ') : value ?? '').replace(/[\t\r\n]+/g, ' ');
+
+function runProcess(values, profile) {
+  const { entries, anomalies } = parseInputs(values);
+  const records = AttendancePolicyEngine.processEntries(entries, { profile }).map(entryRecord);
+  const format = values.format || 'json';
+  if (format === 'json') return { output: JSON.stringify(records, null, 2), anomalies };
+  if (format === 'tsv') {
+    return { output: [TSV_COLUMNS.join('\t'), ...records.map(r => TSV_COLUMNS.map(c => tsvCell(r[c])).join('\t'))].join('\n'), anomalies };
+  }
+  throw new UsageError(`Unknown format "${format}" for process (use json or tsv)`);
+}
+
+function runAppsScript(values, profile) {
+  const { entries, anomalies } = parseInputs(values);
+  const layout = readJSONWith(values.layout, text => SheetLayouts.fromJSON(text), DEFAULT_SHEET_LAYOUT);
+  const scripts = buildBatchScripts(AttendancePolicyEngine.processEntries(entries, { profile }), { profile, layout });
+  if (!scripts) throw new UsageError('No entries to write');
+  return { output: values.undo ? scripts.undo : scripts.apply, anomalies };
+}
+
+function runEmails(values, profile) {
+  if (!values['infraction-list']) throw new UsageError('emails needs --infraction-list');
+  const layout = readJSONWith(values.layout, text => SheetLayouts.fromJSON(text), DEFAULT_SHEET_LAYOUT);
+  // Either the template list itself or a saved settings object that holds one
+  const templates = readJSONWith(values.templates, text => {
+    const raw = JSON.parse(text);
+    return normalizeTemplates(Array.isArray(raw) ? raw : raw.emailTemplates);
+  }, DEFAULT_EMAIL_TEMPLATES);
+  const roster = readJSONWith(values.roster, text => parseRosterFile(basename(values.roster), text), []);
+  const extensions = readJSONWith(values.extensions, text => Extensions.fromJSON(text), EMPTY_EXTENSIONS);
+
+  let result;
+  try {
+    result = computeSheetPoints({
+      nscLog: readSheet(values['nsc-log']),
+      infractionList: readSheet(values['infraction-list']),
+      woExpiration: readSheet(values['wo-expiration'])
+    }, { profile, layout, rosterIndex: Roster.buildIndex(roster), extensions });
+  } catch (e) {
+    if (e instanceof UsageError) throw e;
+    throw new UsageError(e.message);
+  }
+
+  const messages = result.employees.map(emp => {
+    const { template, subject, body } = renderEmail(templateForPoints(templates, emp.totalPoints), emailValues(emp, { profile, managerName: values.manager }));
+    return { name: emp.name, firstName: emp.firstName, points: emp.totalPoints, to: recipientFor(emp, values.domain), subject, body, templateName: template.name };
+  });
+
+  const format = values.format || 'text';
+  if (format === 'json') return { output: JSON.stringify(messages, null, 2), anomalies: [] };
+  if (format === 'csv') return { output: mailMergeCSV(messages), anomalies: [] };
+  if (format === 'text') {
+    return {
+      output: messages.map(m => `To: ${m.to || '(no address)'}\nSubject: ${m.subject}\n\n${m.body}`).join(`\n\n${'-'.repeat(72)}\n\n`),
+      anomalies: []
+    };
+  }
+  throw new UsageError(`Unknown format "${format}" for emails (use text, json or csv)`);
+}
+
+const COMMANDS = { process: runProcess, 'apps-script': runAppsScript, emails: runEmails };
+
+function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    return 1;
+  }
+  const { values, positionals } = parsed;
+  const [command] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command "${command}"\n\n${USAGE}`);
+    return 1;
+  }
+
+  try {
+    const profile = readJSONWith(values.profile, text => PolicyProfiles.fromJSON(text), DEFAULT_POLICY_PROFILE);
+    const { output, anomalies } = COMMANDS[command](values, profile);
+    if (values.out) writeFileSync(values.out, `${output}\n`);
+    else process.stdout.write(`${output}\n`);
+
+    anomalies.forEach(a => console.error(`${a.file}: ${a.reason}${a.text ? ` — "${a.text}"` : ''}`));
+    if (anomalies.length && !values['allow-anomalies']) {
+      console.error(`${anomalies.length} parse anomal${anomalies.length === 1 ? 'y' : 'ies'}`);
+      return 2;
+    }
+    return 0;
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    console.error(e.message);
+    return 1;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
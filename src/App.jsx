@@ -1,815 +1,621 @@
-import React, { useState, useCallback, useMemo } from 'react';
-import { Calendar, User, FileText, Copy, Download, Upload, RefreshCw, Info, Settings, Mail, Link2, ClipboardList } from 'lucide-react';
-
-// Attendance Policy Rules Engine
-const AttendancePolicyEngine = {
-  sickKeywords: [
-    'sick', 'ill', 'fever', 'cough', 'cold', 'flu', 'nausea', 'vomit', 
-    'headache', 'migraine', 'stomach', 'broken', 'injury', 'injured',
-    'doctor', 'hospital', 'clinic', 'health', 'medical', 'unwell',
-    'not feeling well', "don't feel well", 'feeling unwell', 'throat',
-    'sore', 'ache', 'pain', 'dizzy', 'diarrhea', 'covid', 'virus'
-  ],
-  
-  academicKeywords: ['prelim', 'exam', 'final', 'finals', 'midterm', 'test'],
-  
-  isWeekendMorningShift(date, shiftTime) {
-    const dayOfWeek = date.getDay();
-    const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
-    if (!isWeekend) return false;
-    const timeMatch = shiftTime.match(/(\d{1,2}):?(\d{2})?\s*(am|pm)?/i);
-    if (!timeMatch) return false;
-    let hour = parseInt(timeMatch[1]);
-    const ampm = timeMatch[3]?.toLowerCase();
-    if (ampm === 'pm' && hour !== 12) hour += 12;
-    if (ampm === 'am' && hour === 12) hour = 0;
-    return hour < 14;
-  },
-  
-  isTuesdayOrThursday(date) {
-    const day = date.getDay();
-    return day === 2 || day === 4;
-  },
-  
-  isEveningShift(shiftTime) {
-    const timeMatch = shiftTime.match(/(\d{1,2}):?(\d{2})?\s*(am|pm)?/i);
-    if (!timeMatch) return false;
-    let hour = parseInt(timeMatch[1]);
-    const ampm = timeMatch[3]?.toLowerCase();
-    if (ampm === 'pm' && hour !== 12) hour += 12;
-    if (ampm === 'am' && hour === 12) hour = 0;
-    return hour >= 16;
-  },
-  
-  calculateHoursNotice(requestedDate, shiftDate, shiftTime) {
-    const timeMatch = shiftTime.match(/(\d{1,2}):?(\d{2})?\s*(am|pm)?/i);
-    if (!timeMatch) return 999;
-    let hour = parseInt(timeMatch[1]);
-    const minutes = parseInt(timeMatch[2] || '0');
-    const ampm = timeMatch[3]?.toLowerCase();
-    if (ampm === 'pm' && hour !== 12) hour += 12;
-    if (ampm === 'am' && hour === 12) hour = 0;
-    const shiftDateTime = new Date(shiftDate);
-    shiftDateTime.setHours(hour, minutes, 0, 0);
-    const diffMs = shiftDateTime - requestedDate;
-    return diffMs / (1000 * 60 * 60);
-  },
-  
-  determineInfractionType(entry, options = {}) {
-    const { shiftDate, shiftTime, requestedDate, comment, isPickup, isHostShift } = entry;
-    const nsCWindow = typeof options.nsCWindow === 'number' ? options.nsCWindow : 48;
-    const allowAnyDay2Days = !!options.allowAnyDay2Days;
-
-    if (isPickup) {
-      return {
-        type: isHostShift ? 'WO Host' : 'WO',
-        reason: isHostShift ? 'Door shift covered' : 'Shift covered by another employee',
-        points: -1
-      };
-    }
-    
-    const commentLower = (comment || '').toLowerCase();
-    const hoursNotice = this.calculateHoursNotice(requestedDate, shiftDate, shiftTime);
-    
-    const hasPrelim = this.academicKeywords.some(kw => commentLower.includes(kw));
-    const hasFinal = commentLower.includes('final');
-    
-    if (hasPrelim || hasFinal) {
-      const reason = hasFinal ? 'Final exam - excused absence' : 'Prelim exam - excused absence';
-      return { type: 'Prelim', reason, points: 0 };
-    }
-    
-    const isSick = this.sickKeywords.some(kw =>
-      kw.includes(' ') ? commentLower.includes(kw) : new RegExp(`\\b${kw}\\b`).test(commentLower)
-    );
-    
-    if (isSick) {
-      const isWeekendMorning = this.isWeekendMorningShift(shiftDate, shiftTime);
-      if (hoursNotice >= 2 || isWeekendMorning) {
-        return { type: 'NS/S', reason: `Sick callout with ${hoursNotice.toFixed(1)} hours notice`, points: 0 };
-      } else {
-        return { type: 'NS/LS', reason: `Late sick callout - only ${hoursNotice.toFixed(1)} hours notice`, points: 1 };
-      }
-    }
-    
-    if (!requestedDate || hoursNotice < 0) {
-      return { type: 'NS/NC', reason: 'No show / No call - no prior notice given', points: 3 };
-    }
-
-    if (allowAnyDay2Days) {
-      const reqDay = new Date(requestedDate.getFullYear(), requestedDate.getMonth(), requestedDate.getDate());
-      const shiftDay = new Date(shiftDate.getFullYear(), shiftDate.getMonth(), shiftDate.getDate());
-      const diffDays = (shiftDay - reqDay) / (1000 * 60 * 60 * 24);
-      if (diffDays >= 2) {
-        return { type: 'NS/C', reason: `Called out ${diffDays.toFixed(0)} days before shift (2-day rule)`, points: 1 };
-      }
-    }
+import React, { useState, useCallback, useMemo, useEffect } from 'react';
+import { Calendar, Clock, User, Users, FileText, Copy, Download, Upload, RefreshCw, Info, Settings, Mail, Link2, ClipboardList, Sliders, SearchCheck, History, BarChart2, Store } from 'lucide-react';
+import { DEFAULT_POLICY_PROFILE, NOTICE_LIMITS, PolicyProfiles } from './policyProfiles.js';
+import { LocalStore } from './storage.js';
+import { SessionStore } from './sessions.js';
+import { toDateInputValue, parseDate, formatDateShort } from './time.js';
+import { AttendancePolicyEngine } from './policyEngine.js';
+import { W2WParser } from './w2wParser.js';
+import { SheetParser } from './sheetParser.js';
+import { computeSheetPoints, emailValues, getInfractionDisplayName, hasSheetInput } from './sheetPoints.js';
+import { readFileAsText, downloadFile } from './fileUtils.js';
+import { columnLetter } from './sheetColumns.js';
+import { readSheetFiles, sheetLabel } from './workbookImport.js';
+import { DEFAULT_EMAIL_DOMAIN, recipientFor, mailtoLink, emlZip, mailMergeCSV } from './emailExport.js';
+import { DEFAULT_EMAIL_TEMPLATES, normalizeTemplates, templateForPoints, templateTier, renderEmail } from './emailTemplates.js';
+import { EMPTY_LEDGER, EscalationLedger } from './escalationLedger.js';
+import { EMPTY_EXTENSIONS, Extensions } from './extensions.js';
+import { EMPTY_ROSTER, Roster, normalizeName } from './roster.js';
+import { APPROVABLE_KINDS, reconcileEntries } from './reconcile.js';
+import { buildBatchScripts } from './appsScript.js';
+import { parseTimePunches } from './timePunches.js';
+import { attendanceRecords } from './analytics.js';
+import { openMakeUps } from './makeUpMatching.js';
+import { DEFAULT_UNIT, Units } from './units.js';
+import MakeUpDashboard from './components/MakeUpDashboard.jsx';
+import EmployeeHistory from './components/EmployeeHistory.jsx';
+import AnalyticsPanel from './components/AnalyticsPanel.jsx';
+import { DEFAULT_SHEET_LAYOUT, SheetLayouts } from './sheetLayouts.js';
+import PolicyEditor from './components/PolicyEditor.jsx';
+import SheetLayoutEditor from './components/SheetLayoutEditor.jsx';
+import ResultsTable from './components/ResultsTable.jsx';
+import SessionPanel from './components/SessionPanel.jsx';
+import DiagnosticsPanel from './components/DiagnosticsPanel.jsx';
+import FileDrop from './components/FileDrop.jsx';
+import SheetMappingPanel from './components/SheetMappingPanel.jsx';
+import EmailTemplateEditor, { tierStyle } from './components/EmailTemplateEditor.jsx';
+import EscalationPanel from './components/EscalationPanel.jsx';
+import RosterPanel from './components/RosterPanel.jsx';
+import ReconcilePanel from './components/ReconcilePanel.jsx';
+import UnitEditor from './components/UnitEditor.jsx';
+
+// Apply a manager edit to a processed entry. The engine's original call stays in
+// entry.engine and every changed field is appended to entry.overrides.
+function applyEntryOverride(entry, changes, { profile, by }) {
+  const next = { ...entry };
+  const overrides = [...entry.overrides];
+  const at = new Date().toISOString();
+
+  Object.entries(changes).forEach(([field, value]) => {
+    const from = field === 'shiftDate' ? toDateInputValue(entry.shiftDate) : entry[field];
+    const to = field === 'shiftDate' ? toDateInputValue(value) : value;
+    if (from === to) return;
+    next[field] = value;
+    overrides.push({ field, from, to, by, at });
+  });
 
-    if (hoursNotice >= nsCWindow) {
-      return { type: 'NS/C', reason: `Called out with ${hoursNotice.toFixed(1)} hours notice (>${nsCWindow}h)`, points: 1 };
-    } else {
-      return { type: 'NS/LC', reason: `Late callout - only ${hoursNotice.toFixed(1)} hours notice (<${nsCWindow}h)`, points: 2 };
-    }
-  }
-};
-
-// Parser for W2W pages
-const W2WParser = {
-  parsePickupPage(text) {
-    const entries = [];
-    const fullText = text.replace(/\n/g, ' ').replace(/\s+/g, ' ');
-    const pickupPattern = /([A-Z][a-z]+\s+[A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?)\s+((?:Mon|Tue|Wed|Thu|Fri|Sat|Sun)[a-z]*,?\s+(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+\d{1,2},?\s+\d{4})\s+(\d{1,2}:?\d{0,2}\s*[ap]?m?\s*-\s*\d{1,2}:?\d{0,2}\s*[ap]?m?)\s*([\w\s-]*)/gi;
-    
-    let match;
-    const skipWords = ['unassigned', 'approve', 'reject', 'comment', 'pickup', 'request', 'from', 'through'];
-    
-    while ((match = pickupPattern.exec(fullText)) !== null) {
-      const name = match[1].trim();
-      const dateStr = match[2].trim();
-      const timeStr = match[3].trim();
-      const position = match[4]?.trim().toLowerCase() || '';
-
-      // Check if name contains skip words - if so, retry from after the first word
-      const nameParts = name.toLowerCase().split(/\s+/);
-      if (nameParts.some(part => skipWords.includes(part) || skipWords.some(w => part.includes(w)))) {
-        // Reset to after the first word so we can try matching the real name
-        pickupPattern.lastIndex = match.index + name.split(/\s+/)[0].length + 1;
-        continue;
-      }
-      
-      const parsedDate = new Date(dateStr);
-      if (isNaN(parsedDate)) continue;
-      
-      const isHostShift = position.includes('host') || position.includes('door');
-      
-      entries.push({
-        name: this.formatName(name),
-        shiftDate: parsedDate,
-        shiftTime: timeStr,
-        requestedDate: new Date(),
-        comment: 'Shift pickup',
-        isPickup: true,
-        isHostShift: isHostShift,
-        rawText: match[0]
-      });
-    }
-    
-    return entries;
-  },
-  
-  parseCalloffPage(text) {
-    const entries = [];
-    const fullText = text.replace(/\n/g, ' ').replace(/\s+/g, ' ');
-    const calloffPattern = /(?:Approve\s+Deny\s+|Deny\s+)?([A-Z][a-z]+\s+[A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?)\s+((?:Mon|Tue|Wed|Thu|Fri|Sat|Sun)[a-z]*,?\s+(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+\d{1,2},?\s+\d{4})/gi;
-    
-    const matches = [];
-    let match;
-    while ((match = calloffPattern.exec(fullText)) !== null) {
-      matches.push({
-        name: match[1].trim(),
-        dateStr: match[2].trim(),
-        index: match.index,
-        endIndex: match.index + match[0].length
-      });
-    }
-    
-    const skipWords = ['from', 'through', 'comment', 'requested', 'approve', 'deny', 
-                       'days', 'choose', 'want', 'published', 'unassigned', 'date', 'time',
-                       'student', 'supe', 'fsw', 'din', 'host', 'br'];
-    const processed = new Set();
-    
-    for (let i = 0; i < matches.length; i++) {
-      const m = matches[i];
-      if (skipWords.some(w => m.name.toLowerCase().split(/\s+/).some(part => part === w))) continue;
-      
-      const parsedDate = new Date(m.dateStr);
-      if (isNaN(parsedDate)) continue;
-      
-      const key = `${m.name}|${parsedDate.toISOString().split('T')[0]}`;
-      if (processed.has(key)) continue;
-      processed.add(key);
-      
-      const endIdx = matches[i + 1] ? matches[i + 1].index : fullText.length;
-      const entryText = fullText.substring(m.endIndex, endIdx);
-      
-      const timeMatch = entryText.match(/(\d{1,2}:?\d{0,2}\s*[ap]m?\s*-\s*\d{1,2}:?\d{0,2}\s*[ap]m?)/i);
-      const shiftTime = timeMatch ? timeMatch[1] : '5:15pm - 9:05pm';
-      
-      let comment = '';
-      const commentMatch = entryText.match(/(?:Published\s+)?(?:\d+\s+)?([A-Za-z][\w\s,'():/-]+?)(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)-\d/i);
-      if (commentMatch) {
-        comment = commentMatch[1].trim()
-          .replace(/Comment to include.*/i, '')
-          .replace(/Choose if want.*/i, '')
-          .trim();
-      }
-      
-      let requestedDate = new Date();
-      const reqMatch = entryText.match(/(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)-(\d{1,2})\s*-\s*(\d{1,2}):(\d{2})([ap])/i);
-      if (reqMatch) {
-        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        const monthIndex = monthNames.findIndex(mn => mn.toLowerCase() === reqMatch[1].toLowerCase());
-        let hour = parseInt(reqMatch[3]);
-        const minute = parseInt(reqMatch[4]);
-        const ampm = reqMatch[5].toLowerCase();
-        if (ampm === 'p' && hour !== 12) hour += 12;
-        if (ampm === 'a' && hour === 12) hour = 0;
-        requestedDate = new Date(2026, monthIndex, parseInt(reqMatch[2]), hour, minute);
-      }
-      
-      entries.push({
-        name: this.formatName(m.name),
-        shiftDate: parsedDate,
-        shiftTime: shiftTime,
-        requestedDate: requestedDate,
-        comment: comment,
-        isPickup: false,
-        isHostShift: false,
-        rawText: entryText.substring(0, 200)
-      });
-    }
-    
-    return entries;
-  },
-  
-  formatName(name) {
-    const parts = name.trim().split(/\s+/);
-    if (parts.length >= 2) {
-      const firstName = parts[0];
-      const lastName = parts.slice(1).join(' ');
-      return `${lastName}, ${firstName}`;
-    }
-    return name;
+  // A corrected date changes the notice hours and a new unit brings its own policy, so
+  // re-run the engine unless the type was set by hand
+  if ((changes.shiftDate || changes.unitId) && !overrides.some(o => o.field === 'infraction')) {
+    const result = AttendancePolicyEngine.determineInfractionType(next, { profile });
+    next.infraction = result.type;
+    next.reason = result.reason;
   }
-};
-
-// Sheet Parser for Email Generation
-const SheetParser = {
-  parseNSCLog(text) {
-    const lines = text.trim().split('\n');
-    if (lines.length < 2) return { dates: [], employees: {} };
-
-    const headerParts = lines[0].split('\t');
-    // Remove BOM from first cell if present
-    if (headerParts[0]) {
-      headerParts[0] = headerParts[0].replace(/^\ufeff/, '');
-    }
-    // Check if first column is a date (NS-C Log starts with dates, no "Name" header)
-    const firstCell = headerParts[0]?.trim();
-    const isFirstCellDate = firstCell && /^\d{1,2}\/\d{1,2}\/\d{4}/.test(firstCell);
-
-    // If first cell is a date, use all headers; otherwise skip the name header column
-    const dates = (isFirstCellDate ? headerParts : headerParts.slice(1))
-      .map(d => d.trim())
-      .filter(d => d);
 
-    const employees = {};
-
-    for (let i = 1; i < lines.length; i++) {
-      const parts = lines[i].split('\t');
-      const name = parts[0]?.trim();
-      if (!name) continue;
+  next.points = PolicyProfiles.getPoints(profile, next.infraction);
+  next.isCancelled = next.status !== 'active';
+  next.overrides = overrides;
+  return next;
+}
 
-      employees[name] = { name, infractions: [], woDates: [] };
+// Rename entries to their roster name (indexFor gives the roster index for an entry's unit).
+// w2wName keeps what the parser read so a later alias can still resolve it; names
+// corrected by hand are left alone.
+function resolveEntryNames(entries, indexFor) {
+  let changed = false;
+  const next = entries.map(e => {
+    if (e.overrides.some(o => o.field === 'name')) return e;
+    const name = Roster.canonicalName(indexFor(e), e.w2wName || e.name);
+    if (name === e.name) return e;
+    changed = true;
+    return { ...e, w2wName: e.w2wName || e.name, name };
+  });
+  return changed ? next : entries;
+}
 
-      for (let j = 1; j < parts.length && j - 1 < dates.length; j++) {
-        const value = parts[j]?.trim();
-        if (value && ['NS/C', 'NS/LC', 'NS/NC', 'NS/S', 'NS/LS'].includes(value)) {
-          employees[name].infractions.push({ date: dates[j - 1], type: value });
-        }
-        // Also extract WO dates from NS-C Log for matching
-        if (value && (value === 'WO' || value === 'WO Host')) {
-          employees[name].woDates.push({ date: dates[j - 1], type: value });
-        }
-      }
-    }
+const calloutLimits = NOTICE_LIMITS.calloutWindowHours;
 
-    return { dates, employees };
-  },
-  
-  parseInfractionList(text) {
-    const lines = text.trim().split('\n');
-    if (lines.length < 2) return {};
-    
-    const employees = {};
-    
-    for (let i = 1; i < lines.length; i++) {
-      const parts = lines[i].split('\t');
-      const name = parts[0]?.trim();
-      if (!name || name === 'a') continue;
-      
-      employees[name] = {
-        name,
-        nsc: parseInt(parts[1]) || 0,
-        nslc: parseInt(parts[2]) || 0,
-        nsnc: parseInt(parts[3]) || 0,
-        nss: parseInt(parts[4]) || 0,
-        nsls: parseInt(parts[5]) || 0,
-        late: parseFloat(parts[6]) || 0,
-        wo: parseInt(parts[7]) || 0,
-        woHost: parseInt(parts[8]) || 0,
-        coupon: parseInt(parts[9]) || 0,
-        prelim: parseInt(parts[10]) || 0,
-        break: parseInt(parts[11]) || 0,
-        total: parseInt(parts[12]) || 0
-      };
-    }
-    
-    return employees;
-  },
-  
-  parseWOExpiration(text) {
-    const lines = text.trim().split('\n');
-    const fullShifts = [];
-    const partialShifts = [];
-    
-    for (let i = 0; i < lines.length; i++) {
-      const parts = lines[i].split('\t');
-      
-      if (parts[0]?.toLowerCase().includes('name') || 
-          parts[0]?.toLowerCase().includes('full') ||
-          parts[0]?.toLowerCase().includes('partial')) continue;
-      
-      const fullName = parts[0]?.trim();
-      const fullWODate = parts[1]?.trim();
-      
-      if (fullName && fullWODate) {
-        fullShifts.push({ name: fullName, woDate: fullWODate });
-      }
-      
-      const partialName = parts[6]?.trim();
-      const partialWODate = parts[7]?.trim();
-      
-      if (partialName && partialWODate) {
-        partialShifts.push({ name: partialName, woDate: partialWODate });
-      }
-    }
-    
-    return { fullShifts, partialShifts };
+function loadPolicyProfiles() {
+  const stored = LocalStore.load('policyProfiles', null);
+  try {
+    if (Array.isArray(stored) && stored.length) return stored.map(p => PolicyProfiles.normalize(p));
+  } catch (e) {
+    console.error(e);
   }
-};
-
-// Normalization Helper for matching names across different sheets
-const normalizeName = (name) => {
-  if (!name) return '';
-  // Remove trailing tags like (HOST) or (STU)
-  let clean = name.replace(/\s*\([^)]*\)\s*/g, '').toLowerCase().trim();
-  // Handle "Surname, First" -> "First Surname"
-  if (clean.includes(',')) {
-    const parts = clean.split(',').map(s => s.trim());
-    return `${parts[1]} ${parts[0]}`;
+  return [DEFAULT_POLICY_PROFILE];
+}
+
+function loadSheetLayouts() {
+  const stored = LocalStore.load('sheetLayouts', null);
+  try {
+    if (Array.isArray(stored) && stored.length) return stored.map(l => SheetLayouts.normalize(l));
+  } catch (e) {
+    console.error(e);
   }
-  return clean;
-};
-
-function parseDate(dateStr) {
-  if (!dateStr) return null;
-  // Strip day-of-week suffix "12/09/2025 Tue" -> "12/09/2025"
-  const cleaned = dateStr.toString().replace(/\s+(Sun|Mon|Tue|Wed|Thu|Fri|Sat).*$/i, '').trim();
-  const d = new Date(cleaned);
-  return isNaN(d) ? null : d;
+  return [DEFAULT_SHEET_LAYOUT];
 }
 
-function isWithinDays(date1, date2, days) {
-  const d1 = parseDate(date1);
-  const d2 = parseDate(date2);
-  if (!d1 || !d2) return false;
-  d1.setHours(0,0,0,0);
-  d2.setHours(0,0,0,0);
-  // WO can be within 14 days before or after the infraction
-  const diffTime = Math.abs(d1.getTime() - d2.getTime());
-  const diffDays = diffTime / (1000 * 60 * 60 * 24);
-  return diffDays <= days;
+const loadEmailTemplates = () => normalizeTemplates(LocalStore.load('settings', {}).emailTemplates);
+
+function loadEscalationLedger() {
+  const stored = LocalStore.load('escalationLedger', null);
+  try {
+    if (stored) return EscalationLedger.normalize(stored);
+  } catch (e) {
+    console.error(e);
+  }
+  return EMPTY_LEDGER;
 }
 
-function formatDateShort(dateStr) {
-  if (!dateStr) return '';
-  const d = parseDate(dateStr);
-  if (!d) return dateStr;
-  const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-  return `${d.getMonth()+1}/${d.getDate()}/${d.getFullYear()} ${days[d.getDay()]}`;
+function loadExtensions() {
+  const stored = LocalStore.load('extensions', null);
+  try {
+    if (stored) return Extensions.normalize(stored);
+  } catch (e) {
+    console.error(e);
+  }
+  return EMPTY_EXTENSIONS;
 }
 
-function getFirstName(fullName) {
-  if (!fullName) return '';
-  const parts = fullName.split(',');
-  return parts.length >= 2 ? parts[1].trim().split(' ')[0] : fullName.split(' ')[0];
+// Before units, the manager name and the active profile and layout were global settings;
+// they seed the first unit
+function loadUnits() {
+  const stored = LocalStore.load('units', null);
+  try {
+    if (Array.isArray(stored) && stored.length) return Units.normalizeList(stored);
+  } catch (e) {
+    console.error(e);
+  }
+  return [Units.normalize({
+    ...DEFAULT_UNIT,
+    managerName: LocalStore.load('settings', {}).managerName || DEFAULT_UNIT.managerName,
+    profileId: LocalStore.load('activeProfileId', DEFAULT_UNIT.profileId),
+    layoutId: LocalStore.load('activeSheetLayoutId', DEFAULT_UNIT.layoutId)
+  })];
 }
 
-function getInfractionDisplayName(type) {
-  return { 'NS/C': 'No Show/Call', 'NS/LC': 'No Show/Late Call', 'NS/NC': 'No Show/No Call', 
-           'NS/S': 'Sick Call (excused)', 'NS/LS': 'Late Sick Call' }[type] || type;
+// Rosters keyed by unit id; a roster saved before units belongs to the first unit
+function loadRosters(firstUnitId) {
+  try {
+    const stored = LocalStore.load('rosters', null);
+    if (stored) return Object.fromEntries(Object.entries(stored).map(([id, list]) => [id, Roster.normalize(list)]));
+    return { [firstUnitId]: Roster.normalize(LocalStore.load('roster', EMPTY_ROSTER)) };
+  } catch (e) {
+    console.error(e);
+    return {};
+  }
 }
 
-function getInfractionPoints(type) {
-  return { 'NS/C': 1, 'NS/LC': 2, 'NS/NC': 3, 'NS/S': 0, 'NS/LS': 1 }[type] || 0;
+const EMPTY_UNIT_SHEETS = { nscLogText: '', infractionListText: '', woExpirationText: '', sheetUploads: {} };
+const EMPTY_SHEET_RESULT = { error: '', columns: null, employees: [], allEmployees: [], people: [] };
+
+// Sheet pastes and uploads keyed by unit id. Uploads are workbook tabs / CSVs keyed like
+// WORKBOOK_SHEETS, each replacing its paste box. Sessions saved before units hold one set,
+// which belongs to the first unit.
+function sessionUnitSheets(session, firstUnitId) {
+  if (!session) return {};
+  if (session.unitSheets) return session.unitSheets;
+  const { nscLogText = '', infractionListText = '', woExpirationText = '', sheetUploads = {} } = session;
+  return { [firstUnitId]: { nscLogText, infractionListText, woExpirationText, sheetUploads } };
 }
 
+const dropKey = (id) => ({ [id]: removed, ...rest }) => rest;
+
 export default function W2WAttendanceProcessor() {
-  const [pickupText, setPickupText] = useState('');
-  const [calloffText, setCalloffText] = useState('');
-  const [processedEntries, setProcessedEntries] = useState([]);
+  // Reopen the most recent session so an accidental refresh loses nothing
+  const [initialSession] = useState(() => SessionStore.latest());
+  const [sessionId, setSessionId] = useState(() => initialSession?.id || SessionStore.newId());
+  const [recentSessions, setRecentSessions] = useState(() => SessionStore.list());
+  const [pickupText, setPickupText] = useState(initialSession?.pickupText || '');
+  const [calloffText, setCalloffText] = useState(initialSession?.calloffText || '');
+  const [processedEntries, setProcessedEntries] = useState(initialSession?.processedEntries || []);
+  const [importedFiles, setImportedFiles] = useState(initialSession?.importedFiles || []);
+  const [importMessage, setImportMessage] = useState('');
+  const [sessionSaveError, setSessionSaveError] = useState('');
   const [activeTab, setActiveTab] = useState('input');
   const [showInstructions, setShowInstructions] = useState(false);
   const [copySuccess, setCopySuccess] = useState('');
-  const [managerName, setManagerName] = useState('MANAGER');
-  const [nsCWindow, setNsCWindow] = useState(48);
-  const [allowAnyDay2Days, setAllowAnyDay2Days] = useState(false);
-
-  const [nscLogText, setNscLogText] = useState('');
-  const [infractionListText, setInfractionListText] = useState('');
-  const [woExpirationText, setWoExpirationText] = useState('');
-  const [emailData, setEmailData] = useState([]);
-  const [rawEmailData, setRawEmailData] = useState([]);
+  const [emailTemplates, setEmailTemplates] = useState(loadEmailTemplates);
+  const [showTemplateEditor, setShowTemplateEditor] = useState(false);
+  const [escalationLedger, setEscalationLedger] = useState(loadEscalationLedger);
+  const [extensions, setExtensions] = useState(loadExtensions);
+  const [reconcileText, setReconcileText] = useState('');
+  const [reconcileUpload, setReconcileUpload] = useState(null);
+  const [reconcileRows, setReconcileRows] = useState(null);
+  const [reconcileMessage, setReconcileMessage] = useState('');
+  const [rejectedChanges, setRejectedChanges] = useState(() => new Set());
+  const [emailDomain, setEmailDomain] = useState(() => LocalStore.load('settings', {}).emailDomain ?? DEFAULT_EMAIL_DOMAIN);
+  const [policyProfiles, setPolicyProfiles] = useState(loadPolicyProfiles);
+  const [sheetLayouts, setSheetLayouts] = useState(loadSheetLayouts);
+  const [units, setUnits] = useState(loadUnits);
+  const [activeUnitId, setActiveUnitId] = useState(() => LocalStore.load('activeUnitId', null));
+  const [rosters, setRosters] = useState(() => loadRosters(units[0].id));
+
+  // Each unit's sheet pastes and uploads, and what processEmailSheets made of them
+  const [unitSheets, setUnitSheets] = useState(() => sessionUnitSheets(initialSession, units[0].id));
+  const [sheetResults, setSheetResults] = useState({});
+  const [sheetUploadMessage, setSheetUploadMessage] = useState('');
   const [showRawData, setShowRawData] = useState(false);
   const [selectedEmployee, setSelectedEmployee] = useState(null);
+  const [historyKey, setHistoryKey] = useState(null);
+  const [sheetAliases, setSheetAliases] = useState(() => LocalStore.load('sheetColumnAliases', {}));
+  const [confirmedSheetColumns, setConfirmedSheetColumns] = useState(() => LocalStore.load('confirmedSheetColumns', null));
+
+  // The active unit picks the policy profile, sheet layout, manager and roster everything else uses
+  const activeUnit = units.find(u => u.id === activeUnitId) || units[0];
+  const profileForUnit = useCallback((unit) => policyProfiles.find(p => p.id === unit.profileId) || policyProfiles[0], [policyProfiles]);
+  const activeProfile = profileForUnit(activeUnit);
+  const activeLayout = sheetLayouts.find(l => l.id === activeUnit.layoutId) || sheetLayouts[0];
+  const managerName = activeUnit.managerName;
+  const roster = rosters[activeUnit.id] || EMPTY_ROSTER;
+
+  useEffect(() => { LocalStore.save('policyProfiles', policyProfiles); }, [policyProfiles]);
+  useEffect(() => { LocalStore.save('sheetLayouts', sheetLayouts); }, [sheetLayouts]);
+  useEffect(() => { LocalStore.save('units', units); }, [units]);
+  useEffect(() => { LocalStore.save('activeUnitId', activeUnit.id); }, [activeUnit.id]);
+  useEffect(() => { LocalStore.save('settings', { emailTemplates, emailDomain }); }, [emailTemplates, emailDomain]);
+  useEffect(() => { LocalStore.save('sheetColumnAliases', sheetAliases); }, [sheetAliases]);
+  useEffect(() => { LocalStore.save('escalationLedger', escalationLedger); }, [escalationLedger]);
+  useEffect(() => { LocalStore.save('rosters', rosters); }, [rosters]);
+  useEffect(() => { LocalStore.save('extensions', extensions); }, [extensions]);
+
+  const updateActiveUnit = useCallback((changes) => {
+    setUnits(list => list.map(u => (u.id === activeUnit.id ? { ...u, ...changes } : u)));
+  }, [activeUnit.id]);
+  const setRoster = useCallback((list) => setRosters(all => ({ ...all, [activeUnit.id]: list })), [activeUnit.id]);
+
+  const deleteUnit = useCallback((id) => {
+    setUnits(list => (list.length > 1 ? list.filter(u => u.id !== id) : list));
+    setRosters(dropKey(id));
+    setUnitSheets(dropKey(id));
+    setSheetResults(dropKey(id));
+  }, []);
+
+  // Setters for the active unit's sheet inputs; each takes a value or an updater like useState's
+  const { nscLogText, infractionListText, woExpirationText, sheetUploads } = { ...EMPTY_UNIT_SHEETS, ...unitSheets[activeUnit.id] };
+  const updateUnitSheet = useCallback((field, update) => setUnitSheets(all => {
+    const current = { ...EMPTY_UNIT_SHEETS, ...all[activeUnit.id] };
+    return { ...all, [activeUnit.id]: { ...current, [field]: typeof update === 'function' ? update(current[field]) : update } };
+  }), [activeUnit.id]);
+  const setNscLogText = (text) => updateUnitSheet('nscLogText', text);
+  const setInfractionListText = (text) => updateUnitSheet('infractionListText', text);
+  const setWoExpirationText = (text) => updateUnitSheet('woExpirationText', text);
+  const setSheetUploads = (update) => updateUnitSheet('sheetUploads', update);
+
+  const { error: sheetError, columns: sheetColumns, employees: emailData, allEmployees: rawEmailData, people: sheetPeople } =
+    sheetResults[activeUnit.id] || EMPTY_SHEET_RESULT;
+
+  const rosterIndexes = useMemo(() => Object.fromEntries(units.map(u => [u.id, Roster.buildIndex(rosters[u.id] || EMPTY_ROSTER)])), [units, rosters]);
+  const rosterIndex = rosterIndexes[activeUnit.id];
+  // Matching key for a name from any source: the roster name when known, else the name itself
+  const rosterKey = useCallback((name) => normalizeName(Roster.canonicalName(rosterIndex, name)), [rosterIndex]);
+  // Key stored with ledger notices and extensions: the roster entry id, which survives renames
+  const personKey = useCallback((name) => Roster.personKey(rosterIndex, name), [rosterIndex]);
+
+  // Entries routed to a unit that has since been deleted fall back to the first unit
+  const unitIdOf = useCallback((entry) => (units.some(u => u.id === entry.unitId) ? entry.unitId : units[0].id), [units]);
+  const unitEntries = useMemo(() => processedEntries.filter(e => unitIdOf(e) === activeUnit.id), [processedEntries, unitIdOf, activeUnit.id]);
+  const unitEntryCounts = useMemo(() => processedEntries.reduce((counts, e) => {
+    counts[unitIdOf(e)] = (counts[unitIdOf(e)] || 0) + 1;
+    return counts;
+  }, {}), [processedEntries, unitIdOf]);
+
+  // Saving an alias renames already-processed entries without reprocessing
+  useEffect(() => { setProcessedEntries(list => resolveEntryNames(list, e => rosterIndexes[unitIdOf(e)])); }, [rosterIndexes, unitIdOf]);
+  // Roster edits re-point ledger notices and extensions recorded by name (or for a deleted entry)
+  useEffect(() => {
+    const indexes = Object.values(rosterIndexes);
+    setEscalationLedger(ledger => {
+      const notices = Roster.rekeyRecords(ledger.notices, indexes);
+      return notices === ledger.notices ? ledger : { ...ledger, notices };
+    });
+    setExtensions(store => {
+      const list = Roster.rekeyRecords(store.extensions, indexes);
+      return list === store.extensions ? store : { ...store, extensions: list };
+    });
+  }, [rosterIndexes]);
+  useEffect(() => { LocalStore.save('confirmedSheetColumns', confirmedSheetColumns); }, [confirmedSheetColumns]);
+
+  // Autosave the current session shortly after the last edit
+  useEffect(() => {
+    const session = { id: sessionId, pickupText, calloffText, importedFiles, processedEntries, unitSheets };
+    const hasSheets = Object.values(unitSheets).some(sh => Object.keys(sh.sheetUploads || {}).length > 0 ||
+      [sh.nscLogText, sh.infractionListText, sh.woExpirationText].some(t => t?.trim()));
+    const hasContent = processedEntries.length > 0 || importedFiles.length > 0 || hasSheets || [pickupText, calloffText].some(t => t.trim());
+    if (!hasContent) return;
+    const timer = setTimeout(() => {
+      try {
+        setRecentSessions(SessionStore.save(session));
+        setSessionSaveError('');
+      } catch (e) {
+        setSessionSaveError(e.message);
+      }
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [sessionId, pickupText, calloffText, importedFiles, processedEntries, unitSheets]);
+
+  const loadSession = useCallback((session) => {
+    setSessionId(session?.id || SessionStore.newId());
+    setPickupText(session?.pickupText || '');
+    setCalloffText(session?.calloffText || '');
+    setImportedFiles(session?.importedFiles || []);
+    setProcessedEntries(session?.processedEntries || []);
+    setUnitSheets(sessionUnitSheets(session, units[0].id));
+    setSheetResults({});
+    setSelectedEmployee(null);
+  }, [units]);
+
+  // An index entry whose payload is gone (cleared or never written) is dropped instead of
+  // opening as a blank session over the current one
+  const openSession = useCallback((id) => {
+    const session = SessionStore.load(id);
+    if (session) {
+      loadSession(session);
+      return;
+    }
+    setRecentSessions(SessionStore.remove(id));
+    setSessionSaveError('That session could not be read from browser storage and was removed from the list.');
+  }, [loadSession]);
+
+  const clearAllData = useCallback(() => {
+    if (!window.confirm('Delete all saved sessions, settings and policy profiles from this computer?')) return;
+    LocalStore.clearAll();
+    loadSession(null);
+    setRecentSessions([]);
+    setEmailTemplates(DEFAULT_EMAIL_TEMPLATES);
+    setEmailDomain(DEFAULT_EMAIL_DOMAIN);
+    setEscalationLedger(EMPTY_LEDGER);
+    setExtensions(EMPTY_EXTENSIONS);
+    setPolicyProfiles([DEFAULT_POLICY_PROFILE]);
+    setSheetLayouts([DEFAULT_SHEET_LAYOUT]);
+    setUnits([DEFAULT_UNIT]);
+    setActiveUnitId(DEFAULT_UNIT.id);
+    setRosters({});
+    setSheetAliases({});
+    setConfirmedSheetColumns(null);
+  }, [loadSession]);
+
+  const updateActiveNotice = useCallback((changes) => {
+    setPolicyProfiles(list => list.map(p => p.id === activeProfile.id ? { ...p, notice: { ...p.notice, ...changes } } : p));
+  }, [activeProfile.id]);
+
+  // Saved W2W pages and CSV exports go through the table parser; anything without a
+  // usable table is appended to the matching paste box instead
+  const importW2WFiles = useCallback(async (files, isPickup) => {
+    const notes = [];
+    for (const file of files) {
+      try {
+        const result = W2WParser.parseFile(file.name, await readFileAsText(file), isPickup);
+        if (result.entries) {
+          setImportedFiles(list => [...list, {
+            id: `${file.name}-${Date.now()}`, fileName: file.name, isPickup,
+            format: result.format, entries: result.entries, skipped: result.skipped
+          }]);
+          notes.push(`${file.name}: ${result.entries.length} entries`);
+        } else {
+          const setText = isPickup ? setPickupText : setCalloffText;
+          setText(t => t.trim() ? `${t}\n${result.text}` : result.text);
+          notes.push(`${file.name}: no table found, added as text`);
+        }
+      } catch (e) {
+        console.error(e);
+        notes.push(`${file.name}: could not be read`);
+      }
+    }
+    setImportMessage(notes.join(' • '));
+  }, []);
+
+  const importTimePunches = useCallback(async (files) => {
+    const notes = [];
+    for (const file of files) {
+      try {
+        const result = parseTimePunches(file.name, await readFileAsText(file));
+        setImportedFiles(list => [...list, {
+          id: `${file.name}-${Date.now()}`, fileName: file.name, isPickup: null, kind: 'punches',
+          format: result.format, entries: result.entries, skipped: result.skipped
+        }]);
+        notes.push(`${file.name}: ${result.entries.length} punches`);
+      } catch (e) {
+        console.error(e);
+        notes.push(`${file.name}: ${e.message}`);
+      }
+    }
+    setImportMessage(notes.join(' • '));
+  }, []);
 
   const processData = useCallback(() => {
     const allEntries = [];
     if (pickupText.trim()) allEntries.push(...W2WParser.parsePickupPage(pickupText));
     if (calloffText.trim()) allEntries.push(...W2WParser.parseCalloffPage(calloffText));
-    
-    const processed = allEntries.map((entry, idx) => {
-      const infraction = AttendancePolicyEngine.determineInfractionType(entry, { nsCWindow, allowAnyDay2Days });
-      return { ...entry, id: idx, infraction: infraction.type, reason: infraction.reason, 
-               points: infraction.points, isCancelled: false };
-    });
-    
-    processed.sort((a, b) => a.shiftDate - b.shiftDate);
-    
-    setProcessedEntries(processed);
+    importedFiles.forEach(f => allEntries.push(...f.entries));
+
+    // Route each request to its unit, then classify it under that unit's policy
+    const byUnit = new Map(units.map(u => [u.id, []]));
+    allEntries.forEach(e => byUnit.get(Units.route(units, e).id).push(e));
+    const processed = units
+      .flatMap(u => AttendancePolicyEngine.processEntries(byUnit.get(u.id), { profile: profileForUnit(u) }).map(e => ({ ...e, unitId: u.id })))
+      .map((e, idx) => ({ ...e, id: idx }));
+    setProcessedEntries(resolveEntryNames(processed, e => rosterIndexes[e.unitId]));
     setActiveTab('results');
-  }, [pickupText, calloffText, nsCWindow, allowAnyDay2Days]);
-
-  const processEmailSheets = useCallback(() => {
-    const nscLog = SheetParser.parseNSCLog(nscLogText);
-    const infractionList = SheetParser.parseInfractionList(infractionListText);
-    const woExpiration = SheetParser.parseWOExpiration(woExpirationText);
-
-    // Create normalized lookups to handle name variations
-    const normalizedWos = {};
-    // Add WOs from WO Expiration sheet
-    [...woExpiration.fullShifts, ...woExpiration.partialShifts].forEach(wo => {
-      const norm = normalizeName(wo.name);
-      if (!normalizedWos[norm]) normalizedWos[norm] = [];
-      normalizedWos[norm].push(wo);
-    });
-
-    const normalizedNscLog = {};
-    Object.keys(nscLog.employees).forEach(n => {
-      const norm = normalizeName(n);
-      normalizedNscLog[norm] = nscLog.employees[n];
-      // Also add WO dates from NS-C Log (may not be in WO Expiration sheet)
-      if (nscLog.employees[n].woDates) {
-        if (!normalizedWos[norm]) normalizedWos[norm] = [];
-        nscLog.employees[n].woDates.forEach(wo => {
-          // Avoid duplicates - check if this date already exists
-          const woDateParsed = parseDate(wo.date);
-          if (!woDateParsed) return;
-          const exists = normalizedWos[norm].some(existing => {
-            const existingParsed = parseDate(existing.woDate);
-            if (!existingParsed) return false;
-            return woDateParsed.setHours(0,0,0,0) === existingParsed.setHours(0,0,0,0);
-          });
-          if (!exists) {
-            normalizedWos[norm].push({ name: n, woDate: wo.date });
-          }
-        });
-      }
-    });
-
-    const employeeEmails = [];
-    const allEmployeePoints = [];
-
-    Object.keys(infractionList).forEach(rawName => {
-      const normName = normalizeName(rawName);
-      const infData = infractionList[rawName];
-      const nscData = normalizedNscLog[normName];
-      let availableWos = [...(normalizedWos[normName] || [])];
-
-      // Compute potential infraction points from counts only (before WO deductions).
-      // We can't rely on infData.total because the sheet may have deducted WOs that
-      // were actually outside the 14-day make-up window.
-      const potentialRawPoints = infData.nsc * 1 + infData.nslc * 2 + infData.nsnc * 3 + infData.nsls * 1;
-      if (potentialRawPoints <= 0) {
-        allEmployeePoints.push({ name: rawName, totalPoints: potentialRawPoints });
-        return;
-      }
-
-      const infractions = nscData?.infractions || [];
-      const today = new Date();
-
-      // Count infractions from NS-C Log by type
-      const logCounts = { nsc: 0, nslc: 0, nsnc: 0, nss: 0, nsls: 0 };
-      infractions.forEach(inf => {
-        if (inf.type === 'NS/C') logCounts.nsc++;
-        else if (inf.type === 'NS/LC') logCounts.nslc++;
-        else if (inf.type === 'NS/NC') logCounts.nsnc++;
-        else if (inf.type === 'NS/S') logCounts.nss++;
-        else if (inf.type === 'NS/LS') logCounts.nsls++;
-      });
-
-      // Calculate how many infractions are missing from NS-C Log (historical data)
-      const missingCounts = {
-        nsc: Math.max(0, infData.nsc - logCounts.nsc),
-        nslc: Math.max(0, infData.nslc - logCounts.nslc),
-        nsnc: Math.max(0, infData.nsnc - logCounts.nsnc),
-        nss: Math.max(0, infData.nss - logCounts.nss),
-        nsls: Math.max(0, infData.nsls - logCounts.nsls)
-      };
-
-      const allInfractions = [];
-
-      // First, add infractions from NS-C Log (these have dates)
-      infractions.forEach(inf => {
-        const infDate = parseDate(inf.date);
-        const twoWeeksAfter = infDate ? new Date(infDate) : null;
-        if (twoWeeksAfter) twoWeeksAfter.setDate(twoWeeksAfter.getDate() + 14);
-
-        let pts = getInfractionPoints(inf.type);
-        let status = '';
-
-        if (pts > 0) {
-          const woIndex = availableWos.findIndex(wo => isWithinDays(wo.woDate, inf.date, 14));
-
-          if (woIndex !== -1) {
-            status = ' (already made up)';
-            pts = Math.max(0, pts - 1);
-            availableWos.splice(woIndex, 1);
-          } else if (twoWeeksAfter && today > twoWeeksAfter) {
-            status = ' (can no longer make up at this time)';
-          }
-        }
-
-        allInfractions.push({ ...inf, points: pts, status, hasDate: true });
-      });
-
-      // Then add missing infractions from Infraction List counts (no dates, but match with remaining WOs)
-      const addMissingInfractions = (count, type, basePts) => {
-        for (let i = 0; i < count; i++) {
-          let pts = basePts;
-          let status = '';
-
-          if (basePts > 0) {
-            // Try to match with remaining WOs (these would be older, already expired make-up windows)
-            if (availableWos.length > 0) {
-              status = ' (already made up)';
-              pts = Math.max(0, pts - 1);
-              availableWos.shift(); // Use oldest WO first
-            } else {
-              // No WO and no date means it's historical and can no longer be made up
-              status = ' (can no longer make up at this time)';
-            }
-          }
-
-          allInfractions.push({ type, points: pts, status, hasDate: false, date: null });
-        }
-      };
-
-      addMissingInfractions(missingCounts.nsc, 'NS/C', 1);
-      addMissingInfractions(missingCounts.nslc, 'NS/LC', 2);
-      addMissingInfractions(missingCounts.nsnc, 'NS/NC', 3);
-      addMissingInfractions(missingCounts.nss, 'NS/S', 0);
-      addMissingInfractions(missingCounts.nsls, 'NS/LS', 1);
-
-      // Sort: dated infractions first (by date), then undated ones
-      allInfractions.sort((a, b) => {
-        if (a.hasDate && b.hasDate) return new Date(a.date) - new Date(b.date);
-        if (a.hasDate) return -1;
-        if (b.hasDate) return 1;
-        return 0;
-      });
-
-      // Compute the actual total after date-based WO matching.
-      // This may differ from infData.total when WOs were outside the 14-day window.
-      const computedTotal = allInfractions.reduce((sum, inf) => sum + inf.points, 0);
-      allEmployeePoints.push({ name: rawName, totalPoints: computedTotal });
-      if (computedTotal <= 0) return;
-
-      employeeEmails.push({
-        name: rawName, firstName: getFirstName(rawName), totalPoints: computedTotal,
-        infractions: allInfractions, counts: infData
+  }, [pickupText, calloffText, importedFiles, units, profileForUnit, rosterIndexes]);
+
+  // Moving an entry to another unit re-runs it under that unit's policy and roster
+  const updateEntry = useCallback((id, changes) => {
+    const target = changes.unitId && units.find(u => u.id === changes.unitId);
+    const profile = target ? profileForUnit(target) : activeProfile;
+    setProcessedEntries(list => list.map(e => {
+      if (e.id !== id) return e;
+      const next = applyEntryOverride(e, changes, { profile, by: managerName });
+      return target ? resolveEntryNames([next], () => rosterIndexes[target.id])[0] : next;
+    }));
+  }, [units, profileForUnit, activeProfile, managerName, rosterIndexes]);
+
+  // A dry run compares one unit's entries with that unit's log
+  useEffect(() => {
+    setReconcileRows(null);
+    setReconcileUpload(null);
+    setReconcileText('');
+    setReconcileMessage('');
+  }, [activeUnit.id]);
+
+  // Only re-parse for diagnostics while the tab is open
+  const parseDiagnostics = useMemo(() => {
+    if (activeTab !== 'diagnostics') return [];
+    return [
+      { title: 'Pickups', text: pickupText, ...W2WParser.diagnose(pickupText, true) },
+      { title: 'Calloffs', text: calloffText, ...W2WParser.diagnose(calloffText, false) },
+      ...importedFiles.map(f => ({
+        title: `${f.fileName} (${f.kind === 'punches' ? 'time punches' : f.isPickup ? 'pickups' : 'calloffs'}, ${f.format.toUpperCase()})`,
+        text: null, entries: f.entries, skipped: f.skipped, unparsed: []
+      }))
+    ];
+  }, [activeTab, pickupText, calloffText, importedFiles]);
+
+  // An uploaded sheet wins over its paste box
+  const sheetInputs = useMemo(() => ({
+    nscLog: sheetUploads.nscLog?.rows || nscLogText,
+    infractionList: sheetUploads.infractionList?.rows || infractionListText,
+    woExpiration: sheetUploads.woExpiration?.rows || woExpirationText
+  }), [sheetUploads, nscLogText, infractionListText, woExpirationText]);
+
+  const uploadSheetFiles = useCallback(async (files) => {
+    try {
+      const { sheets, unmatched, missing } = await readSheetFiles(files, activeLayout);
+      updateUnitSheet('sheetUploads', current => ({ ...current, ...sheets }));
+      const found = Object.values(sheets).map(sh => `${sh.sheetName} (${sh.rows.length} rows)`);
+      setSheetUploadMessage([
+        found.length ? `Loaded ${found.join(', ')}` : 'No attendance sheets found',
+        ...unmatched,
+        missing.length && found.length ? `Not in this upload: ${missing.join(', ')}` : ''
+      ].filter(Boolean).join(' • '));
+    } catch (e) {
+      console.error(e);
+      setSheetUploadMessage(`Could not read the file: ${e.message}`);
+    }
+  }, [activeLayout, updateUnitSheet]);
+
+  // extensionStore lets an extension change rebuild with the store it is about to save
+  const processEmailSheets = useCallback((extensionStore = extensions) => {
+    let result;
+    try {
+      result = computeSheetPoints(sheetInputs, {
+        profile: activeProfile, layout: activeLayout, aliases: sheetAliases, rosterIndex, extensions: extensionStore
       });
-    });
-
-    employeeEmails.sort((a, b) => a.name.localeCompare(b.name));
-    allEmployeePoints.sort((a, b) => a.name.localeCompare(b.name));
-    setEmailData(employeeEmails);
-    setRawEmailData(allEmployeePoints);
-    if (employeeEmails.length > 0) setSelectedEmployee(employeeEmails[0].name);
-  }, [nscLogText, infractionListText, woExpirationText]);
-
+    } catch (e) {
+      // Refuse to build emails from a sheet whose columns we can't identify
+      setSheetResults(all => ({ ...all, [activeUnit.id]: { ...EMPTY_SHEET_RESULT, error: e.message } }));
+      return;
+    }
+    const { columns, employees, allEmployees, people } = result;
+    setSheetResults(all => ({ ...all, [activeUnit.id]: { error: '', columns, employees, allEmployees, people } }));
+    if (employees.length > 0) setSelectedEmployee(employees[0].name);
+  }, [sheetInputs, activeUnit.id, activeProfile, activeLayout, sheetAliases, rosterIndex, extensions]);
+
+  // Granting or removing an extension changes matching, so rebuild the emails already shown
+  const changeExtensions = useCallback((next) => {
+    setExtensions(next);
+    if (rawEmailData.length) processEmailSheets(next);
+  }, [rawEmailData.length, processEmailSheets]);
+
+  // Placeholder values shared by every template tier
+  const emailTemplateValues = useCallback((employee) => emailValues(employee, {
+    profile: activeProfile, managerName: activeUnit.managerName, signOff: Units.signOff(activeUnit), unitName: activeUnit.name
+  }), [activeUnit, activeProfile]);
+
+  // Returns { template, subject, body } using the template for the employee's point tier
   const generateEmail = useCallback((employee) => {
-    if (!employee) return '';
-
-    const lines = [
-      `Hi ${employee.firstName},`,
-      '',
-      `This is a reminder that you have accumulated ${employee.totalPoints} infraction point${employee.totalPoints !== 1 ? 's' : ''} so far.`,
-      '',
-      'This includes:',
-      ''
-    ];
-
-    employee.infractions.forEach(inf => {
-      if (inf.points === 0) return; // Skip 0-point infractions
-      if (inf.hasDate) {
-        lines.push(`    ${inf.points}: ${formatDateShort(inf.date)} : ${getInfractionDisplayName(inf.type)}${inf.status}`);
-      } else {
-        // Historical infraction without date from NS-C Log
-        lines.push(`    ${inf.points}: ${getInfractionDisplayName(inf.type)}${inf.status}`);
-      }
-    });
-
-    lines.push('', 'Please note that you have 2 weeks after the call-off date to make up your call-off shifts. Let us know if you need an extension.');
-    lines.push('', 'To be in good standing is to have at most 3 infraction points. Please also let us know if we make any mistakes or if you have any questions.');
-    lines.push('', 'Thank you,', managerName);
-    lines.push('', 'Note: This email was generated using an alpha version of our attendance tracking software. If you notice any mistakes or discrepancies, please let us know by replying to this email.');
-
-    return lines.join('\n');
-  }, [managerName]);
-
-  const woExpirationEntries = useMemo(() => {
-    const woEntries = processedEntries.filter(e => ['WO', 'WO Host'].includes(e.infraction));
-    const hostByDate = {};
-    woEntries.filter(e => e.infraction === 'WO Host').forEach(e => {
-      const key = `${e.name}|${e.shiftDate.toISOString().split('T')[0]}`;
-      if (!hostByDate[key]) hostByDate[key] = [];
-      hostByDate[key].push(e);
-    });
-    
-    const fullShifts = [], partialDoorShifts = [], processedKeys = new Set();
-    
-    woEntries.forEach(e => {
-      const woDate = new Date(e.shiftDate);
-      const entry = { name: e.name, woDate, isCancelled: e.isCancelled };
-      
-      if (e.infraction === 'WO') {
-        fullShifts.push(entry);
-      } else {
-        const key = `${e.name}|${e.shiftDate.toISOString().split('T')[0]}`;
-        if (hostByDate[key]?.length >= 2) {
-          if (!processedKeys.has(key)) {
-            entry.displayName = `${e.name} (HOST)`;
-            fullShifts.push(entry);
-            processedKeys.add(key);
-          }
-        } else {
-          partialDoorShifts.push(entry);
-        }
-      }
-    });
-    
-    return { fullShifts, partialDoorShifts };
-  }, [processedEntries]);
-
-  const generateGoogleSheetsScript = () => {
-    if (processedEntries.length === 0) return '';
-    
-    const entries = processedEntries.map(e => ({
-      name: e.name, date: e.shiftDate.toISOString().split('T')[0], infraction: e.infraction, isCancelled: e.isCancelled
+    if (!employee) return null;
+    return renderEmail(templateForPoints(emailTemplates, employee.totalPoints), emailTemplateValues(employee));
+  }, [emailTemplates, emailTemplateValues]);
+
+  // One ready-to-send message per employee for the bulk exports and mailto links
+  const emailMessages = useMemo(() => emailData.map(emp => {
+    const { template, subject, body } = generateEmail(emp);
+    return {
+      name: emp.name, firstName: emp.firstName, points: emp.totalPoints,
+      to: recipientFor(emp, emailDomain), subject, body, templateName: template.name
+    };
+  }), [emailData, emailDomain, generateEmail]);
+
+  // Each employee's stage compared with the last notice recorded for them
+  const escalationRows = useMemo(() => emailMessages.map(msg => {
+    const tier = templateTier(emailTemplates, msg.points);
+    return {
+      name: msg.name, points: msg.points, tier, templateName: msg.templateName,
+      status: EscalationLedger.status(escalationLedger, personKey(msg.name), msg.points, tier, emailTemplates.length)
+    };
+  }), [emailMessages, emailTemplates, escalationLedger, personKey]);
+
+  const recordNotices = useCallback((names) => {
+    const date = new Date().toISOString();
+    const notices = escalationRows.filter(r => names.includes(r.name)).map(r => ({
+      id: `notice-${Date.now()}-${personKey(r.name).replace(/\W+/g, '-')}`,
+      key: personKey(r.name), name: r.name, date,
+      points: r.points, tier: r.tier, template: r.templateName, stage: r.status.stage
     }));
-    
-    const woExp = {
-      fullShifts: woExpirationEntries.fullShifts.map(e => ({
-        name: e.displayName || e.name,
-        woDate: e.woDate.toISOString().split('T')[0]
-      })),
-      partialDoorShifts: woExpirationEntries.partialDoorShifts.map(e => ({
-        name: e.name,
-        woDate: e.woDate.toISOString().split('T')[0]
-      }))
+    setEscalationLedger(ledger => EscalationLedger.record(ledger, notices));
+  }, [escalationRows, personKey]);
+
+  // Names from W2W and the sheets the roster can't resolve; only meaningful once a roster exists
+  const unknownNames = useMemo(() => {
+    if (!roster.length) return [];
+    const seen = new Map();
+    const note = (name, source) => {
+      if (!name || Roster.resolve(rosterIndex, name)) return;
+      const key = normalizeName(name);
+      if (!seen.has(key)) seen.set(key, { name, sources: [] });
+      if (!seen.get(key).sources.includes(source)) seen.get(key).sources.push(source);
     };
-    
-    return `function addInfractions() {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const logSheet = ss.getSheetByName('NS-C Log');
-  const woSheet = ss.getSheetByName('WO Expiration');
-  
-  const entries = ${JSON.stringify(entries, null, 2)};
-  const woExpiration = ${JSON.stringify(woExp, null, 2)};
-  
-  const headerRow = logSheet.getRange(1, 1, 1, logSheet.getLastColumn()).getValues()[0];
-  const dateColumns = {};
-  for (let col = 1; col < headerRow.length; col++) {
-    if (headerRow[col] instanceof Date) {
-      dateColumns[Utilities.formatDate(headerRow[col], Session.getScriptTimeZone(), 'yyyy-MM-dd')] = col + 1;
+    unitEntries.forEach(e => note(e.name, 'W2W'));
+    sheetPeople.forEach(p => note(p.name, p.source));
+    return [...seen.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }, [roster.length, rosterIndex, unitEntries, sheetPeople]);
+
+  const exportEmails = useCallback((format) => {
+    const stamp = toDateInputValue(new Date());
+    if (format === 'eml') downloadFile(`attendance-emails-${stamp}.zip`, emlZip(emailMessages));
+    else downloadFile(`attendance-mail-merge-${stamp}.csv`, mailMergeCSV(emailMessages), 'text/csv');
+  }, [emailMessages]);
+
+
+  // Compare the processed entries with a copy of the NS-C Log taken when "Compare" was pressed
+  const reconciliation = useMemo(() => {
+    if (!reconcileRows) return null;
+    return reconcileEntries(unitEntries, SheetParser.parseNSCLogGrid(reconcileRows, activeLayout), {
+      calloffCodes: PolicyProfiles.calloffCodes(activeProfile),
+      woCodes: PolicyProfiles.pickupCodes(activeProfile),
+      dateKey: toDateInputValue,
+      nameKey: rosterKey,
+      columnLetter,
+      nameColumn: activeLayout.logNameColumn,
+      otherSpellings: e => Roster.otherSpellings(rosterIndex, e.name)
+    });
+  }, [reconcileRows, unitEntries, activeProfile, activeLayout, rosterKey, rosterIndex]);
+
+  const approvedChangeIds = useMemo(() => new Set((reconciliation || [])
+    .filter(c => APPROVABLE_KINDS.includes(c.kind) && !rejectedChanges.has(c.id))
+    .map(c => c.id)), [reconciliation, rejectedChanges]);
+
+  const compareWithLog = useCallback(() => {
+    const rows = reconcileUpload?.rows || SheetParser.splitRows(reconcileText);
+    const grid = SheetParser.parseNSCLogGrid(rows, activeLayout);
+    if (!Object.keys(grid.dateColumns).length || !Object.keys(grid.employees).length) {
+      setReconcileMessage(`Could not find dates in row ${activeLayout.logHeaderRow} and names in column ${activeLayout.logNameColumn}. Copy the whole ${activeLayout.logSheet} sheet (Ctrl+A → Ctrl+C), or check the sheet layout in Policy.`);
+      return;
     }
-  }
-  
-  const nameColumn = logSheet.getRange(2, 1, logSheet.getLastRow() - 1, 1).getValues();
-  const employeeRows = {};
-  nameColumn.forEach((row, i) => { if (row[0]) employeeRows[row[0].trim()] = i + 2; });
-  
-  const calloffTypes = ['NS/C', 'NS/LC', 'NS/NC', 'NS/S', 'NS/LS'];
-  const replacedWOs = [];
-  let added = 0, updated = 0, errors = [];
-  entries.forEach(e => {
-    const row = employeeRows[e.name], col = dateColumns[e.date];
-    if (row && col) {
-      const cell = logSheet.getRange(row, col);
-      const current = cell.getValue();
-      if (!current) {
-        cell.setValue(e.infraction);
-        added++;
-      } else if (current !== e.infraction && (calloffTypes.includes(e.infraction) && (current === 'WO' || current === 'WO Host'))) {
-        cell.setValue(e.infraction);
-        updated++;
-        replacedWOs.push({ name: e.name, date: e.date });
+    setReconcileMessage('');
+    setRejectedChanges(new Set());
+    setReconcileRows(rows);
+  }, [reconcileText, reconcileUpload, activeLayout]);
+
+  const uploadReconcileLog = useCallback(async (files) => {
+    try {
+      const { sheets } = await readSheetFiles(files, activeLayout);
+      if (!sheets.nscLog) {
+        setReconcileMessage(`No ${activeLayout.logSheet} sheet found in ${files.map(f => f.name).join(', ')}`);
+        return;
       }
-    } else {
-      errors.push((row ? '' : 'Employee: ' + e.name) + (col ? '' : ' Date: ' + e.date));
+      setReconcileUpload(sheets.nscLog);
+      setReconcileMessage('');
+    } catch (e) {
+      setReconcileMessage(`Could not read ${files.map(f => f.name).join(', ')}: ${e.message}`);
     }
-  });
-
-  // Build a set of calloff name+date combos to skip WO writes for same-batch conflicts
-  const calloffKeys = new Set();
-  entries.forEach(e => {
-    if (calloffTypes.includes(e.infraction)) calloffKeys.add(e.name + '|' + e.date);
-  });
+  }, [activeLayout]);
 
-  if (woSheet) {
-    let fullRow = 3; while (woSheet.getRange(fullRow, 1).getValue()) fullRow++;
-    let partialRow = 3; while (woSheet.getRange(partialRow, 7).getValue()) partialRow++;
-
-    woExpiration.fullShifts.forEach(wo => {
-      if (calloffKeys.has(wo.name + '|' + wo.woDate)) return;
-      const parts = wo.woDate.split('-');
-      const dateStr = parseInt(parts[1]) + '/' + parseInt(parts[2]) + '/' + parts[0];
-      woSheet.getRange(fullRow, 1).setValue(wo.name);
-      woSheet.getRange(fullRow, 2).setValue(dateStr);
-      fullRow++;
+  const toggleChange = useCallback((id) => {
+    setRejectedChanges(set => {
+      const next = new Set(set);
+      if (next.has(id)) next.delete(id); else next.add(id);
+      return next;
     });
+  }, []);
 
-    woExpiration.partialDoorShifts.forEach(wo => {
-      if (calloffKeys.has(wo.name + '|' + wo.woDate)) return;
-      const parts = wo.woDate.split('-');
-      const dateStr = parseInt(parts[1]) + '/' + parseInt(parts[2]) + '/' + parts[0];
-      woSheet.getRange(partialRow, 7).setValue(wo.name);
-      woSheet.getRange(partialRow, 8).setValue(dateStr);
-      partialRow++;
+  const setChangeKindApproved = useCallback((kind, approved) => {
+    setRejectedChanges(set => {
+      const next = new Set(set);
+      reconciliation.filter(c => c.kind === kind).forEach(c => (approved ? next.delete(c.id) : next.add(c.id)));
+      return next;
     });
-
-    // Remove WO Expiration entries for WOs that were replaced by calloffs, then shift up
-    if (replacedWOs.length > 0) {
-      let removed = 0;
-
-      function normalizeDate(d) {
-        if (!d) return '';
-        if (d instanceof Date) {
-          return (d.getMonth()+1) + '/' + d.getDate() + '/' + d.getFullYear();
-        }
-        var parts = d.toString().split('-');
-        if (parts.length === 3 && parts[0].length === 4) {
-          return parseInt(parts[1]) + '/' + parseInt(parts[2]) + '/' + parts[0];
-        }
-        return d.toString();
-      }
-
-      function isMatch(name, date) {
-        var nd = normalizeDate(date);
-        for (var w = 0; w < replacedWOs.length; w++) {
-          if (name === replacedWOs[w].name && nd === normalizeDate(replacedWOs[w].date)) return true;
-        }
-        return false;
-      }
-
-      // Collect, filter, and rewrite full shifts (columns 1-2)
-      var fullEntries = [];
-      for (var r = 3; woSheet.getRange(r, 1).getValue(); r++) {
-        var name = woSheet.getRange(r, 1).getValue().toString().trim();
-        var date = woSheet.getRange(r, 2).getValue();
-        if (isMatch(name, date)) { removed++; } else { fullEntries.push([name, date]); }
-      }
-      var fullEndRow = r - 1;
-      if (fullEndRow >= 3) woSheet.getRange(3, 1, fullEndRow - 2, 2).clearContent();
-      fullEntries.forEach(function(entry, i) {
-        woSheet.getRange(3 + i, 1).setValue(entry[0]);
-        woSheet.getRange(3 + i, 2).setValue(entry[1]);
-      });
-
-      // Collect, filter, and rewrite partial/door shifts (columns 7-8)
-      var partialEntries = [];
-      for (var r = 3; woSheet.getRange(r, 7).getValue(); r++) {
-        var name = woSheet.getRange(r, 7).getValue().toString().trim();
-        var date = woSheet.getRange(r, 8).getValue();
-        if (isMatch(name, date)) { removed++; } else { partialEntries.push([name, date]); }
-      }
-      var partialEndRow = r - 1;
-      if (partialEndRow >= 3) woSheet.getRange(3, 7, partialEndRow - 2, 2).clearContent();
-      partialEntries.forEach(function(entry, i) {
-        woSheet.getRange(3 + i, 7).setValue(entry[0]);
-        woSheet.getRange(3 + i, 8).setValue(entry[1]);
-      });
-    }
-  }
-
-  SpreadsheetApp.getUi().alert('Added ' + added + ' infractions.' +
-    (updated ? '\\nUpdated ' + updated + ' (replaced WO with calloff).' : '') +
-    (typeof removed !== 'undefined' && removed ? '\\nRemoved ' + removed + ' from WO Expiration.' : '') + '\\n' +
-    (errors.length ? 'Errors: ' + errors.join(', ') : 'No errors.'));
-}`;
-  };
+  }, [reconciliation]);
+
+  // After a dry run only the approved changes are written; otherwise every processed entry.
+  // Returns { apply, undo } scripts for the batch, or null when there is nothing to write.
+  const googleSheetsScripts = useMemo(() => {
+    const scriptEntries = reconciliation ? unitEntries.filter(e => approvedChangeIds.has(e.id)) : unitEntries;
+    return buildBatchScripts(scriptEntries, {
+      profile: activeProfile, layout: activeLayout, otherSpellings: e => Roster.otherSpellings(rosterIndex, e.name)
+    });
+  }, [reconciliation, approvedChangeIds, unitEntries, activeProfile, activeLayout, rosterIndex]);
 
   const copyToClipboard = async (text, label) => {
     try { await navigator.clipboard.writeText(text); setCopySuccess(label); setTimeout(() => setCopySuccess(''), 2000); } 
@@ -817,14 +623,119 @@ export default function W2WAttendanceProcessor() {
   };
 
   const getInfractionColor = (type) => {
-    return { 'NS/C': 'bg-yellow-100 text-yellow-800', 'NS/LC': 'bg-orange-100 text-orange-800',
-             'NS/NC': 'bg-red-100 text-red-800', 'NS/S': 'bg-green-100 text-green-800',
-             'NS/LS': 'bg-amber-100 text-amber-800', 'WO': 'bg-blue-100 text-blue-800',
-             'WO Host': 'bg-indigo-100 text-indigo-800', 'Prelim': 'bg-purple-100 text-purple-800'
-           }[type] || 'bg-gray-100 text-gray-800';
+    return { callout: 'bg-yellow-100 text-yellow-800', lateCallout: 'bg-orange-100 text-orange-800',
+             noCall: 'bg-red-100 text-red-800', sick: 'bg-green-100 text-green-800',
+             lateSick: 'bg-amber-100 text-amber-800', pickup: 'bg-blue-100 text-blue-800',
+             hostPickup: 'bg-indigo-100 text-indigo-800', academic: 'bg-purple-100 text-purple-800',
+             late: 'bg-rose-100 text-rose-800', veryLate: 'bg-rose-200 text-rose-900'
+           }[PolicyProfiles.roleForCode(activeProfile, type)] || 'bg-gray-100 text-gray-800';
+  };
+
+  const makeUpRows = useMemo(() => openMakeUps(emailData, {
+    windowDays: activeProfile.notice.makeUpWindowDays, parseDate, includeExpired: true
+  }), [emailData, activeProfile]);
+
+  // Everyone any unit's sheets, this batch or the ledger knows about, merged by roster key so
+  // someone who works at several units appears once with a part per unit
+  const historyPeople = useMemo(() => {
+    const people = new Map();
+    const person = (name, unitId) => {
+      // Ledger notices carry no unit, so use whichever roster knows the name
+      const index = unitId ? rosterIndexes[unitId] : Object.values(rosterIndexes).find(idx => Roster.resolve(idx, name));
+      const key = index ? normalizeName(Roster.canonicalName(index, name)) : rosterKey(name);
+      if (!people.has(key)) people.set(key, { key, name, units: [], notices: [] });
+      return people.get(key);
+    };
+    const part = (p, unit) => {
+      if (!p.units.some(x => x.unitId === unit.id)) p.units.push({ unitId: unit.id, unit: unit.name, sheet: null, entries: [] });
+      return p.units.find(x => x.unitId === unit.id);
+    };
+    units.forEach(u => (sheetResults[u.id]?.allEmployees || []).forEach(emp => { part(person(emp.name, u.id), u).sheet = emp; }));
+    processedEntries.forEach(e => {
+      const unit = units.find(u => u.id === unitIdOf(e));
+      part(person(e.name, unit.id), unit).entries.push(e);
+    });
+    // Notices keyed to a roster entry follow it through renames
+    const byId = new Map(Object.values(rosters).flat().map(emp => [emp.id, emp]));
+    escalationLedger.notices.forEach(n => person(byId.get(n.key)?.name || n.name).notices.push(n));
+    const order = (x) => units.findIndex(u => u.id === x.unitId);
+    return [...people.values()]
+      .map(p => ({ ...p, units: p.units.sort((a, b) => order(a) - order(b)) }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [units, sheetResults, processedEntries, escalationLedger, rosters, rosterIndexes, rosterKey, unitIdOf]);
+
+  // Only re-parse the NS-C Log for analytics while the tab is open
+  const analyticsRecords = useMemo(() => {
+    if (activeTab !== 'analytics') return [];
+    const { notice } = activeProfile;
+    const hasWarning = (e, code) => e.warnings.some(w => w.code === code);
+    const classify = (e) => {
+      const hours = AttendancePolicyEngine.calculateHoursNotice(e.requestedDate, e.shiftDate, e.shiftTime);
+      const band = hasWarning(e, 'defaultShiftTime') ? 'Shift time unknown'
+        : AttendancePolicyEngine.isWeekendMorningShift(e.shiftDate, e.shiftTime, notice.weekendMorningCutoffHour) ? 'Weekend morning'
+        : AttendancePolicyEngine.isEveningShift(e.shiftTime) ? 'Evening'
+        : AttendancePolicyEngine.isTuesdayOrThursday(e.shiftDate) ? 'Tue/Thu day'
+        : 'Other day';
+      return { band, hoursNotice: hours === 999 || hasWarning(e, 'defaultRequestedDate') ? null : hours };
+    };
+    return attendanceRecords({
+      entries: unitEntries,
+      logEmployees: SheetParser.parseNSCLog(sheetInputs.nscLog, activeProfile, activeLayout).employees,
+      profile: activeProfile, rosterKey, classify
+    });
+  }, [activeTab, unitEntries, sheetInputs, activeProfile, activeLayout, rosterKey]);
+
+  const historyDisplayName = useCallback(type => getInfractionDisplayName(type, activeProfile), [activeProfile]);
+
+  const showHistory = (name) => {
+    setHistoryKey(rosterKey(name));
+    setActiveTab('history');
   };
 
   const selectedEmployeeData = emailData.find(e => e.name === selectedEmployee);
+  const selectedMessage = emailMessages.find(m => m.name === selectedEmployee);
+  const missingAddressCount = emailMessages.filter(m => !m.to).length;
+
+  // Which header sits in which column; compared against the layout the manager last confirmed
+  const sheetColumnsFingerprint = sheetColumns && JSON.stringify(Object.entries(sheetColumns)
+    .map(([sheet, cols]) => [sheet, cols.map(c => [c.field, c.index, c.header])]));
+
+  const renderSheetInput = (key, text, setText) => {
+    const upload = sheetUploads[key];
+    const label = sheetLabel(key, activeLayout);
+    return (
+      <div>
+        <label className="block text-sm font-medium mb-1">{label}</label>
+        {upload ? (
+          <div className="h-28 p-2 border rounded-lg bg-purple-50 text-xs flex flex-col justify-between">
+            <div>
+              <div className="font-medium text-purple-800">{upload.fileName}</div>
+              <div className="text-slate-500">{upload.sheetName} • {upload.rows.length} rows</div>
+            </div>
+            <button onClick={() => setSheetUploads(({ [key]: removed, ...rest }) => rest)} className="self-start text-purple-600 hover:text-red-600">Remove and paste instead</button>
+          </div>
+        ) : (
+          <textarea value={text} onChange={e => setText(e.target.value)} placeholder={`Paste ${label}...`} className="w-full h-28 p-2 border rounded-lg font-mono text-xs"/>
+        )}
+      </div>
+    );
+  };
+
+  const renderImportedFiles = (isPickup) => {
+    const files = importedFiles.filter(f => f.isPickup === isPickup);
+    if (files.length === 0) return null;
+    const lateCount = (f) => f.entries.filter(e => AttendancePolicyEngine.classifyLateArrival(e.minutesLate, activeProfile.notice)).length;
+    return (
+      <div className="mt-2 flex flex-wrap gap-2">
+        {files.map(f => (
+          <span key={f.id} className="flex items-center gap-1 px-2 py-1 bg-blue-50 text-blue-800 text-xs rounded">
+            {f.fileName} • {f.kind === 'punches' ? `${f.entries.length} punches, ${lateCount(f)} late` : `${f.entries.length} entries`}{f.skipped.length ? `, ${f.skipped.length} skipped` : ''}
+            <button onClick={() => setImportedFiles(list => list.filter(x => x.id !== f.id))} className="ml-1 text-blue-400 hover:text-red-600">×</button>
+          </span>
+        ))}
+      </div>
+    );
+  };
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 p-4">
@@ -835,10 +746,18 @@ export default function W2WAttendanceProcessor() {
               <h1 className="text-2xl font-bold text-slate-800">W2W Attendance Helper</h1>
               <p className="text-slate-500 mt-1">Process requests & generate weekly emails</p>
             </div>
-            <button onClick={() => setShowInstructions(!showInstructions)}
-              className="flex items-center gap-2 px-4 py-2 bg-slate-100 hover:bg-slate-200 rounded-lg">
-              <Info size={18} /> {showInstructions ? 'Hide' : 'Help'}
-            </button>
+            <div className="flex items-center gap-2">
+              <label className="flex items-center gap-2 px-3 py-2 bg-slate-100 rounded-lg text-sm font-medium" title="Dining unit">
+                <Store size={18} className="text-slate-500"/>
+                <select value={activeUnit.id} onChange={e => setActiveUnitId(e.target.value)} className="bg-transparent">
+                  {units.map(u => <option key={u.id} value={u.id}>{u.name}{unitEntryCounts[u.id] ? ` (${unitEntryCounts[u.id]})` : ''}</option>)}
+                </select>
+              </label>
+              <button onClick={() => setShowInstructions(!showInstructions)}
+                className="flex items-center gap-2 px-4 py-2 bg-slate-100 hover:bg-slate-200 rounded-lg">
+                <Info size={18} /> {showInstructions ? 'Hide' : 'Help'}
+              </button>
+            </div>
           </div>
           
           {showInstructions && (
@@ -857,23 +776,35 @@ export default function W2WAttendanceProcessor() {
 
         <div className="bg-white rounded-xl shadow-lg p-4 mb-6 flex flex-wrap gap-4 items-center">
           <label className="flex items-center gap-2 text-sm">
-            NS-C: <input type="range" min={12} max={72} value={nsCWindow} onChange={e => setNsCWindow(+e.target.value)} className="w-20" />
-            <span className="text-blue-600 font-semibold w-8">{nsCWindow}h</span>
+            Policy: <select value={activeProfile.id} onChange={e => updateActiveUnit({ profileId: e.target.value })} className="px-2 py-1 border rounded">
+              {policyProfiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-2 text-sm">
+            Sheets: <select value={activeLayout.id} onChange={e => updateActiveUnit({ layoutId: e.target.value })} className="px-2 py-1 border rounded">
+              {sheetLayouts.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+            </select>
           </label>
           <label className="flex items-center gap-2 text-sm">
-            <input type="checkbox" checked={allowAnyDay2Days} onChange={e => setAllowAnyDay2Days(e.target.checked)} />
-            Allow all call-offs to be made up within 2 days
+            {activeProfile.types.callout.code}: <input type="number" min={calloutLimits[0]} max={calloutLimits[1]} value={activeProfile.notice.calloutWindowHours}
+              onChange={e => e.target.value !== '' && updateActiveNotice({ calloutWindowHours: Math.min(calloutLimits[1], Math.max(calloutLimits[0], +e.target.value)) })}
+              className="px-2 py-1 border rounded w-20" />
+            <span className="text-slate-500">h notice</span>
           </label>
           <label className="flex items-center gap-2 text-sm">
-            Manager: <input type="text" value={managerName} onChange={e => setManagerName(e.target.value)} className="px-2 py-1 border rounded w-24" />
+            <input type="checkbox" checked={activeProfile.notice.allowAnyDayCalloff} onChange={e => updateActiveNotice({ allowAnyDayCalloff: e.target.checked })} />
+            Allow all call-offs to be made up within {activeProfile.notice.anyDayCalloffDays} days
+          </label>
+          <label className="flex items-center gap-2 text-sm">
+            Manager: <input type="text" value={managerName} onChange={e => updateActiveUnit({ managerName: e.target.value })} className="px-2 py-1 border rounded w-24" />
           </label>
         </div>
 
         <div className="flex gap-2 mb-4 flex-wrap">
-          {['input', 'results', 'export', 'emails'].map(tab => (
+          {['input', 'results', 'diagnostics', 'export', 'emails', 'deadlines', 'history', 'analytics', 'roster', 'policy'].map(tab => (
             <button key={tab} onClick={() => setActiveTab(tab)}
               className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 ${activeTab === tab ? 'bg-blue-600 text-white' : 'bg-white text-slate-600 hover:bg-slate-50'}`}>
-              {tab === 'emails' ? <Mail size={16}/> : tab === 'input' ? <Upload size={16}/> : tab === 'results' ? <FileText size={16}/> : <Settings size={16}/>}
+              {tab === 'emails' ? <Mail size={16}/> : tab === 'input' ? <Upload size={16}/> : tab === 'results' ? <FileText size={16}/> : tab === 'policy' ? <Sliders size={16}/> : tab === 'diagnostics' ? <SearchCheck size={16}/> : tab === 'roster' ? <Users size={16}/> : tab === 'deadlines' ? <Calendar size={16}/> : tab === 'history' ? <History size={16}/> : tab === 'analytics' ? <BarChart2 size={16}/> : <Settings size={16}/>}
               {tab.charAt(0).toUpperCase() + tab.slice(1)}
             </button>
           ))}
@@ -881,76 +812,150 @@ export default function W2WAttendanceProcessor() {
 
         {activeTab === 'input' && (
           <div className="space-y-4">
+            <SessionPanel
+              sessions={recentSessions}
+              currentId={sessionId}
+              saveError={sessionSaveError}
+              onOpen={openSession}
+              onNew={() => loadSession(null)}
+              onDelete={id => { setRecentSessions(SessionStore.remove(id)); if (id === sessionId) loadSession(null); }}
+              onClearAll={clearAllData}
+            />
             <div className="grid md:grid-cols-2 gap-4">
               <div className="bg-white rounded-xl shadow-lg p-6">
                 <h2 className="font-semibold text-slate-800 mb-3 flex items-center gap-2"><Upload size={18} className="text-blue-600"/> Pickups</h2>
-                <textarea value={pickupText} onChange={e => setPickupText(e.target.value)} placeholder="Paste Trades Awaiting Approval..." className="w-full h-56 p-3 border rounded-lg font-mono text-sm"/>
+                <FileDrop accept=".html,.htm,.csv,.tsv,.txt" label="Upload HTML/CSV" onFiles={files => importW2WFiles(files, true)}>
+                  <textarea value={pickupText} onChange={e => setPickupText(e.target.value)} placeholder="Paste Trades Awaiting Approval..." className="w-full h-56 p-3 border rounded-lg font-mono text-sm"/>
+                </FileDrop>
+                {renderImportedFiles(true)}
               </div>
               <div className="bg-white rounded-xl shadow-lg p-6">
                 <h2 className="font-semibold text-slate-800 mb-3 flex items-center gap-2"><Calendar size={18} className="text-orange-600"/> Calloffs</h2>
-                <textarea value={calloffText} onChange={e => setCalloffText(e.target.value)} placeholder="Paste Pending Time Off..." className="w-full h-56 p-3 border rounded-lg font-mono text-sm"/>
+                <FileDrop accept=".html,.htm,.csv,.tsv,.txt" label="Upload HTML/CSV" onFiles={files => importW2WFiles(files, false)}>
+                  <textarea value={calloffText} onChange={e => setCalloffText(e.target.value)} placeholder="Paste Pending Time Off..." className="w-full h-56 p-3 border rounded-lg font-mono text-sm"/>
+                </FileDrop>
+                {renderImportedFiles(false)}
               </div>
             </div>
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <h2 className="font-semibold text-slate-800 mb-1 flex items-center gap-2"><Clock size={18} className="text-amber-600"/> Time punches <span className="font-normal text-sm text-slate-400">(optional)</span></h2>
+              <p className="text-xs text-slate-500 mb-3">
+                A time-clock CSV with Employee, Scheduled Start and Clock In columns. Arrivals more than {activeProfile.notice.lateGraceMinutes} min late
+                are {activeProfile.types.late.code} ({activeProfile.types.late.points} pt); over {activeProfile.notice.veryLateMinutes} min, {activeProfile.types.veryLate.code} ({activeProfile.types.veryLate.points} pt).
+              </p>
+              <FileDrop accept=".csv,.tsv,.txt" label="Upload time punches" onFiles={importTimePunches}/>
+              {renderImportedFiles(null)}
+            </div>
+            {importMessage && <p className="text-center text-sm text-slate-500">{importMessage}</p>}
             <div className="flex justify-center">
-              <button onClick={processData} disabled={!pickupText.trim() && !calloffText.trim()} className="flex items-center gap-2 px-8 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-slate-300 text-white font-semibold rounded-xl shadow-lg">
+              <button onClick={processData} disabled={!pickupText.trim() && !calloffText.trim() && importedFiles.length === 0} className="flex items-center gap-2 px-8 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-slate-300 text-white font-semibold rounded-xl shadow-lg">
                 <RefreshCw size={20}/> Let's Go
               </button>
             </div>
+            {units.length > 1 && (
+              <p className="text-center text-xs text-slate-500">
+                Requests are routed by their W2W position text: {units.filter(u => u.locations.length).map(u => `${u.name} (${u.locations.join(', ')})`).join(', ') || 'no unit has location words yet'}.
+                Anything else goes to {units[0].name}.
+              </p>
+            )}
           </div>
         )}
 
         {activeTab === 'results' && (
           <div className="bg-white rounded-xl shadow-lg p-6">
             <div className="flex justify-between items-center mb-4">
-              <h2 className="font-semibold">Results ({processedEntries.length})</h2>
+              <h2 className="font-semibold">Results ({unitEntries.length}){units.length > 1 && <span className="font-normal text-sm text-slate-500"> • {activeUnit.name}{processedEntries.length > unitEntries.length ? `, ${processedEntries.length - unitEntries.length} more in other units` : ''}</span>}</h2>
               <div className="flex gap-3 text-sm">
-                <span>Net: {processedEntries.reduce((s,e) => s + e.points, 0)} pts</span>
+                <span>Net: {unitEntries.reduce((s,e) => s + (e.isCancelled ? 0 : e.points), 0)} pts</span>
               </div>
             </div>
-            {processedEntries.length === 0 ? <p className="text-slate-400 text-center py-12">Process data first</p> : (
-              <div className="overflow-x-auto">
-                <table className="w-full text-sm">
-                  <thead><tr className="border-b"><th className="text-left py-2 px-3">Employee</th><th className="text-left py-2 px-3">Date</th><th className="text-left py-2 px-3">Type</th><th className="text-left py-2 px-3">Pts</th></tr></thead>
-                  <tbody>
-                    {processedEntries.map((e,i) => (
-                      <tr key={i} className={`border-b hover:bg-slate-50`}>
-                        <td className="py-2 px-3 font-medium">{e.name}</td>
-                        <td className="py-2 px-3">{e.shiftDate.toLocaleDateString('en-US',{month:'short',day:'numeric'})}</td>
-                        <td className="py-2 px-3"><span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${getInfractionColor(e.infraction)}`}>{e.infraction}</span></td>
-                        <td className="py-2 px-3"><span className={e.points > 0 ? 'text-red-600' : e.points < 0 ? 'text-green-600' : ''}>{e.points > 0 ? '+' : ''}{e.points}</span></td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
+            {unitEntries.length === 0 ? <p className="text-slate-400 text-center py-12">{processedEntries.length ? `No entries were routed to ${activeUnit.name}` : 'Process data first'}</p> : (
+              <ResultsTable entries={unitEntries} profile={activeProfile} units={units} getInfractionColor={getInfractionColor} onChange={updateEntry}/>
             )}
           </div>
         )}
 
+        {activeTab === 'diagnostics' && <DiagnosticsPanel sections={parseDiagnostics}/>}
+
         {activeTab === 'export' && (
-          <div className="bg-white rounded-xl shadow-lg p-6">
-            <div className="flex justify-between items-center mb-4">
-              <h2 className="font-semibold">Google Sheets Script</h2>
-              <button onClick={() => copyToClipboard(generateGoogleSheetsScript(), 'script')} disabled={processedEntries.length === 0} className="flex items-center gap-2 px-4 py-2 bg-green-600 hover:bg-green-700 disabled:bg-slate-300 text-white rounded-lg">
-                <Copy size={16}/> {copySuccess === 'script' ? 'Copied!' : 'Copy'}
-              </button>
+          <div className="space-y-4">
+            <div className="bg-white rounded-xl shadow-lg p-6 space-y-3">
+              <div className="flex flex-wrap justify-between items-center gap-2">
+                <h2 className="font-semibold">Dry run against the current NS-C Log <span className="font-normal text-sm text-slate-400">(optional)</span></h2>
+                {reconciliation && <button onClick={() => setReconcileRows(null)} className="text-xs text-slate-500 hover:text-red-600">Clear dry run and write everything</button>}
+              </div>
+              <FileDrop accept=".xlsx,.xlsm,.xls,.ods,.csv,.tsv" multiple={false} label="Upload workbook / NS-C Log" onFiles={uploadReconcileLog}>
+                {reconcileUpload ? (
+                  <div className="p-2 border rounded-lg bg-purple-50 text-xs flex justify-between items-center">
+                    <span><span className="font-medium text-purple-800">{reconcileUpload.fileName}</span> <span className="text-slate-500">• {reconcileUpload.sheetName} • {reconcileUpload.rows.length} rows</span></span>
+                    <button onClick={() => setReconcileUpload(null)} className="text-purple-600 hover:text-red-600">Remove and paste instead</button>
+                  </div>
+                ) : (
+                  <textarea value={reconcileText} onChange={e => setReconcileText(e.target.value)} placeholder="Paste the NS-C Log sheet (Ctrl+A → Ctrl+C)..." className="w-full h-24 p-2 border rounded-lg font-mono text-xs"/>
+                )}
+              </FileDrop>
+              <div className="flex flex-wrap items-center gap-2">
+                <button onClick={compareWithLog} disabled={unitEntries.length === 0 || !(reconcileUpload || reconcileText.trim())} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-slate-300 text-white rounded-lg text-sm">Compare</button>
+                {!reconcileUpload && !reconcileText.trim() && hasSheetInput(sheetInputs.nscLog) && (
+                  <button onClick={() => (sheetUploads.nscLog ? setReconcileUpload(sheetUploads.nscLog) : setReconcileText(nscLogText))} className="px-3 py-2 bg-slate-100 hover:bg-slate-200 rounded-lg text-sm">Use the NS-C Log from the Emails tab</button>
+                )}
+                {reconcileMessage && <span className="text-sm text-red-600">{reconcileMessage}</span>}
+              </div>
+              {reconciliation && (
+                <ReconcilePanel changes={reconciliation} approvedIds={approvedChangeIds} onToggle={toggleChange} onSetKind={setChangeKindApproved}/>
+              )}
             </div>
-            <pre className="bg-slate-900 text-green-400 p-4 rounded-lg text-xs overflow-auto max-h-72 font-mono">{processedEntries.length > 0 ? generateGoogleSheetsScript() : '// Process data first'}</pre>
+            {[
+              { key: 'apply', title: 'Google Sheets Script', copyLabel: 'script', color: 'bg-green-600 hover:bg-green-700' },
+              { key: 'undo', title: 'Undo Script', copyLabel: 'undo', color: 'bg-slate-600 hover:bg-slate-700',
+                note: 'Run after the script above to restore the previous NS-C Log values and WO Expiration rows for this batch.' }
+            ].map(({ key, title, copyLabel, color, note }) => (
+              <div key={key} className="bg-white rounded-xl shadow-lg p-6">
+                <div className="flex justify-between items-center mb-4">
+                  <div>
+                    <h2 className="font-semibold">{title}{units.length > 1 ? ` for ${activeUnit.name}` : ''} {googleSheetsScripts && <span className="font-normal text-sm text-slate-500">• batch {googleSheetsScripts.batchId}{reconciliation ? ` • ${approvedChangeIds.size} approved change${approvedChangeIds.size !== 1 ? 's' : ''}` : ''}</span>}</h2>
+                    {note && <p className="text-xs text-slate-500">{note}</p>}
+                  </div>
+                  <button onClick={() => copyToClipboard(googleSheetsScripts[key], copyLabel)} disabled={!googleSheetsScripts} className={`flex items-center gap-2 px-4 py-2 ${color} disabled:bg-slate-300 text-white rounded-lg`}>
+                    <Copy size={16}/> {copySuccess === copyLabel ? 'Copied!' : 'Copy'}
+                  </button>
+                </div>
+                <pre className={`bg-slate-900 ${key === 'apply' ? 'text-green-400' : 'text-slate-300'} p-4 rounded-lg text-xs overflow-auto max-h-72 font-mono`}>
+                  {unitEntries.length === 0 ? '// Process data first' : googleSheetsScripts?.[key] || '// No approved changes to write'}
+                </pre>
+              </div>
+            ))}
           </div>
         )}
 
         {activeTab === 'emails' && (
           <div className="space-y-4">
             <div className="bg-white rounded-xl shadow-lg p-6">
-              <h2 className="font-semibold mb-4 flex items-center gap-2"><ClipboardList size={18} className="text-purple-600"/> Paste Sheets (Ctrl+A → Ctrl+C)</h2>
-              <div className="grid md:grid-cols-3 gap-4 mb-4">
-                <div><label className="block text-sm font-medium mb-1">NS-C Log</label><textarea value={nscLogText} onChange={e => setNscLogText(e.target.value)} placeholder="Paste NS-C Log..." className="w-full h-28 p-2 border rounded-lg font-mono text-xs"/></div>
-                <div><label className="block text-sm font-medium mb-1">Infraction List</label><textarea value={infractionListText} onChange={e => setInfractionListText(e.target.value)} placeholder="Paste Infraction List..." className="w-full h-28 p-2 border rounded-lg font-mono text-xs"/></div>
-                <div><label className="block text-sm font-medium mb-1">WO Expiration</label><textarea value={woExpirationText} onChange={e => setWoExpirationText(e.target.value)} placeholder="Paste WO Expiration..." className="w-full h-28 p-2 border rounded-lg font-mono text-xs"/></div>
+              <h2 className="font-semibold mb-4 flex items-center gap-2"><ClipboardList size={18} className="text-purple-600"/> Paste Sheets (Ctrl+A → Ctrl+C) or upload the workbook</h2>
+              <div className="mb-4">
+                <FileDrop accept=".xlsx,.xlsm,.xls,.ods,.csv,.tsv" label="Upload .xlsx / .csv" onFiles={uploadSheetFiles}>
+                  <div className="grid md:grid-cols-3 gap-4">
+                    {renderSheetInput('nscLog', nscLogText, setNscLogText)}
+                    {renderSheetInput('infractionList', infractionListText, setInfractionListText)}
+                    {renderSheetInput('woExpiration', woExpirationText, setWoExpirationText)}
+                  </div>
+                </FileDrop>
               </div>
-              <button onClick={processEmailSheets} disabled={!infractionListText.trim()} className="flex items-center gap-2 px-6 py-2 bg-purple-600 hover:bg-purple-700 disabled:bg-slate-300 text-white rounded-lg"><Mail size={18}/> Generate Emails</button>
+              {sheetUploadMessage && <p className="text-sm text-slate-500 mb-3">{sheetUploadMessage}</p>}
+              <button onClick={() => processEmailSheets()} disabled={!hasSheetInput(sheetInputs.infractionList)} className="flex items-center gap-2 px-6 py-2 bg-purple-600 hover:bg-purple-700 disabled:bg-slate-300 text-white rounded-lg"><Mail size={18}/> Generate Emails</button>
             </div>
 
+            {(sheetError || sheetColumns) && (
+              <SheetMappingPanel
+                columns={sheetColumns}
+                error={sheetError}
+                aliases={sheetAliases}
+                onAliasesChange={setSheetAliases}
+                isConfirmed={sheetColumnsFingerprint === confirmedSheetColumns}
+                onConfirm={() => setConfirmedSheetColumns(sheetColumnsFingerprint)}
+              />
+            )}
+
             {rawEmailData.length > 0 && (
               <div className="bg-white rounded-xl shadow-lg overflow-hidden">
                 <button onClick={() => setShowRawData(s => !s)} className="w-full flex items-center justify-between px-4 py-3 font-semibold text-sm text-slate-700 hover:bg-slate-50">
@@ -960,9 +965,29 @@ export default function W2WAttendanceProcessor() {
                 {showRawData && (
                   <div className="border-t px-4 py-3 grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-2 max-h-60 overflow-y-auto">
                     {rawEmailData.map(emp => (
-                      <div key={emp.name} className="flex justify-between items-center text-sm px-2 py-1 rounded bg-slate-50">
-                        <span className="truncate mr-2">{emp.name}</span>
-                        <span className={`shrink-0 font-mono font-semibold ${emp.totalPoints > 0 ? 'text-red-600' : 'text-slate-400'}`}>{emp.totalPoints}</span>
+                      <div key={emp.name} className="text-sm px-2 py-1 rounded bg-slate-50">
+                        <div className="flex justify-between items-center">
+                          <button onClick={() => showHistory(emp.name)} title="Show attendance history" className="truncate mr-2 text-left hover:text-blue-600 hover:underline">{emp.name}</button>
+                          <span className={`shrink-0 font-mono font-semibold ${emp.totalPoints > 0 ? 'text-red-600' : 'text-slate-400'}`}>{emp.totalPoints}</span>
+                        </div>
+                        {emp.matches.map((m, i) => (
+                          <div key={i} className="text-xs text-green-700 truncate">WO {formatDateShort(m.woDate)} → {m.type}{m.date ? ` ${formatDateShort(m.date)}` : ' (undated)'}</div>
+                        ))}
+                        {emp.adjustments.map(a => (
+                          <div key={a.id} className="text-xs text-blue-700 truncate">{a.label} x{a.count}{a.cancelled ? '' : `: ${a.points > 0 ? '+' : ''}${a.points} pt`}{a.detail ? ` (${a.detail})` : ''}</div>
+                        ))}
+                        {emp.aging.agedPoints > 0 && (
+                          <div className="text-xs text-slate-500 truncate">Aged off: {emp.aging.agedPoints} pt</div>
+                        )}
+                        {emp.aging.next && (
+                          <div className="text-xs text-slate-500 truncate">Next ages off {formatDateShort(emp.aging.next.date)} ({emp.aging.next.infraction.type})</div>
+                        )}
+                        {emp.sheetTotal !== emp.totalPoints && (
+                          <div className="text-xs text-amber-700">Sheet total: {emp.sheetTotal}</div>
+                        )}
+                        {emp.unusedWos.length > 0 && (
+                          <div className="text-xs text-slate-400 truncate">Unused WO: {emp.unusedWos.map(wo => formatDateShort(wo.woDate)).join(', ')}</div>
+                        )}
                       </div>
                     ))}
                   </div>
@@ -970,27 +995,89 @@ export default function W2WAttendanceProcessor() {
               </div>
             )}
 
+            <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+              <button onClick={() => setShowTemplateEditor(s => !s)} className="w-full flex items-center justify-between px-4 py-3 font-semibold text-sm text-slate-700 hover:bg-slate-50">
+                <span>EMAIL TEMPLATES <span className="font-normal text-slate-400">({emailTemplates.length} tiers)</span></span>
+                <span className="text-slate-400 text-xs">{showTemplateEditor ? '▲ hide' : '▼ edit'}</span>
+              </button>
+              {showTemplateEditor && (
+                <div className="border-t p-4">
+                  <EmailTemplateEditor
+                    templates={emailTemplates}
+                    onChange={setEmailTemplates}
+                    previewValues={selectedEmployeeData && emailTemplateValues(selectedEmployeeData)}
+                    previewName={selectedEmployeeData?.name}
+                  />
+                </div>
+              )}
+            </div>
+
+            {emailData.length > 0 && (
+              <div className="bg-white rounded-xl shadow-lg p-4 space-y-3">
+                <label className="block text-sm md:w-1/3">
+                  <span className="block font-medium mb-1">NetID email domain</span>
+                  <input type="text" value={emailDomain} onChange={e => setEmailDomain(e.target.value)} className="w-full px-2 py-1 border rounded font-mono text-xs"/>
+                  <span className="text-xs text-slate-400">Used when the Infraction List has a NetID but no Email</span>
+                </label>
+                <div className="flex flex-wrap items-center gap-2">
+                  <button onClick={() => exportEmails('eml')} className="flex items-center gap-1 px-3 py-1.5 bg-purple-600 hover:bg-purple-700 text-white text-sm rounded"><Download size={14}/> All drafts (.eml zip)</button>
+                  <button onClick={() => exportEmails('csv')} className="flex items-center gap-1 px-3 py-1.5 bg-slate-100 hover:bg-slate-200 text-sm rounded"><Download size={14}/> Mail-merge CSV</button>
+                  {missingAddressCount > 0 && <span className="text-xs text-amber-700">{missingAddressCount} employee{missingAddressCount !== 1 ? 's have' : ' has'} no Email or NetID column value; their To line is blank.</span>}
+                </div>
+              </div>
+            )}
+
+            {emailData.length > 0 && (
+              <EscalationPanel
+                rows={escalationRows}
+                ledger={escalationLedger}
+                onRecord={recordNotices}
+                onDelete={id => setEscalationLedger(ledger => EscalationLedger.remove(ledger, id))}
+                onImport={incoming => {
+                  // Key through the roster so hand-edited files and aliases still line up
+                  const rekeyed = { ...incoming, notices: incoming.notices.map(n => ({ ...n, key: personKey(n.name) })) };
+                  const { ledger, added } = EscalationLedger.merge(escalationLedger, rekeyed);
+                  setEscalationLedger(ledger);
+                  return added;
+                }}
+              />
+            )}
+
             {emailData.length > 0 && (
               <div className="bg-white rounded-xl shadow-lg overflow-hidden">
                 <div className="flex h-96">
                   <div className="w-1/3 border-r flex flex-col min-w-0">
                     <div className="bg-slate-100 px-4 py-2 font-semibold text-sm border-b shrink-0">Employees ({emailData.length})</div>
                     <div className="overflow-y-auto flex-1">
-                      {emailData.map(emp => (
-                        <button key={emp.name} onClick={() => setSelectedEmployee(emp.name)} className={`w-full text-left px-4 py-3 border-b flex justify-between items-center hover:bg-slate-50 ${selectedEmployee === emp.name ? 'bg-blue-50 border-l-4 border-l-blue-600' : ''}`}>
-                          <span className="font-medium">{emp.name}</span>
-                          <span className={`text-xs px-2 py-0.5 rounded-full ${emp.totalPoints >= 4 ? 'bg-red-100 text-red-700' : emp.totalPoints >= 3 ? 'bg-orange-100 text-orange-700' : 'bg-yellow-100 text-yellow-700'}`}>{emp.totalPoints} pts</span>
-                        </button>
+                      {emailMessages.map(msg => (
+                        <div key={msg.name} className={`flex items-center border-b hover:bg-slate-50 ${selectedEmployee === msg.name ? 'bg-blue-50 border-l-4 border-l-blue-600' : ''}`}>
+                          <button onClick={() => setSelectedEmployee(msg.name)} className="flex-1 min-w-0 text-left pl-4 py-3 flex justify-between items-center">
+                            <span className="font-medium truncate">{msg.name}</span>
+                            <span className={`shrink-0 text-xs px-2 py-0.5 rounded-full ${tierStyle(templateTier(emailTemplates, msg.points))}`}>{msg.points} pts</span>
+                          </button>
+                          <a href={mailtoLink(msg)} title={msg.to ? `Open draft to ${msg.to}` : 'Open draft (no address)'} className={`px-3 py-3 ${msg.to ? 'text-purple-600 hover:text-purple-800' : 'text-slate-300 hover:text-slate-500'}`}><Mail size={14}/></a>
+                        </div>
                       ))}
                     </div>
                   </div>
                   <div className="w-2/3 flex flex-col min-w-0">
                     <div className="bg-slate-100 px-4 py-2 font-semibold text-sm border-b flex justify-between items-center shrink-0">
                       <span>Email Preview</span>
-                      {selectedEmployeeData && <button onClick={() => copyToClipboard(generateEmail(selectedEmployeeData), 'email')} className="flex items-center gap-1 px-3 py-1 bg-purple-600 hover:bg-purple-700 text-white text-xs rounded"><Copy size={12}/> {copySuccess === 'email' ? 'Copied!' : 'Copy'}</button>}
+                      {selectedMessage && (
+                        <div className="flex gap-2">
+                          <button onClick={() => showHistory(selectedMessage.name)} className="flex items-center gap-1 px-3 py-1 bg-white hover:bg-slate-50 border text-xs rounded"><History size={12}/> History</button>
+                          <button onClick={() => copyToClipboard(selectedMessage.body, 'email')} className="flex items-center gap-1 px-3 py-1 bg-purple-600 hover:bg-purple-700 text-white text-xs rounded"><Copy size={12}/> {copySuccess === 'email' ? 'Copied!' : 'Copy'}</button>
+                        </div>
+                      )}
                     </div>
+                    {selectedMessage && (
+                      <div className="px-4 py-2 border-b text-xs text-slate-600 shrink-0">
+                        <div><span className="text-slate-400">To:</span> {selectedMessage.to || <span className="text-amber-700">no address</span>}</div>
+                        <div><span className="text-slate-400">Subject:</span> {selectedMessage.subject} <span className="text-slate-400">• {selectedMessage.templateName}</span></div>
+                      </div>
+                    )}
                     <div className="flex-1 overflow-y-auto p-4">
-                      {selectedEmployeeData ? <pre className="whitespace-pre-wrap font-sans text-sm leading-relaxed">{generateEmail(selectedEmployeeData)}</pre> : <p className="text-slate-400 text-center py-8">Select an employee</p>}
+                      {selectedMessage ? <pre className="whitespace-pre-wrap font-sans text-sm leading-relaxed">{selectedMessage.body}</pre> : <p className="text-slate-400 text-center py-8">Select an employee</p>}
                     </div>
                   </div>
                 </div>
@@ -999,7 +1086,80 @@ export default function W2WAttendanceProcessor() {
           </div>
         )}
 
-        <div className="mt-6 text-center text-xs text-slate-400">Cornell Dining • NS/C = 1pt • NS/LC = 2pts • NS/NC = 3pts</div>
+        {activeTab === 'deadlines' && (
+          <MakeUpDashboard
+            rows={makeUpRows}
+            windowDays={activeProfile.notice.makeUpWindowDays}
+            displayName={type => getInfractionDisplayName(type, activeProfile)}
+            hasData={rawEmailData.length > 0}
+            extensions={extensions}
+            defaultGrantedBy={managerName}
+            onGrant={(row, values) => changeExtensions(Extensions.grant(extensions, {
+              ...values, key: personKey(row.name), name: row.name, date: row.date, type: row.type
+            }))}
+            onRemoveExtension={id => changeExtensions(Extensions.remove(extensions, id))}
+            onImportExtensions={incoming => {
+              const rekeyed = { ...incoming, extensions: incoming.extensions.map(x => ({ ...x, key: personKey(x.name) })) };
+              const { store, added } = Extensions.merge(extensions, rekeyed);
+              changeExtensions(store);
+              return added;
+            }}
+          />
+        )}
+
+        {activeTab === 'history' && (
+          <EmployeeHistory
+            people={historyPeople}
+            selectedKey={historyKey}
+            onSelect={setHistoryKey}
+            parseDate={parseDate}
+            formatDate={formatDateShort}
+            displayName={historyDisplayName}
+          />
+        )}
+
+        {activeTab === 'analytics' && <AnalyticsPanel records={analyticsRecords}/>}
+
+        {activeTab === 'roster' && (
+          <RosterPanel
+            roster={roster}
+            onChange={setRoster}
+            unknownNames={unknownNames}
+            sheetPeople={sheetPeople.filter(p => p.source === 'Infraction List')}
+          />
+        )}
+
+        {activeTab === 'policy' && (
+          <div className="space-y-6">
+            <UnitEditor
+              units={units}
+              activeUnit={activeUnit}
+              profiles={policyProfiles}
+              layouts={sheetLayouts}
+              onSelect={setActiveUnitId}
+              onSave={setUnits}
+              onDelete={deleteUnit}
+            />
+            <PolicyEditor
+              profiles={policyProfiles}
+              activeProfile={activeProfile}
+              onSelect={id => updateActiveUnit({ profileId: id })}
+              onSave={profile => setPolicyProfiles(list => list.some(p => p.id === profile.id) ? list.map(p => p.id === profile.id ? profile : p) : [...list, profile])}
+              onDelete={id => setPolicyProfiles(list => list.length > 1 ? list.filter(p => p.id !== id) : list)}
+            />
+            <SheetLayoutEditor
+              layouts={sheetLayouts}
+              activeLayout={activeLayout}
+              onSelect={id => updateActiveUnit({ layoutId: id })}
+              onSave={layout => setSheetLayouts(list => list.some(l => l.id === layout.id) ? list.map(l => l.id === layout.id ? layout : l) : [...list, layout])}
+              onDelete={id => setSheetLayouts(list => list.length > 1 ? list.filter(l => l.id !== id) : list)}
+            />
+          </div>
+        )}
+
+        <div className="mt-6 text-center text-xs text-slate-400">
+          {activeUnit.name} • {activeProfile.name} • {['callout', 'lateCallout', 'noCall'].map(role => `${activeProfile.types[role].code} = ${activeProfile.types[role].points}pt${activeProfile.types[role].points !== 1 ? 's' : ''}`).join(' • ')}
+        </div>
       </div>
     </div>
   );
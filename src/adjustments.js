@@ -0,0 +1,76 @@
+// Point adjustments from the Infraction List's Coupon, Prelim and Break columns. Each type has
+// a rule; the profile decides the rule, label and points per count (see policyProfiles.js).
+
+export const ADJUSTMENT_TYPES = [
+  { id: 'coupon', description: 'Coupon column' },
+  { id: 'prelim', description: 'Prelim column' },
+  { id: 'break', description: 'Break column' }
+];
+
+export const ADJUSTMENT_RULES = [
+  { id: 'cancelOldest', label: 'Cancels points on the oldest infractions' },
+  { id: 'addPoints', label: 'Adds points to the total (negative forgives)' },
+  { id: 'listOnly', label: 'Listed in the email only' }
+];
+
+export const DEFAULT_ADJUSTMENTS = {
+  coupon: { label: 'Coupon', rule: 'cancelOldest', points: 1 },
+  prelim: { label: 'Prelim (excused)', rule: 'listOnly', points: 0 },
+  break: { label: 'Break', rule: 'listOnly', points: 0 }
+};
+
+export function normalizeAdjustments(raw = {}) {
+  const adjustments = {};
+  ADJUSTMENT_TYPES.forEach(({ id }) => {
+    const a = { ...DEFAULT_ADJUSTMENTS[id], ...(raw[id] || {}) };
+    if (!ADJUSTMENT_RULES.some(r => r.id === a.rule)) throw new Error(`Adjustment "${id}" has unknown rule "${a.rule}"`);
+    const points = Number(a.points);
+    if (!Number.isFinite(points)) throw new Error(`Adjustment "${id}" has invalid points`);
+    if (a.rule === 'cancelOldest' && points < 0) throw new Error(`Adjustment "${id}" can't cancel a negative number of points`);
+    adjustments[id] = { label: String(a.label || id).trim(), rule: a.rule, points };
+  });
+  return adjustments;
+}
+
+// Undated (historical) infractions are older than anything in the log
+const oldestFirst = (a, b) => {
+  if (a.hasDate !== b.hasDate) return a.hasDate ? 1 : -1;
+  return a.hasDate ? new Date(a.date) - new Date(b.date) : 0;
+};
+
+// Apply every adjustment with a count to the infractions left after WO matching. Cancelled
+// points are taken off the infractions themselves (inf.cancelledBy records by what); other
+// rules only change the total. Returns { lines, pointsDelta }, one line per adjustment type
+// used: { id, label, count, points, cancelled, detail } where points is the change to the
+// total on top of the infractions' own points (0 for cancelOldest, whose effect is already
+// on the infractions) and cancelled is how many infraction points it took off.
+export function applyAdjustments(infractions, counts, adjustments) {
+  const lines = [];
+  let pointsDelta = 0;
+
+  ADJUSTMENT_TYPES.forEach(({ id }) => {
+    const count = counts[id] || 0;
+    if (count <= 0) return;
+    const { label, rule, points } = adjustments[id];
+
+    if (rule === 'cancelOldest') {
+      let remaining = count * points;
+      [...infractions].filter(inf => inf.points > 0).sort(oldestFirst).forEach(inf => {
+        if (remaining <= 0) return;
+        const amount = Math.min(remaining, inf.points);
+        inf.points -= amount;
+        inf.cancelledBy = [...(inf.cancelledBy || []), { id, label, points: amount }];
+        remaining -= amount;
+      });
+      const used = count * points - remaining;
+      lines.push({ id, label, count, points: 0, cancelled: used, detail: used ? `${used} pt cancelled, oldest first` : 'nothing left to cancel' });
+      return;
+    }
+
+    const change = rule === 'addPoints' ? count * points : 0;
+    pointsDelta += change;
+    lines.push({ id, label, count, points: change, cancelled: 0, detail: '' });
+  });
+
+  return { lines, pointsDelta };
+}
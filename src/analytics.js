@@ -0,0 +1,136 @@
+// Attendance analytics over the NS-C Log and the processed W2W entries. Every chart comes out
+// in one shape, { id, title, stacked, labels, series: [{ name, color, values }] }, so the same bar chart
+// and CSV export handle all of them.
+import { CALLOFF_ROLES, PICKUP_ROLES, PolicyProfiles } from './policyProfiles.js';
+import { csvCell } from './emailExport.js';
+
+export const REASONS = [
+  { id: 'sick', label: 'Sick', roles: ['sick', 'lateSick'], color: '#16a34a' },
+  { id: 'other', label: 'Non-sick', roles: ['callout', 'lateCallout', 'noCall'], color: '#eab308' },
+  { id: 'academic', label: 'Academic', roles: ['academic'], color: '#9333ea' }
+];
+
+export const SHIFT_BANDS = ['Weekend morning', 'Evening', 'Tue/Thu day', 'Other day', 'Shift time unknown'];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const NOTICE_BUCKETS = [
+  { label: '< 2h', max: 2 },
+  { label: '2-12h', max: 12 },
+  { label: '12-24h', max: 24 },
+  { label: '24-48h', max: 48 },
+  { label: '48-72h', max: 72 },
+  { label: '3-7 days', max: 168 },
+  { label: '> 1 week', max: Infinity }
+];
+
+const CALLOFF_AND_ACADEMIC = [...CALLOFF_ROLES, 'academic'];
+
+const isoDay = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const weekStart = (date) => {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  d.setDate(d.getDate() - d.getDay());
+  return d;
+};
+
+// One record per calloff or pickup. Batch entries win over the same day in the NS-C Log
+// because they carry shift times and request stamps the log doesn't; the log's code may
+// differ from the batch's (a hand edit or an override), so calloffs match on the day alone.
+// classify(entry) → { band, hoursNotice } using the policy engine (hoursNotice null when unknown)
+export function attendanceRecords({ entries = [], logEmployees = {}, profile, rosterKey, classify }) {
+  const records = new Map();
+  const kindOf = (role) => (CALLOFF_AND_ACADEMIC.includes(role) ? 'calloff' : PICKUP_ROLES.includes(role) ? 'pickup' : role);
+  const add = (record) => {
+    const id = `${record.key}|${isoDay(record.date)}|${kindOf(record.role)}`;
+    if (!records.has(id) || record.source === 'batch') records.set(id, record);
+  };
+
+  Object.values(logEmployees).forEach(emp => {
+    const key = rosterKey(emp.name);
+    [...emp.infractions, ...emp.woDates].forEach(({ date, type }) => {
+      const role = PolicyProfiles.roleForCode(profile, type);
+      if (role && date instanceof Date) add({ key, name: emp.name, date, role, source: 'log', band: 'Shift time unknown', hoursNotice: null });
+    });
+  });
+
+  entries.filter(e => !e.isCancelled && !e.isLate).forEach(e => {
+    const role = PolicyProfiles.roleForCode(profile, e.infraction);
+    if (!role || !(e.shiftDate instanceof Date)) return;
+    add({ key: rosterKey(e.name), name: e.name, date: e.shiftDate, role, source: 'batch', ...classify(e) });
+  });
+
+  return [...records.values()].filter(r => CALLOFF_AND_ACADEMIC.includes(r.role) || PICKUP_ROLES.includes(r.role));
+}
+
+const reasonFor = (role) => REASONS.find(r => r.roles.includes(role));
+
+const countBy = (records, labels, labelFor) => {
+  const counts = labels.map(() => 0);
+  records.forEach(r => {
+    const i = labels.indexOf(labelFor(r));
+    if (i !== -1) counts[i]++;
+  });
+  return counts;
+};
+
+const reasonSeries = (calloffs, labels, labelFor) => REASONS.map(reason => ({
+  name: reason.label, color: reason.color,
+  values: countBy(calloffs.filter(r => reasonFor(r.role) === reason), labels, labelFor)
+}));
+
+export function computeAnalytics(records) {
+  const calloffs = records.filter(r => CALLOFF_AND_ACADEMIC.includes(r.role));
+  const pickups = records.filter(r => PICKUP_ROLES.includes(r.role));
+
+  const weeks = [...new Set(records.map(r => isoDay(weekStart(r.date))))].sort();
+  const weekOf = (r) => isoDay(weekStart(r.date));
+  const weekLabels = weeks.map(w => `Wk of ${Number(w.slice(5, 7))}/${Number(w.slice(8))}`);
+  const weeklyCalloffs = countBy(calloffs, weeks, weekOf);
+  const weeklyPickups = countBy(pickups, weeks, weekOf);
+
+  const withNotice = calloffs.filter(r => r.hoursNotice !== null);
+  const noticeLabel = (r) => NOTICE_BUCKETS.find(b => r.hoursNotice < b.max).label;
+  const reasonTotals = REASONS.map(reason => calloffs.filter(r => reasonFor(r.role) === reason).length);
+
+  return {
+    totals: {
+      calloffs: calloffs.length,
+      pickups: pickups.length,
+      coverage: calloffs.length ? pickups.length / calloffs.length : null,
+      withNotice: withNotice.length
+    },
+    charts: [
+      { id: 'weekday', title: 'Calloffs by weekday', stacked: true, labels: WEEKDAYS, series: reasonSeries(calloffs, WEEKDAYS, r => WEEKDAYS[r.date.getDay()]) },
+      { id: 'shift-band', title: 'Calloffs by shift band', stacked: true, labels: SHIFT_BANDS, series: reasonSeries(calloffs, SHIFT_BANDS, r => r.band) },
+      {
+        id: 'reasons', title: 'Calloff reasons', labels: REASONS.map(r => r.label),
+        series: [{ name: 'Calloffs', color: '#2563eb', values: reasonTotals }]
+      },
+      {
+        id: 'notice', title: 'Notice given before calloffs (this batch only)', stacked: true, labels: NOTICE_BUCKETS.map(b => b.label),
+        series: reasonSeries(withNotice, NOTICE_BUCKETS.map(b => b.label), noticeLabel)
+      },
+      {
+        id: 'coverage', title: 'Pickup coverage by week (WOs vs. calloffs)', labels: weekLabels,
+        series: [
+          { name: 'Calloffs', color: '#dc2626', values: weeklyCalloffs },
+          { name: 'WOs', color: '#2563eb', values: weeklyPickups }
+        ]
+      },
+      {
+        id: 'coverage-rate', title: 'Coverage rate by week (% of calloffs picked up)', labels: weekLabels,
+        series: [{ name: 'Coverage %', color: '#64748b', values: weeks.map((w, i) => (weeklyCalloffs[i] ? Math.round(100 * weeklyPickups[i] / weeklyCalloffs[i]) : 0)) }]
+      },
+      { id: 'weekly', title: 'Calloffs week over week', stacked: true, labels: weekLabels, series: reasonSeries(calloffs, weeks, weekOf) }
+    ]
+  };
+}
+
+export function chartCSV(chart) {
+  const rows = [
+    [chart.title, ...chart.series.map(s => s.name)],
+    ...chart.labels.map((label, i) => [label, ...chart.series.map(s => s.values[i])])
+  ];
+  return '\ufeff' + rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+}
@@ -0,0 +1,361 @@
+// Google Apps Script generators for writing a batch of processed entries into the
+// attendance workbook, and for undoing that batch later.
+//
+// Both scripts read each sheet once with getValues, write back with one setValues per
+// WO table and one RangeList per distinct value in the NS-C Log, and keep a record of
+// every change in a hidden sheet. The record makes re-running a batch a no-op and lets
+// the undo script restore the exact previous values. Sheet names and positions come from
+// the active sheet layout (see sheetLayouts.js).
+import { DEFAULT_SHEET_LAYOUT, SheetLayouts, TYPED_DATE_SOURCES } from './sheetLayouts.js';
+import { DEFAULT_POLICY_PROFILE, PolicyProfiles } from './policyProfiles.js';
+
+const BATCH_SHEET = '_W2W Batches';
+
+// Same data, same id: regenerating the script for an unchanged batch keeps the id, so
+// the spreadsheet can tell the batch was already applied
+export function batchIdFor(payload) {
+  const text = JSON.stringify(payload);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `w2w-${(hash >>> 0).toString(36)}`;
+}
+
+const settingsBlock = (batchId, layout) => `  const BATCH_ID = ${JSON.stringify(batchId)};
+  const LOG_SHEET = ${JSON.stringify(layout.logSheet)};
+  const LOG_HEADER_ROW = ${layout.logHeaderRow};
+  const LOG_NAME_COLUMN = ${SheetLayouts.columnNumber(layout.logNameColumn)};
+  const WO_SHEET = ${JSON.stringify(layout.woSheet)};
+  const WO_FIRST_ROW = ${layout.woFirstRow};
+  const WO_TABLES = { full: ${SheetLayouts.columnNumber(layout.woFullColumn)}, partial: ${SheetLayouts.columnNumber(layout.woPartialColumn)} };
+  const DATE_FORMAT = ${JSON.stringify(layout.dateFormat)};`;
+
+// Helpers shared by both scripts; identical copies are harmless if both are pasted into
+// the same Apps Script project
+const HELPERS = `
+function w2wBatchSheet_(ss) {
+  let sheet = ss.getSheetByName('${BATCH_SHEET}');
+  if (!sheet) {
+    sheet = ss.insertSheet('${BATCH_SHEET}');
+    sheet.appendRow(['Batch', 'Applied', 'Undone', 'Changes (JSON, continues across columns)']);
+    sheet.hideSheet();
+  }
+  return sheet;
+}
+
+// Latest record for the batch: { row, appliedAt, undoneAt, record }
+function w2wFindBatch_(sheet, batchId) {
+  const data = sheet.getDataRange().getValues();
+  for (let r = data.length - 1; r >= 1; r--) {
+    if (data[r][0] === batchId) {
+      return { row: r + 1, appliedAt: data[r][1], undoneAt: data[r][2], record: JSON.parse(data[r].slice(3).join('')) };
+    }
+  }
+  return null;
+}
+
+// Cells hold at most 50,000 characters, so long records are split across columns
+function w2wSaveBatch_(sheet, batchId, record) {
+  const json = JSON.stringify(record);
+  const chunks = [];
+  // The leading apostrophe keeps Sheets from reading a chunk as a formula or number
+  for (let i = 0; i < json.length; i += 45000) chunks.push("'" + json.slice(i, i + 45000));
+  sheet.appendRow([batchId, new Date(), ''].concat(chunks));
+}
+
+function w2wPack_(value) {
+  return value instanceof Date ? { date: value.toISOString() } : value;
+}
+
+function w2wUnpack_(value) {
+  return value && typeof value === 'object' && value.date ? new Date(value.date) : value;
+}
+
+function w2wA1_(row, col) {
+  let letters = '';
+  for (let n = col; n > 0; n = Math.floor((n - 1) / 26)) letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  return letters + row;
+}
+
+// One RangeList write per distinct value instead of one call per cell
+function w2wWriteCells_(sheet, changes, field) {
+  const byValue = {};
+  changes.forEach(c => {
+    const key = JSON.stringify(c[field]);
+    (byValue[key] = byValue[key] || []).push(w2wA1_(c.row, c.col));
+  });
+  Object.keys(byValue).forEach(key => sheet.getRangeList(byValue[key]).setValue(w2wUnpack_(JSON.parse(key))));
+}
+
+// yyyy-MM-dd for a date cell or a typed date the app would read the same way (see
+// SheetLayouts.parseDate); '' for anything else
+function w2wDateKey_(value, tz, format) {
+  if (value instanceof Date) return Utilities.formatDate(value, tz, 'yyyy-MM-dd');
+  const text = String(value).trim();
+  const iso = text.match(new RegExp(${JSON.stringify(TYPED_DATE_SOURCES.iso)}));
+  const slashed = text.match(new RegExp(${JSON.stringify(TYPED_DATE_SOURCES.separated)}));
+  if (!iso && !slashed) return '';
+  const parts = (iso ? [iso[1], iso[2], iso[3]]
+    : format === 'D/M/YYYY' ? [slashed[3], slashed[2], slashed[1]] : [slashed[3], slashed[1], slashed[2]]).map(Number);
+  if (parts[0] < 100) parts[0] += 2000;
+  const date = new Date(parts[0], parts[1] - 1, parts[2]);
+  if (date.getMonth() !== parts[1] - 1 || date.getDate() !== parts[2]) return '';
+  return parts[0] + '-' + ('0' + parts[1]).slice(-2) + '-' + ('0' + parts[2]).slice(-2);
+}
+
+// Write a yyyy-MM-dd date the way the layout types dates
+function w2wFormatDate_(isoDate, format) {
+  const p = isoDate.split('-');
+  if (format === 'YYYY-MM-DD') return isoDate;
+  return format === 'D/M/YYYY'
+    ? parseInt(p[2]) + '/' + parseInt(p[1]) + '/' + p[0]
+    : parseInt(p[1]) + '/' + parseInt(p[2]) + '/' + p[0];
+}
+
+// A WO table is the two columns starting at col, from firstRow down to the first blank name
+function w2wReadTable_(sheet, firstRow, col) {
+  const height = sheet.getLastRow() - firstRow + 1;
+  if (height < 1) return [];
+  const values = sheet.getRange(firstRow, col, height, 2).getValues();
+  const end = values.findIndex(row => !String(row[0]).trim());
+  return end === -1 ? values : values.slice(0, end);
+}
+
+function w2wWriteTable_(sheet, firstRow, col, rows, previousLength) {
+  const height = Math.max(rows.length, previousLength);
+  if (!height) return;
+  const values = rows.slice();
+  while (values.length < height) values.push(['', '']);
+  sheet.getRange(firstRow, col, height, 2).setValues(values);
+}`;
+
+export function buildApplyScript({ batchId, entries, woExpiration, calloffTypes, woTypes, layout = DEFAULT_SHEET_LAYOUT }) {
+  return `function addInfractions() {
+${settingsBlock(batchId, layout)}
+
+  const entries = ${JSON.stringify(entries, null, 2)};
+  const woExpiration = ${JSON.stringify(woExpiration, null, 2)};
+  const calloffTypes = ${JSON.stringify(calloffTypes)};
+  const woTypes = ${JSON.stringify(woTypes)};
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const ui = SpreadsheetApp.getUi();
+  const tz = Session.getScriptTimeZone();
+  const batches = w2wBatchSheet_(ss);
+  const previous = w2wFindBatch_(batches, BATCH_ID);
+  if (previous && !previous.undoneAt) {
+    ui.alert('This batch (' + BATCH_ID + ') was already applied on ' + previous.appliedAt + '.\\nNothing was changed.');
+    return;
+  }
+
+  const logSheet = ss.getSheetByName(LOG_SHEET);
+  const woSheet = ss.getSheetByName(WO_SHEET);
+  const log = logSheet.getDataRange().getValues();
+  const nameIndex = LOG_NAME_COLUMN - 1;
+  const dateColumns = {};
+  (log[LOG_HEADER_ROW - 1] || []).forEach((value, c) => {
+    const key = c !== nameIndex && w2wDateKey_(value, tz, DATE_FORMAT);
+    if (key && !(key in dateColumns)) dateColumns[key] = c;
+  });
+  const employeeRows = {};
+  log.forEach((row, r) => { if (r >= LOG_HEADER_ROW && row[nameIndex]) employeeRows[String(row[nameIndex]).trim()] = r; });
+
+  const record = { log: [], wo: {} };
+  const replacedWOs = new Set();
+  let added = 0, updated = 0, alreadyThere = 0, cancelled = 0;
+  const errors = [], conflicts = [];
+  entries.forEach(e => {
+    if (e.isCancelled) { cancelled++; return; }
+    // A row still under an older roster spelling is found through the entry's aliases
+    const spelling = [e.name].concat(e.aliases || []).find(n => employeeRows.hasOwnProperty(n));
+    const r = spelling === undefined ? undefined : employeeRows[spelling], c = dateColumns[e.date];
+    if (r === undefined || c === undefined) {
+      errors.push((r === undefined ? 'Employee: ' + e.name : '') + (c === undefined ? ' Date: ' + e.date : ''));
+      return;
+    }
+    const current = log[r][c];
+    if (current === e.infraction) { alreadyThere++; return; }
+    const replacesWO = calloffTypes.includes(e.infraction) && woTypes.includes(current);
+    if (current && !replacesWO) { conflicts.push(e.name + ' ' + e.date + ' (holds ' + current + ')'); return; }
+    record.log.push({ row: r + 1, col: c + 1, before: w2wPack_(current), after: e.infraction });
+    log[r][c] = e.infraction;
+    if (replacesWO) { updated++; replacedWOs.add(e.name + '|' + e.date); } else { added++; }
+  });
+  w2wWriteCells_(logSheet, record.log, 'after');
+
+  // Calloffs in this batch win over WOs for the same person and day
+  const calloffKeys = new Set(entries
+    .filter(e => !e.isCancelled && calloffTypes.includes(e.infraction))
+    .map(e => e.name + '|' + e.date));
+
+  let woAdded = 0, woRemoved = 0, woAlreadyThere = 0;
+  if (woSheet) {
+    Object.keys(WO_TABLES).forEach(table => {
+      const col = WO_TABLES[table];
+      const rows = w2wReadTable_(woSheet, WO_FIRST_ROW, col);
+      const keyOf = row => String(row[0]).trim() + '|' + w2wDateKey_(row[1], tz, DATE_FORMAT);
+      const removed = [];
+      const kept = rows.filter((row, index) => {
+        if (!replacedWOs.has(keyOf(row))) return true;
+        removed.push({ index, row: row.map(w2wPack_) });
+        return false;
+      });
+      const present = new Set(kept.map(keyOf));
+      const appended = [];
+      woExpiration[table].forEach(wo => {
+        const key = wo.name + '|' + wo.woDate;
+        if (calloffKeys.has(key)) return;
+        if (present.has(key)) { woAlreadyThere++; return; }
+        present.add(key);
+        const row = [wo.name, w2wFormatDate_(wo.woDate, DATE_FORMAT)];
+        kept.push(row);
+        appended.push(row);
+      });
+      if (!removed.length && !appended.length) return;
+      w2wWriteTable_(woSheet, WO_FIRST_ROW, col, kept, rows.length);
+      record.wo[table] = { removed, added: appended };
+      woAdded += appended.length;
+      woRemoved += removed.length;
+    });
+  }
+
+  const changed = record.log.length + woAdded + woRemoved;
+  if (changed) w2wSaveBatch_(batches, BATCH_ID, record);
+
+  ui.alert((changed ? 'Batch ' + BATCH_ID + ' applied.'
+    : conflicts.length || errors.length ? 'Nothing was written.' : 'Everything in this batch was already in the sheet.') +
+    '\\nAdded ' + added + ' infractions.' +
+    (updated ? '\\nUpdated ' + updated + ' (replaced WO with calloff).' : '') +
+    (alreadyThere ? '\\nAlready there: ' + alreadyThere + '.' : '') +
+    (woAdded ? '\\nAdded ' + woAdded + ' to WO Expiration.' : '') +
+    (woRemoved ? '\\nRemoved ' + woRemoved + ' from WO Expiration.' : '') +
+    (woAlreadyThere ? '\\nWO Expiration rows already there: ' + woAlreadyThere + '.' : '') +
+    (cancelled ? '\\nSkipped ' + cancelled + ' cancelled/denied.' : '') +
+    (conflicts.length ? '\\nLeft alone, cell already holds something else: ' + conflicts.join(', ') + '.' : '') + '\\n' +
+    (errors.length ? 'Errors: ' + errors.join(', ') : 'No errors.'));
+}
+${HELPERS}`;
+}
+
+export function buildUndoScript({ batchId, layout = DEFAULT_SHEET_LAYOUT }) {
+  return `function undoInfractions() {
+${settingsBlock(batchId, layout)}
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const ui = SpreadsheetApp.getUi();
+  const tz = Session.getScriptTimeZone();
+  const batches = ss.getSheetByName('${BATCH_SHEET}');
+  const batch = batches && w2wFindBatch_(batches, BATCH_ID);
+  if (!batch) { ui.alert('Batch ' + BATCH_ID + ' has no record in this spreadsheet, so there is nothing to undo.'); return; }
+  if (batch.undoneAt) { ui.alert('Batch ' + BATCH_ID + ' was already undone on ' + batch.undoneAt + '.'); return; }
+
+  // Only cells still holding what the batch wrote are restored; later edits are kept
+  const logSheet = ss.getSheetByName(LOG_SHEET);
+  const log = logSheet.getDataRange().getValues();
+  const restore = [], editedSince = [];
+  batch.record.log.forEach(c => {
+    if ((log[c.row - 1] || [])[c.col - 1] === c.after) restore.push(c);
+    else editedSince.push(w2wA1_(c.row, c.col));
+  });
+  w2wWriteCells_(logSheet, restore, 'before');
+
+  // WO tables: drop the rows the batch appended, then put removed rows back where they were
+  const woSheet = ss.getSheetByName(WO_SHEET);
+  let woRestored = 0, woDropped = 0;
+  const woMissing = [];
+  if (woSheet) Object.keys(batch.record.wo).forEach(table => {
+    const change = batch.record.wo[table];
+    const col = WO_TABLES[table];
+    const rows = w2wReadTable_(woSheet, WO_FIRST_ROW, col);
+    const before = rows.length;
+    const keyOf = row => String(row[0]).trim() + '|' + w2wDateKey_(row[1], tz, DATE_FORMAT);
+    change.added.forEach(row => {
+      const key = keyOf(row.map(w2wUnpack_));
+      let index = -1;
+      for (let i = rows.length - 1; i >= 0 && index === -1; i--) if (keyOf(rows[i]) === key) index = i;
+      if (index === -1) { woMissing.push(row[0] + ' ' + row[1]); return; }
+      rows.splice(index, 1);
+      woDropped++;
+    });
+    change.removed.forEach(({ index, row }) => {
+      rows.splice(Math.min(index, rows.length), 0, row.map(w2wUnpack_));
+      woRestored++;
+    });
+    w2wWriteTable_(woSheet, WO_FIRST_ROW, col, rows, before);
+  });
+
+  batches.getRange(batch.row, 3).setValue(new Date());
+  ui.alert('Undid batch ' + BATCH_ID + '.' +
+    '\\nRestored ' + restore.length + ' NS-C Log cells.' +
+    (woDropped ? '\\nRemoved ' + woDropped + ' rows from WO Expiration.' : '') +
+    (woRestored ? '\\nPut back ' + woRestored + ' WO Expiration rows.' : '') +
+    (editedSince.length ? '\\nLeft alone (edited since): ' + editedSince.join(', ') : '') +
+    (woMissing.length ? '\\nWO rows no longer present: ' + woMissing.join(', ') : ''));
+}
+${HELPERS}`;
+}
+
+// Rows to append to the WO Expiration sheet; a host with two door shifts on one day counts as a full shift
+export function buildWOExpirationEntries(entries, profile) {
+  const { pickup, hostPickup } = profile.types;
+  const woEntries = entries.filter(e => !e.isCancelled && [pickup.code, hostPickup.code].includes(e.infraction));
+  const hostByDate = {};
+  woEntries.filter(e => e.infraction === hostPickup.code).forEach(e => {
+    const key = `${e.name}|${e.shiftDate.toISOString().split('T')[0]}`;
+    if (!hostByDate[key]) hostByDate[key] = [];
+    hostByDate[key].push(e);
+  });
+  
+  const fullShifts = [], partialDoorShifts = [], processedKeys = new Set();
+  
+  woEntries.forEach(e => {
+    const woDate = new Date(e.shiftDate);
+    const entry = { name: e.name, woDate };
+    
+    if (e.infraction === pickup.code) {
+      fullShifts.push(entry);
+    } else {
+      const key = `${e.name}|${e.shiftDate.toISOString().split('T')[0]}`;
+      if (hostByDate[key]?.length >= 2) {
+        if (!processedKeys.has(key)) {
+          entry.displayName = `${e.name} (HOST)`;
+          fullShifts.push(entry);
+          processedKeys.add(key);
+        }
+      } else {
+        partialDoorShifts.push(entry);
+      }
+    }
+  });
+  
+  return { fullShifts, partialDoorShifts };
+}
+
+// Apply and undo scripts for a batch of processed entries, or null when there is nothing to write.
+// otherSpellings(entry) lists names the NS-C Log row may still use (see Roster.otherSpellings).
+export function buildBatchScripts(processedEntries, { profile = DEFAULT_POLICY_PROFILE, layout = DEFAULT_SHEET_LAYOUT, otherSpellings = () => [] } = {}) {
+  if (processedEntries.length === 0) return null;
+  const woExpirationEntries = buildWOExpirationEntries(processedEntries, profile);
+  const isoDate = (date) => date.toISOString().split('T')[0];
+
+  const entries = processedEntries.map(e => {
+    const entry = { name: e.name, date: isoDate(e.shiftDate), infraction: e.infraction, isCancelled: e.isCancelled };
+    const aliases = otherSpellings(e);
+    return aliases.length ? { ...entry, aliases } : entry;
+  });
+  const woExpiration = {
+    full: woExpirationEntries.fullShifts.map(e => ({ name: e.displayName || e.name, woDate: isoDate(e.woDate) })),
+    partial: woExpirationEntries.partialDoorShifts.map(e => ({ name: e.name, woDate: isoDate(e.woDate) }))
+  };
+  const calloffTypes = PolicyProfiles.calloffCodes(profile);
+  const woTypes = PolicyProfiles.pickupCodes(profile);
+  const batchId = batchIdFor({ entries, woExpiration, calloffTypes, woTypes, layout });
+
+  return {
+    batchId,
+    apply: buildApplyScript({ batchId, entries, woExpiration, calloffTypes, woTypes, layout }),
+    undo: buildUndoScript({ batchId, layout })
+  };
+}
@@ -0,0 +1,143 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { BarChart2, Download, Image } from 'lucide-react';
+import { computeAnalytics, chartCSV } from '../analytics.js';
+import { downloadFile } from '../fileUtils.js';
+
+const WIDTH = 640;
+const HEIGHT = 280;
+const MARGIN = { top: 36, right: 12, bottom: 44, left: 40 };
+const FONT = 'ui-sans-serif, system-ui, sans-serif';
+
+const slug = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Colors and fonts are SVG attributes rather than classes so the PNG export looks the same
+function BarChart({ chart, svgRef }) {
+  const plotW = WIDTH - MARGIN.left - MARGIN.right;
+  const plotH = HEIGHT - MARGIN.top - MARGIN.bottom;
+  const stackTotals = chart.labels.map((_, i) => chart.series.reduce((sum, s) => sum + s.values[i], 0));
+  const max = Math.max(1, ...(chart.stacked ? stackTotals : chart.series.flatMap(s => s.values)));
+  const slot = plotW / Math.max(1, chart.labels.length);
+  const barW = chart.stacked ? slot * 0.6 : (slot * 0.8) / chart.series.length;
+  const y = (v) => MARGIN.top + plotH - (v / max) * plotH;
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map(f => Math.round(f * max)).filter((t, i, all) => all.indexOf(t) === i);
+
+  return (
+    <svg ref={svgRef} xmlns="http://www.w3.org/2000/svg" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} width="100%" fontFamily={FONT}>
+      <rect width={WIDTH} height={HEIGHT} fill="#ffffff"/>
+      <text x={MARGIN.left} y={16} fontSize="13" fontWeight="600" fill="#1e293b">{chart.title}</text>
+      {chart.series.length > 1 && chart.series.map((s, i) => (
+        <g key={s.name} transform={`translate(${MARGIN.left + i * 110}, 24)`}>
+          <rect width="10" height="10" fill={s.color}/>
+          <text x="14" y="9" fontSize="11" fill="#475569">{s.name}</text>
+        </g>
+      ))}
+      {ticks.map(t => (
+        <g key={t}>
+          <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y(t)} y2={y(t)} stroke="#e2e8f0"/>
+          <text x={MARGIN.left - 6} y={y(t) + 4} fontSize="10" textAnchor="end" fill="#64748b">{t}</text>
+        </g>
+      ))}
+      {chart.labels.map((label, i) => {
+        const x = MARGIN.left + i * slot + (slot - (chart.stacked ? barW : barW * chart.series.length)) / 2;
+        let base = 0;
+        return (
+          <g key={label}>
+            {chart.series.map((s, j) => {
+              const value = s.values[i];
+              if (!value) return null;
+              const top = chart.stacked ? base + value : value;
+              const rect = <rect key={s.name} x={chart.stacked ? x : x + j * barW} y={y(top)} width={barW - 1} height={y(chart.stacked ? base : 0) - y(top)} fill={s.color}><title>{`${label} ${s.name}: ${value}`}</title></rect>;
+              if (chart.stacked) base = top;
+              return rect;
+            })}
+            <text x={MARGIN.left + i * slot + slot / 2} y={HEIGHT - MARGIN.bottom + 16} fontSize="10" textAnchor="middle" fill="#475569">{label}</text>
+          </g>
+        );
+      })}
+      <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y(0)} y2={y(0)} stroke="#94a3b8"/>
+    </svg>
+  );
+}
+
+// Draw the chart's SVG onto a 2x canvas and download it
+function downloadPNG(svg, fileName) {
+  const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(svg)], { type: 'image/svg+xml' }));
+  const image = new window.Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = WIDTH * 2;
+    canvas.height = HEIGHT * 2;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(2, 2);
+    ctx.drawImage(image, 0, 0, WIDTH, HEIGHT);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => downloadFile(fileName, blob));
+  };
+  image.onerror = () => URL.revokeObjectURL(url);
+  image.src = url;
+}
+
+function ChartCard({ chart }) {
+  const svgRef = useRef(null);
+  const empty = chart.series.every(s => s.values.every(v => !v));
+  return (
+    <div className="border rounded-lg p-3">
+      <BarChart chart={chart} svgRef={svgRef}/>
+      {empty && <p className="text-xs text-slate-400 text-center">No data for this chart in the selected range.</p>}
+      <div className="flex justify-end gap-2 mt-2">
+        <button onClick={() => downloadPNG(svgRef.current, `${slug(chart.title)}.png`)} className="px-2 py-1 bg-slate-100 hover:bg-slate-200 text-xs rounded flex items-center gap-1"><Image size={12}/> PNG</button>
+        <button onClick={() => downloadFile(`${slug(chart.title)}.csv`, chartCSV(chart), 'text/csv')} className="px-2 py-1 bg-slate-100 hover:bg-slate-200 text-xs rounded flex items-center gap-1"><Download size={12}/> CSV</button>
+      </div>
+    </div>
+  );
+}
+
+const SOURCES = [
+  { id: 'all', label: 'NS-C Log and this batch' },
+  { id: 'log', label: 'NS-C Log only' },
+  { id: 'batch', label: 'This batch only' }
+];
+
+// records: output of attendanceRecords, built in App from the NS-C Log and processed entries
+export default function AnalyticsPanel({ records }) {
+  const [source, setSource] = useState('all');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+
+  const analytics = useMemo(() => {
+    const start = from ? new Date(`${from}T00:00:00`) : null;
+    const end = to ? new Date(`${to}T23:59:59`) : null;
+    return computeAnalytics(records.filter(r =>
+      (source === 'all' || r.source === source) && (!start || r.date >= start) && (!end || r.date <= end)));
+  }, [records, source, from, to]);
+  const { totals } = analytics;
+
+  if (!records.length) {
+    return <div className="bg-white rounded-xl shadow-lg p-6 text-center text-slate-500">Load the NS-C Log on the Emails tab or process a W2W batch to see analytics.</div>;
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 space-y-4">
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <h2 className="text-lg font-bold flex items-center gap-2"><BarChart2 size={20}/> Attendance analytics</h2>
+        <select value={source} onChange={e => setSource(e.target.value)} className="px-2 py-1 border rounded">
+          {SOURCES.map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+        </select>
+        <label className="flex items-center gap-1">From <input type="date" value={from} onChange={e => setFrom(e.target.value)} className="px-1 py-0.5 border rounded"/></label>
+        <label className="flex items-center gap-1">To <input type="date" value={to} onChange={e => setTo(e.target.value)} className="px-1 py-0.5 border rounded"/></label>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+        <div className="bg-slate-50 rounded p-3"><div className="text-slate-500">Calloffs</div><div className="text-2xl font-bold">{totals.calloffs}</div></div>
+        <div className="bg-slate-50 rounded p-3"><div className="text-slate-500">WOs picked up</div><div className="text-2xl font-bold">{totals.pickups}</div></div>
+        <div className="bg-slate-50 rounded p-3"><div className="text-slate-500">Coverage rate</div><div className="text-2xl font-bold">{totals.coverage === null ? '—' : `${Math.round(totals.coverage * 100)}%`}</div></div>
+        <div className="bg-slate-50 rounded p-3"><div className="text-slate-500">Calloffs with notice time</div><div className="text-2xl font-bold">{totals.withNotice}</div></div>
+      </div>
+      <p className="text-xs text-slate-500">The NS-C Log has no shift times or request stamps, so shift bands and notice times come from processed batch entries only.</p>
+
+      <div className="grid lg:grid-cols-2 gap-4">
+        {analytics.charts.map(chart => <ChartCard key={chart.id} chart={chart}/>)}
+      </div>
+    </div>
+  );
+}
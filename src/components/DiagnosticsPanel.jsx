@@ -0,0 +1,95 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { AlertTriangle } from 'lucide-react';
+
+const SPAN_STYLES = {
+  entry: 'bg-green-100',
+  flagged: 'bg-amber-200',
+  skipped: 'bg-slate-200',
+  unparsed: 'bg-red-200'
+};
+
+// Split the paste into plain and highlighted segments; overlapping spans keep the first one
+function buildSegments(text, spans) {
+  const segments = [];
+  let cursor = 0;
+  [...spans].sort((a, b) => a.start - b.start).forEach(span => {
+    if (span.start < cursor || span.end <= span.start) return;
+    if (span.start > cursor) segments.push({ text: text.substring(cursor, span.start) });
+    segments.push({ text: text.substring(span.start, span.end), span });
+    cursor = span.end;
+  });
+  if (cursor < text.length) segments.push({ text: text.substring(cursor) });
+  return segments;
+}
+
+function DiagnosticsSection({ title, text, entries, skipped, unparsed }) {
+  const [selected, setSelected] = useState(null);
+  const selectedRef = useRef(null);
+
+  useEffect(() => {
+    selectedRef.current?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }, [selected]);
+
+  // Imported files have no paste to highlight; their entries point at a row number instead
+  const spans = text === null ? [] : [
+    ...entries.map((e, i) => ({ id: `entry-${i}`, start: e.source.start, end: e.source.end, kind: e.warnings.length ? 'flagged' : 'entry' })),
+    ...skipped.map((s, i) => ({ id: `skipped-${i}`, start: s.start, end: s.end, kind: 'skipped' })),
+    ...unparsed.map((u, i) => ({ id: `unparsed-${i}`, start: u.start, end: u.end, kind: 'unparsed' }))
+  ];
+  const flaggedCount = entries.filter(e => e.warnings.length).length;
+
+  const itemClass = (id) => `w-full text-left px-3 py-2 border-b text-xs hover:bg-slate-50 ${selected === id ? 'bg-blue-50' : ''}`;
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        <h2 className="font-semibold">{title}</h2>
+        <div className="flex gap-3 text-xs">
+          <span className="px-2 py-0.5 rounded bg-green-100">{entries.length} parsed</span>
+          <span className="px-2 py-0.5 rounded bg-amber-200">{flaggedCount} with defaults</span>
+          <span className="px-2 py-0.5 rounded bg-slate-200">{skipped.length} skipped</span>
+          <span className="px-2 py-0.5 rounded bg-red-200">{unparsed.length} unparsed</span>
+        </div>
+      </div>
+      {text !== null && !text.trim() ? <p className="text-slate-400 text-center py-8">Nothing pasted</p> : (
+        <div className={`grid gap-4 ${text !== null ? 'md:grid-cols-2' : ''}`}>
+          <div className="border rounded-lg max-h-96 overflow-y-auto">
+            {unparsed.map((u, i) => (
+              <button key={`unparsed-${i}`} onClick={() => setSelected(`unparsed-${i}`)} className={itemClass(`unparsed-${i}`)}>
+                <div className="flex items-center gap-1 font-medium text-red-700"><AlertTriangle size={12}/> {u.reason}</div>
+                <div className="font-mono text-slate-500 truncate">{u.text}</div>
+              </button>
+            ))}
+            {entries.map((e, i) => (
+              <button key={`entry-${i}`} onClick={() => setSelected(`entry-${i}`)} className={itemClass(`entry-${i}`)}>
+                <div className="font-medium">{e.name} <span className="font-normal text-slate-500">• {e.shiftDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} • {e.shiftTime}{e.source.row ? ` • row ${e.source.row}` : ''}</span></div>
+                {e.comment && !e.isPickup && <div className="text-slate-500 truncate">“{e.comment}”</div>}
+                {e.warnings.map(w => <div key={w.code} className="text-amber-700">⚠ {w.message}</div>)}
+              </button>
+            ))}
+            {skipped.map((s, i) => (
+              <button key={`skipped-${i}`} onClick={() => setSelected(`skipped-${i}`)} className={itemClass(`skipped-${i}`)}>
+                <div className="font-medium text-slate-600">Skipped{s.row ? ` row ${s.row}` : ''}: {s.reason}</div>
+                <div className="font-mono text-slate-400 truncate">{s.text}</div>
+              </button>
+            ))}
+          </div>
+          {text !== null && <pre className="border rounded-lg p-3 max-h-96 overflow-auto whitespace-pre-wrap font-mono text-xs">
+            {buildSegments(text, spans).map((seg, i) => seg.span ? (
+              <mark key={i} ref={selected === seg.span.id ? selectedRef : null} onClick={() => setSelected(seg.span.id)}
+                className={`${SPAN_STYLES[seg.span.kind]} cursor-pointer rounded-sm ${selected === seg.span.id ? 'ring-2 ring-blue-500' : ''}`}>{seg.text}</mark>
+            ) : <React.Fragment key={i}>{seg.text}</React.Fragment>)}
+          </pre>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function DiagnosticsPanel({ sections }) {
+  return (
+    <div className="space-y-4">
+      {sections.map(section => <DiagnosticsSection key={section.title} {...section}/>)}
+    </div>
+  );
+}
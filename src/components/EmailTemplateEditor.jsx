@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { RefreshCw } from 'lucide-react';
+import { EMAIL_PLACEHOLDERS, DEFAULT_EMAIL_TEMPLATES, renderEmail } from '../emailTemplates.js';
+
+const TIER_STYLES = ['bg-yellow-100 text-yellow-700', 'bg-orange-100 text-orange-700', 'bg-red-100 text-red-700'];
+
+export const tierStyle = (tier) => TIER_STYLES[Math.min(tier, TIER_STYLES.length - 1)];
+
+// Edits apply immediately; the preview renders the chosen tier for the selected employee
+export default function EmailTemplateEditor({ templates, onChange, previewValues, previewName }) {
+  const [selectedId, setSelectedId] = useState(templates[0]?.id);
+  const sorted = [...templates].sort((a, b) => a.minPoints - b.minPoints);
+  const template = templates.find(t => t.id === selectedId) || sorted[0];
+
+  const update = (field, value) => onChange(templates.map(t => (t.id === template.id ? { ...t, [field]: value } : t)));
+
+  const insertPlaceholder = (key) => update('body', `${template.body}{${key}}`);
+
+  const tierRange = (t, i) => {
+    const next = sorted[i + 1];
+    if (!next) return `${t.minPoints}+ pts`;
+    return next.minPoints - 1 === t.minPoints ? `${t.minPoints} pts` : `${t.minPoints}–${next.minPoints - 1} pts`;
+  };
+
+  const preview = previewValues && renderEmail(template, previewValues);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        {sorted.map((t, i) => (
+          <button key={t.id} onClick={() => setSelectedId(t.id)}
+            className={`px-3 py-1 rounded text-sm ${t.id === template.id ? 'ring-2 ring-purple-500' : ''} ${tierStyle(i)}`}>
+            {t.name} <span className="text-xs opacity-75">({tierRange(t, i)})</span>
+          </button>
+        ))}
+        <button onClick={() => window.confirm('Replace all templates with the defaults?') && onChange(DEFAULT_EMAIL_TEMPLATES)}
+          className="ml-auto flex items-center gap-1 px-2 py-1 text-xs text-slate-500 hover:text-slate-700">
+          <RefreshCw size={12}/> Reset to defaults
+        </button>
+      </div>
+      <div className="grid md:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <div className="grid grid-cols-3 gap-2">
+            <label className="col-span-2 text-xs text-slate-600">Name
+              <input type="text" value={template.name} onChange={e => update('name', e.target.value)} className="w-full px-2 py-1 border rounded text-sm"/>
+            </label>
+            <label className="text-xs text-slate-600">From (points)
+              <input type="number" min={0} value={template.minPoints} onChange={e => update('minPoints', Number(e.target.value) || 0)} className="w-full px-2 py-1 border rounded text-sm"/>
+            </label>
+          </div>
+          <label className="block text-xs text-slate-600">Subject
+            <input type="text" value={template.subject} onChange={e => update('subject', e.target.value)} className="w-full px-2 py-1 border rounded font-mono text-xs"/>
+          </label>
+          <label className="block text-xs text-slate-600">Body
+            <textarea value={template.body} onChange={e => update('body', e.target.value)} className="w-full h-64 p-2 border rounded font-mono text-xs"/>
+          </label>
+          <div className="flex flex-wrap gap-1">
+            {EMAIL_PLACEHOLDERS.map(p => (
+              <button key={p.key} title={p.description} onClick={() => insertPlaceholder(p.key)}
+                className="px-1.5 py-0.5 bg-slate-100 hover:bg-slate-200 rounded font-mono text-xs">{`{${p.key}}`}</button>
+            ))}
+          </div>
+        </div>
+        <div className="border rounded-lg flex flex-col min-w-0">
+          <div className="bg-slate-100 px-3 py-2 text-xs border-b">
+            {preview ? <>Preview for <span className="font-semibold">{previewName}</span> • <span className="text-slate-500">{preview.subject}</span></> : 'Generate emails to preview a template'}
+          </div>
+          {preview && <pre className="flex-1 p-3 max-h-96 overflow-y-auto whitespace-pre-wrap font-sans text-sm leading-relaxed">{preview.body}</pre>}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import React, { useState, useMemo } from 'react';
+import { History, Copy, CheckCircle } from 'lucide-react';
+import { buildCombinedTimeline } from '../employeeHistory.js';
+
+const KIND_STYLE = {
+  infraction: 'bg-red-100 text-red-800',
+  makeUp: 'bg-green-100 text-green-800',
+  wo: 'bg-slate-100 text-slate-600',
+  aged: 'bg-slate-200 text-slate-700',
+  adjustment: 'bg-blue-100 text-blue-800',
+  batch: 'bg-purple-100 text-purple-800',
+  notice: 'bg-amber-100 text-amber-800',
+  deadline: 'bg-orange-100 text-orange-800',
+  ageOff: 'bg-slate-100 text-slate-600'
+};
+
+const KIND_LABEL = {
+  infraction: 'Infraction', makeUp: 'Make-up', wo: 'WO', aged: 'Aged off', adjustment: 'Adjustment',
+  batch: 'This batch', notice: 'Notice', deadline: 'Deadline', ageOff: 'Ages off'
+};
+
+const signed = (n) => (n > 0 ? `+${n}` : `${n}`);
+
+const sumOf = (parts, field) => parts.reduce((sum, p) => sum + p.sheet[field], 0);
+
+// people: [{ key, name, units: [{ unitId, unit, sheet, entries }], notices }] merged by
+// roster key across every unit in App
+export default function EmployeeHistory({ people, selectedKey, onSelect, parseDate, formatDate, displayName }) {
+  const [copied, setCopied] = useState(false);
+  const person = people.find(p => p.key === selectedKey) || people[0];
+
+  const timeline = useMemo(() => person && buildCombinedTimeline({
+    parts: person.units, notices: person.notices, parseDate, formatDate, displayName
+  }), [person, parseDate, formatDate, displayName]);
+
+  if (!people.length) {
+    return <div className="bg-white rounded-xl shadow-lg p-6 text-center text-slate-500">Load the sheets on the Emails tab or process a W2W batch to see employee histories.</div>;
+  }
+
+  const onSheets = person.units.filter(p => p.sheet);
+  const multiUnit = person.units.length > 1;
+
+  // Plain text for pasting into meeting notes or a reply to a points dispute
+  const copyText = () => {
+    const lines = timeline.events.map(e =>
+      `${e.date ? formatDate(e.date) : 'Undated'}\t${multiUnit && e.unit ? `${e.unit}\t` : ''}${e.title}${e.detail ? ` (${e.detail})` : ''}\t${e.change ? signed(e.change) : ''}\t${e.total}`);
+    navigator.clipboard.writeText([`${person.name}: ${timeline.total} points`, ...lines].join('\n'))
+      .then(() => { setCopied(true); setTimeout(() => setCopied(false), 2000); })
+      .catch(console.error);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 space-y-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <h2 className="text-lg font-bold flex items-center gap-2"><History size={20}/> Attendance history</h2>
+        <select value={person.key} onChange={e => onSelect(e.target.value)} className="px-2 py-1 border rounded text-sm">
+          {people.map(p => <option key={p.key} value={p.key}>{p.name}</option>)}
+        </select>
+        <button onClick={copyText} className="ml-auto px-3 py-1 bg-slate-100 hover:bg-slate-200 text-sm rounded flex items-center gap-1">
+          {copied ? <><CheckCircle size={14}/> Copied</> : <><Copy size={14}/> Copy as text</>}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+        <div className="bg-slate-50 rounded p-3"><div className="text-slate-500">Current points</div><div className="text-2xl font-bold">{onSheets.length ? sumOf(onSheets, 'totalPoints') : '—'}</div></div>
+        <div className="bg-slate-50 rounded p-3"><div className="text-slate-500">Sheet total</div><div className="text-2xl font-bold">{onSheets.length ? sumOf(onSheets, 'sheetTotal') : '—'}</div></div>
+        <div className="bg-slate-50 rounded p-3"><div className="text-slate-500">Entries this batch</div><div className="text-2xl font-bold">{person.units.reduce((n, p) => n + p.entries.length, 0)}</div></div>
+        <div className="bg-slate-50 rounded p-3"><div className="text-slate-500">Notices sent</div><div className="text-2xl font-bold">{person.notices.length}</div></div>
+      </div>
+      {multiUnit && (
+        <p className="text-sm text-slate-600">Works at {person.units.map(p => `${p.unit}${p.sheet ? ` (${p.sheet.totalPoints} pt${p.sheet.totalPoints !== 1 ? 's' : ''})` : ''}`).join(', ')}. Each unit's points follow its own policy; the total below adds them up.</p>
+      )}
+      {!onSheets.length && <p className="text-sm text-slate-500">Not on the loaded sheets, so only this batch and past notices are shown.</p>}
+
+      <table className="w-full text-sm">
+        <thead><tr className="border-b text-slate-500"><th className="text-left py-2 px-3">Date</th>{multiUnit && <th className="text-left py-2 px-3">Unit</th>}<th className="text-left py-2 px-3">Event</th><th className="text-right py-2 px-3">Pts</th><th className="text-right py-2 px-3">Total</th></tr></thead>
+        <tbody>
+          {timeline.events.map((e, i) => (
+            <tr key={i} className={`border-b ${e.future ? 'text-slate-400 italic' : ''}`}>
+              <td className="py-2 px-3 whitespace-nowrap">{e.date ? formatDate(e.date) : 'Undated'}</td>
+              {multiUnit && <td className="py-2 px-3 whitespace-nowrap text-slate-600">{e.unit || ''}</td>}
+              <td className="py-2 px-3">
+                <span className={`px-2 py-0.5 rounded text-xs mr-2 ${KIND_STYLE[e.kind]}`}>{KIND_LABEL[e.kind]}</span>
+                {e.title}
+                {e.detail && <div className="text-xs text-slate-500 mt-0.5">{e.detail}</div>}
+              </td>
+              <td className="py-2 px-3 text-right font-mono">{e.change ? signed(e.change) : ''}</td>
+              <td className="py-2 px-3 text-right font-mono font-semibold">{e.total}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {!timeline.events.length && <p className="text-sm text-slate-500">Nothing recorded for this employee.</p>}
+    </div>
+  );
+}
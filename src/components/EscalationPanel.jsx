@@ -0,0 +1,120 @@
+import React, { useState, useRef } from 'react';
+import { AlertTriangle, CheckCircle, Download, Upload, History } from 'lucide-react';
+import { ESCALATION_STAGES, EscalationLedger } from '../escalationLedger.js';
+import { downloadFile, readFileAsText } from '../fileUtils.js';
+
+const STAGE_STYLES = {
+  reminder: 'bg-yellow-100 text-yellow-700',
+  warning: 'bg-orange-100 text-orange-700',
+  meeting: 'bg-red-100 text-red-700',
+  hr: 'bg-red-600 text-white'
+};
+
+const stageLabel = (id) => ESCALATION_STAGES.find(s => s.id === id)?.label || id;
+const shortDate = (iso) => new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+function StageBadge({ stage }) {
+  return <span className={`text-xs px-2 py-0.5 rounded-full whitespace-nowrap ${STAGE_STYLES[stage]}`}>{stageLabel(stage)}</span>;
+}
+
+// rows: [{ name, points, templateName, status }] for the employees in this week's emails
+export default function EscalationPanel({ rows, ledger, onRecord, onDelete, onImport }) {
+  const [showHistory, setShowHistory] = useState(false);
+  const [message, setMessage] = useState(null);
+  const fileInput = useRef(null);
+  const flagged = rows.filter(r => r.status.crossedThreshold);
+  const sentToday = (r) => r.status.last && new Date(r.status.last.date).toDateString() === new Date().toDateString();
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const added = onImport(EscalationLedger.fromJSON(await readFileAsText(file)));
+      setMessage({ ok: true, text: `Imported ${added} notice${added !== 1 ? 's' : ''}` });
+    } catch (err) {
+      setMessage({ ok: false, text: `Import failed: ${err.message}` });
+    }
+  };
+
+  const handleExport = () => {
+    downloadFile(`escalation-ledger-${new Date().toISOString().slice(0, 10)}.json`, EscalationLedger.toJSON(ledger));
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-4 space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="font-semibold text-sm">ESCALATION <span className="font-normal text-slate-400">({ledger.notices.length} notices recorded)</span></h2>
+        <div className="flex flex-wrap gap-2 text-xs">
+          {flagged.length > 0 && (
+            <button onClick={() => onRecord(flagged.map(r => r.name))} className="px-2 py-1 bg-amber-600 hover:bg-amber-700 text-white rounded">
+              Mark {flagged.length} flagged as sent
+            </button>
+          )}
+          <button onClick={() => onRecord(rows.filter(r => !sentToday(r)).map(r => r.name))} className="px-2 py-1 bg-slate-100 hover:bg-slate-200 rounded">Mark all as sent today</button>
+          <button onClick={handleExport} className="flex items-center gap-1 px-2 py-1 bg-slate-100 hover:bg-slate-200 rounded"><Download size={12}/> Export</button>
+          <button onClick={() => fileInput.current.click()} className="flex items-center gap-1 px-2 py-1 bg-slate-100 hover:bg-slate-200 rounded"><Upload size={12}/> Import</button>
+          <input ref={fileInput} type="file" accept=".json,application/json" className="hidden" onChange={handleImport}/>
+        </div>
+      </div>
+      {message && (
+        <div className={`flex items-center gap-2 text-xs ${message.ok ? 'text-green-700' : 'text-red-700'}`}>
+          {message.ok ? <CheckCircle size={12}/> : <AlertTriangle size={12}/>} {message.text}
+        </div>
+      )}
+      {rows.length > 0 && (
+        <div className="max-h-72 overflow-y-auto border rounded-lg">
+          <table className="w-full text-xs">
+            <thead className="bg-slate-50 sticky top-0">
+              <tr className="text-left text-slate-500">
+                <th className="px-3 py-2">Employee</th>
+                <th className="px-3 py-2">Now</th>
+                <th className="px-3 py-2">Last notice</th>
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(r => {
+                const { last, stage, crossedThreshold, pointsSinceLast } = r.status;
+                return (
+                  <tr key={r.name} className={`border-t ${crossedThreshold ? 'bg-amber-50' : ''}`}>
+                    <td className="px-3 py-2 font-medium">
+                      {r.name}
+                      {crossedThreshold && <div className="text-amber-700 font-normal">{last ? 'Crossed a new threshold since last notice' : 'No notice recorded yet'}</div>}
+                    </td>
+                    <td className="px-3 py-2"><StageBadge stage={stage}/> <span className="text-slate-500">{r.points} pts • {r.templateName}</span></td>
+                    <td className="px-3 py-2 text-slate-600">
+                      {last ? <><StageBadge stage={last.stage}/> {shortDate(last.date)} at {last.points} pts{pointsSinceLast ? ` (${pointsSinceLast > 0 ? '+' : ''}${pointsSinceLast} since)` : ''}</> : <span className="text-slate-400">none</span>}
+                    </td>
+                    <td className="px-3 py-2 text-right">
+                      {sentToday(r)
+                        ? <span className="text-green-700">sent today</span>
+                        : <button onClick={() => onRecord([r.name])} className="px-2 py-0.5 bg-slate-100 hover:bg-slate-200 rounded">Mark sent</button>}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <button onClick={() => setShowHistory(s => !s)} className="flex items-center gap-1 text-xs text-slate-500 hover:text-slate-700">
+        <History size={12}/> {showHistory ? 'hide' : 'show'} all recorded notices
+      </button>
+      {showHistory && (
+        <div className="max-h-60 overflow-y-auto border rounded-lg divide-y text-xs">
+          {ledger.notices.length === 0 && <p className="p-3 text-slate-400">No notices recorded</p>}
+          {[...ledger.notices].sort((a, b) => new Date(b.date) - new Date(a.date)).map(n => (
+            <div key={n.id} className="flex items-center gap-2 px-3 py-1.5">
+              <span className="w-24 shrink-0 text-slate-500">{shortDate(n.date)}</span>
+              <span className="flex-1 truncate">{n.name}</span>
+              <span className="text-slate-500">{n.points} pts • {n.template}</span>
+              <StageBadge stage={n.stage}/>
+              <button onClick={() => onDelete(n.id)} title="Delete this notice" className="text-slate-400 hover:text-red-600">×</button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import React, { useState, useRef } from 'react';
+import { FileInput } from 'lucide-react';
+
+// Wraps a card so files can be dropped onto it, with a button for the file picker
+export default function FileDrop({ accept, multiple = true, label = 'Upload file', onFiles, children }) {
+  const [dragging, setDragging] = useState(false);
+  const input = useRef(null);
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (e.dataTransfer.files.length) onFiles([...e.dataTransfer.files]);
+  };
+
+  return (
+    <div
+      onDragOver={e => { e.preventDefault(); setDragging(true); }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={handleDrop}
+      className={`relative rounded-lg ${dragging ? 'ring-2 ring-blue-400 ring-offset-2' : ''}`}
+    >
+      {children}
+      <div className="mt-2 flex items-center gap-2 text-xs text-slate-500">
+        <button type="button" onClick={() => input.current.click()} className="flex items-center gap-1 px-2 py-1 bg-slate-100 hover:bg-slate-200 rounded">
+          <FileInput size={12}/> {label}
+        </button>
+        <span>or drop a file here</span>
+      </div>
+      <input ref={input} type="file" accept={accept} multiple={multiple} className="hidden"
+        onChange={e => { const files = [...e.target.files]; e.target.value = ''; if (files.length) onFiles(files); }}/>
+    </div>
+  );
+}
@@ -0,0 +1,214 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { Calendar, AlertTriangle, CheckCircle, Download, Upload, Trash2 } from 'lucide-react';
+import { Extensions } from '../extensions.js';
+import { downloadFile, readFileAsText } from '../fileUtils.js';
+
+const shortDate = (date) => date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+const urgencyStyle = (daysLeft) =>
+  daysLeft <= 2 ? 'bg-red-100 text-red-800' : daysLeft <= 7 ? 'bg-orange-100 text-orange-800' : 'bg-slate-100 text-slate-600';
+
+const daysLabel = (daysLeft) => (daysLeft < 0 ? `expired ${-daysLeft}d ago` : daysLeft === 0 ? 'today' : `${daysLeft} day${daysLeft !== 1 ? 's' : ''}`);
+
+const isoDay = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+function ExtensionForm({ row, defaultGrantedBy, onGrant, onCancel }) {
+  const suggested = new Date(Math.max(row.deadline, Date.now()));
+  suggested.setDate(suggested.getDate() + 7);
+  const [deadline, setDeadline] = useState(isoDay(suggested));
+  const [reason, setReason] = useState(row.extension?.reason || '');
+  const [grantedBy, setGrantedBy] = useState(row.extension?.grantedBy || defaultGrantedBy);
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-xs bg-blue-50 px-2 py-2 rounded">
+      <label className="flex items-center gap-1">New deadline <input type="date" value={deadline} onChange={e => setDeadline(e.target.value)} className="px-1 py-0.5 border rounded"/></label>
+      <input type="text" value={reason} onChange={e => setReason(e.target.value)} placeholder="Reason" className="px-1 py-0.5 border rounded flex-1 min-w-[8rem]"/>
+      <input type="text" value={grantedBy} onChange={e => setGrantedBy(e.target.value)} placeholder="Granted by" className="px-1 py-0.5 border rounded w-28"/>
+      <button onClick={() => onGrant({ deadline, reason, grantedBy })} disabled={!deadline} className="px-2 py-1 bg-blue-600 hover:bg-blue-700 disabled:bg-slate-300 text-white rounded">Grant</button>
+      <button onClick={onCancel} className="px-2 py-1 bg-slate-100 hover:bg-slate-200 rounded">Cancel</button>
+    </div>
+  );
+}
+
+// rows: output of openMakeUps (including expired ones), already sorted by urgency
+// onGrant(row, { deadline, reason, grantedBy }) throws when the extension is invalid
+export default function MakeUpDashboard({ rows, windowDays, displayName, hasData, extensions, defaultGrantedBy, onGrant, onRemoveExtension, onImportExtensions }) {
+  const [thisWeekOnly, setThisWeekOnly] = useState(false);
+  const [showExpired, setShowExpired] = useState(false);
+  const [extending, setExtending] = useState(null);
+  const [message, setMessage] = useState(null);
+  const fileInput = useRef(null);
+  const openRows = rows.filter(r => r.daysLeft >= 0);
+  const shown = rows.filter(r => (r.daysLeft >= 0 || showExpired) && (!thisWeekOnly || r.daysLeft <= 7));
+  const rowKey = (r) => `${r.name}|${r.date.getTime()}|${r.type}`;
+
+  const grant = (row, values) => {
+    try {
+      onGrant(row, values);
+      setExtending(null);
+      setMessage({ ok: true, text: `Extended ${row.name}'s ${displayName(row.type)} to ${values.deadline}` });
+    } catch (err) {
+      setMessage({ ok: false, text: err.message });
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const added = onImportExtensions(Extensions.fromJSON(await readFileAsText(file)));
+      setMessage({ ok: true, text: `Imported ${added} extension${added !== 1 ? 's' : ''}` });
+    } catch (err) {
+      setMessage({ ok: false, text: `Import failed: ${err.message}` });
+    }
+  };
+
+  // Who stands to win back the most, so open shifts go to them first
+  const byEmployee = useMemo(() => {
+    const totals = {};
+    shown.filter(r => r.daysLeft >= 0).forEach(r => {
+      const t = totals[r.name] || (totals[r.name] = { name: r.name, totalPoints: r.totalPoints, recoverable: 0, open: 0, nextDays: r.daysLeft });
+      t.recoverable += r.recoverable;
+      t.open++;
+      t.nextDays = Math.min(t.nextDays, r.daysLeft);
+    });
+    return Object.values(totals).sort((a, b) => b.recoverable - a.recoverable || a.nextDays - b.nextDays || a.name.localeCompare(b.name));
+  }, [shown]);
+
+  const extensionsCard = (
+    <div className="bg-white rounded-xl shadow-lg p-4 space-y-2">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="font-semibold text-sm">EXTENSIONS <span className="font-normal text-slate-400">({extensions.extensions.length} granted)</span></h2>
+        <div className="flex gap-2 text-xs">
+          <button onClick={() => downloadFile(`extensions-${isoDay(new Date())}.json`, Extensions.toJSON(extensions))} disabled={!extensions.extensions.length} className="flex items-center gap-1 px-2 py-1 bg-slate-100 hover:bg-slate-200 disabled:opacity-40 rounded"><Download size={12}/> Export</button>
+          <button onClick={() => fileInput.current.click()} className="flex items-center gap-1 px-2 py-1 bg-slate-100 hover:bg-slate-200 rounded"><Upload size={12}/> Import</button>
+          <input ref={fileInput} type="file" accept=".json,application/json" className="hidden" onChange={handleImport}/>
+        </div>
+      </div>
+      {message && (
+        <div className={`flex items-center gap-2 text-sm ${message.ok ? 'text-green-700' : 'text-red-700'}`}>
+          {message.ok ? <CheckCircle size={14}/> : <AlertTriangle size={14}/>} {message.text}
+        </div>
+      )}
+      {extensions.extensions.length > 0 && (
+        <div className="divide-y border rounded-lg max-h-60 overflow-y-auto text-xs">
+          {[...extensions.extensions].sort((a, b) => a.deadline.localeCompare(b.deadline)).map(x => (
+            <div key={x.id} className="flex items-center gap-2 px-3 py-1.5">
+              <span className="w-40 truncate font-medium">{x.name}</span>
+              <span className="w-32 text-slate-500">{x.date} • {x.type}</span>
+              <span className="w-28">until {x.deadline}</span>
+              <span className="flex-1 truncate text-slate-500">{x.reason || 'No reason given'}{x.grantedBy ? ` • ${x.grantedBy}` : ''}</span>
+              <button onClick={() => onRemoveExtension(x.id)} title="Remove extension" className="text-slate-400 hover:text-red-600"><Trash2 size={12}/></button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  if (!hasData) {
+    return (
+      <div className="space-y-4">
+        <div className="bg-white rounded-xl shadow-lg p-6 text-center text-slate-400">
+          <Calendar size={40} className="mx-auto mb-2 opacity-50"/>
+          <p>Generate emails on the Emails tab to see open make-up deadlines.</p>
+        </div>
+        {extensionsCard}
+      </div>
+    );
+  }
+
+  const expiringCount = openRows.filter(r => r.daysLeft <= 7).length;
+  const recoverable = shown.filter(r => r.daysLeft >= 0).reduce((sum, r) => sum + r.recoverable, 0);
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-xl shadow-lg p-4 flex flex-wrap items-center gap-4">
+        <div className="text-sm"><span className="text-2xl font-bold text-slate-800">{openRows.length}</span> open infraction{openRows.length !== 1 ? 's' : ''}</div>
+        <div className="text-sm"><span className="text-2xl font-bold text-orange-600">{expiringCount}</span> expiring this week</div>
+        <div className="text-sm"><span className="text-2xl font-bold text-green-600">{recoverable}</span> point{recoverable !== 1 ? 's' : ''} recoverable{thisWeekOnly ? ' this week' : ''}</div>
+        <span className="flex-1"/>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={thisWeekOnly} onChange={e => setThisWeekOnly(e.target.checked)}/>
+          Expiring this week only
+        </label>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={showExpired} onChange={e => setShowExpired(e.target.checked)}/>
+          Show expired
+        </label>
+        <span className="text-xs text-slate-400">Make-up window: {windowDays} days</span>
+      </div>
+
+      {shown.length === 0 ? (
+        <div className="bg-white rounded-xl shadow-lg p-6 text-center text-slate-400 text-sm">
+          {openRows.length ? 'Nothing expires in the next 7 days.' : 'No open infractions. Everything has been made up or is past its window.'}
+        </div>
+      ) : (
+        <div className="grid md:grid-cols-3 gap-4">
+          <div className="bg-white rounded-xl shadow-lg p-4 md:col-span-2">
+            <h2 className="font-semibold text-sm mb-2">OPEN INFRACTIONS <span className="font-normal text-slate-400">(most urgent first)</span></h2>
+            <div className="overflow-x-auto max-h-[32rem] overflow-y-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-slate-50 sticky top-0">
+                  <tr className="text-left text-xs text-slate-500">
+                    <th className="px-2 py-2 font-medium">Employee</th>
+                    <th className="px-2 py-2 font-medium">Infraction</th>
+                    <th className="px-2 py-2 font-medium">Make up by</th>
+                    <th className="px-2 py-2 font-medium">Days left</th>
+                    <th className="px-2 py-2 font-medium text-right">Recoverable</th>
+                    <th/>
+                  </tr>
+                </thead>
+                <tbody>
+                  {shown.map(r => (
+                    <React.Fragment key={rowKey(r)}>
+                      <tr className={`border-t ${r.daysLeft < 0 ? 'text-slate-400' : ''}`}>
+                        <td className="px-2 py-1.5 font-medium">{r.name}</td>
+                        <td className="px-2 py-1.5 text-slate-600">{shortDate(r.date)} • {displayName(r.type)}</td>
+                        <td className="px-2 py-1.5">
+                          {shortDate(r.deadline)}
+                          {r.extension && <span title={r.extension.reason} className="ml-1 text-xs text-blue-700">(extended)</span>}
+                        </td>
+                        <td className="px-2 py-1.5"><span className={`text-xs px-2 py-0.5 rounded-full ${urgencyStyle(r.daysLeft)}`}>{daysLabel(r.daysLeft)}</span></td>
+                        <td className="px-2 py-1.5 text-right font-mono">{r.recoverable}</td>
+                        <td className="px-2 py-1.5 text-right">
+                          <button onClick={() => setExtending(extending === rowKey(r) ? null : rowKey(r))} className="text-xs text-blue-600 hover:underline">Extend</button>
+                        </td>
+                      </tr>
+                      {extending === rowKey(r) && (
+                        <tr><td colSpan={6} className="px-2 pb-2">
+                          <ExtensionForm row={r} defaultGrantedBy={defaultGrantedBy} onGrant={values => grant(r, values)} onCancel={() => setExtending(null)}/>
+                        </td></tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-xl shadow-lg p-4">
+            <h2 className="font-semibold text-sm mb-2">OFFER OPEN SHIFTS TO</h2>
+            <div className="divide-y max-h-[32rem] overflow-y-auto">
+              {byEmployee.map(t => (
+                <div key={t.name} className="py-2 text-sm">
+                  <div className="flex justify-between">
+                    <span className="font-medium truncate mr-2">{t.name}</span>
+                    <span className="font-mono text-green-700 shrink-0">+{t.recoverable}</span>
+                  </div>
+                  <div className="text-xs text-slate-500 flex items-center gap-1">
+                    {t.nextDays <= 2 && <AlertTriangle size={12} className="text-red-600"/>}
+                    {t.totalPoints} pts now • {t.open} open • next deadline in {daysLabel(t.nextDays)}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {extensionsCard}
+    </div>
+  );
+}
@@ -0,0 +1,209 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Save, Plus, Trash2, Download, Upload } from 'lucide-react';
+import { DEFAULT_POLICY_PROFILE, INFRACTION_ROLES, NOTICE_LIMITS, PolicyProfiles } from '../policyProfiles.js';
+import { ADJUSTMENT_TYPES, ADJUSTMENT_RULES } from '../adjustments.js';
+import { AGING_MODES, UNDATED_RULES } from '../pointAging.js';
+import { downloadFile, readFileAsText } from '../fileUtils.js';
+
+const NOTICE_FIELDS = [
+  { key: 'calloutWindowHours', label: 'Callout notice window (hours)' },
+  { key: 'sickNoticeHours', label: 'Sick notice required (hours)' },
+  { key: 'weekendMorningCutoffHour', label: 'Weekend morning ends at (hour, 24h)' },
+  { key: 'anyDayCalloffDays', label: 'Any-day callout rule (days ahead)' },
+  { key: 'makeUpWindowDays', label: 'Make-up window (days)' },
+  { key: 'lateGraceMinutes', label: 'Late grace period (minutes)' },
+  { key: 'veryLateMinutes', label: 'Very late after (minutes)' }
+];
+
+const KEYWORD_FIELDS = [
+  { key: 'sick', label: 'Sick keywords' },
+  { key: 'academic', label: 'Academic keywords' },
+  { key: 'final', label: 'Final exam keywords' }
+];
+
+// Keyword lists and term start dates are edited as comma-separated text and split back on save
+const toDraft = (profile) => ({
+  ...profile,
+  keywords: Object.fromEntries(Object.entries(profile.keywords).map(([k, list]) => [k, list.join(', ')])),
+  aging: { ...profile.aging, termStarts: profile.aging.termStarts.join(', ') }
+});
+
+const fromDraft = (draft) => PolicyProfiles.normalize({
+  ...draft,
+  keywords: Object.fromEntries(Object.entries(draft.keywords).map(([k, text]) => [k, text.split(',')])),
+  aging: { ...draft.aging, termStarts: draft.aging.termStarts.split(',') }
+});
+
+export default function PolicyEditor({ profiles, activeProfile, onSelect, onSave, onDelete }) {
+  const [draft, setDraft] = useState(() => toDraft(activeProfile));
+  const [message, setMessage] = useState(null);
+  const fileInput = useRef(null);
+
+  useEffect(() => { setDraft(toDraft(activeProfile)); }, [activeProfile]);
+
+  const setType = (role, field, value) =>
+    setDraft(d => ({ ...d, types: { ...d.types, [role]: { ...d.types[role], [field]: value } } }));
+  const setAdjustment = (id, field, value) =>
+    setDraft(d => ({ ...d, adjustments: { ...d.adjustments, [id]: { ...d.adjustments[id], [field]: value } } }));
+  const setAging = (key, value) => setDraft(d => ({ ...d, aging: { ...d.aging, [key]: value } }));
+  const setNotice = (key, value) => setDraft(d => ({ ...d, notice: { ...d.notice, [key]: value } }));
+  const setKeywords = (key, value) => setDraft(d => ({ ...d, keywords: { ...d.keywords, [key]: value } }));
+
+  const commit = (profile, text) => {
+    onSave(profile);
+    onSelect(profile.id);
+    setMessage({ ok: true, text });
+  };
+
+  const handleSave = () => {
+    try {
+      commit(fromDraft(draft), 'Profile saved');
+    } catch (e) {
+      setMessage({ ok: false, text: e.message });
+    }
+  };
+
+  const handleNew = () => {
+    try {
+      commit(PolicyProfiles.create(`${draft.name} (copy)`, fromDraft(draft)), 'Created a copy of this profile');
+    } catch (e) {
+      setMessage({ ok: false, text: e.message });
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const profile = PolicyProfiles.fromJSON(await readFileAsText(file));
+      commit(profile, `Imported "${profile.name}"`);
+    } catch (err) {
+      setMessage({ ok: false, text: `Import failed: ${err.message}` });
+    }
+  };
+
+  const handleExport = () => {
+    const fileName = activeProfile.name.replace(/[^\w-]+/g, '_') || 'policy';
+    downloadFile(`${fileName}.policy.json`, PolicyProfiles.toJSON(activeProfile));
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 space-y-6">
+      <div className="flex flex-wrap gap-2 items-center">
+        <select value={activeProfile.id} onChange={e => onSelect(e.target.value)} className="px-2 py-1 border rounded text-sm">
+          {profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+        </select>
+        <button onClick={handleSave} className="flex items-center gap-1 px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded"><Save size={14}/> Save</button>
+        <button onClick={handleNew} className="flex items-center gap-1 px-3 py-1 bg-slate-100 hover:bg-slate-200 text-sm rounded"><Plus size={14}/> Duplicate</button>
+        <button onClick={handleExport} className="flex items-center gap-1 px-3 py-1 bg-slate-100 hover:bg-slate-200 text-sm rounded"><Download size={14}/> Export JSON</button>
+        <button onClick={() => fileInput.current.click()} className="flex items-center gap-1 px-3 py-1 bg-slate-100 hover:bg-slate-200 text-sm rounded"><Upload size={14}/> Import JSON</button>
+        <input ref={fileInput} type="file" accept=".json,application/json" onChange={handleImport} className="hidden"/>
+        <button onClick={() => setDraft(toDraft({ ...DEFAULT_POLICY_PROFILE, id: draft.id, name: draft.name }))} className="px-3 py-1 bg-slate-100 hover:bg-slate-200 text-sm rounded">Reset to defaults</button>
+        <button onClick={() => onDelete(activeProfile.id)} disabled={profiles.length <= 1} className="flex items-center gap-1 px-3 py-1 bg-red-50 hover:bg-red-100 disabled:opacity-40 text-red-700 text-sm rounded"><Trash2 size={14}/> Delete</button>
+        {message && <span className={`text-sm ${message.ok ? 'text-green-600' : 'text-red-600'}`}>{message.text}</span>}
+      </div>
+
+      <label className="block text-sm">
+        <span className="font-medium">Profile name</span>
+        <input type="text" value={draft.name} onChange={e => setDraft(d => ({ ...d, name: e.target.value }))} className="mt-1 px-2 py-1 border rounded w-full md:w-1/2"/>
+      </label>
+
+      <div>
+        <h3 className="font-semibold text-slate-800 mb-2">Infraction types</h3>
+        <table className="w-full text-sm">
+          <thead><tr className="border-b"><th className="text-left py-2 px-3">Applies to</th><th className="text-left py-2 px-3">Code</th><th className="text-left py-2 px-3">Email label</th><th className="text-left py-2 px-3">Pts</th></tr></thead>
+          <tbody>
+            {INFRACTION_ROLES.map(({ role, description }) => (
+              <tr key={role} className="border-b">
+                <td className="py-2 px-3 text-slate-500">{description}</td>
+                <td className="py-2 px-3"><input type="text" value={draft.types[role].code} onChange={e => setType(role, 'code', e.target.value)} className="px-2 py-1 border rounded w-24 font-mono"/></td>
+                <td className="py-2 px-3"><input type="text" value={draft.types[role].label} onChange={e => setType(role, 'label', e.target.value)} className="px-2 py-1 border rounded w-full"/></td>
+                <td className="py-2 px-3"><input type="number" step="0.5" value={draft.types[role].points} onChange={e => setType(role, 'points', e.target.value)} className="px-2 py-1 border rounded w-20"/></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div>
+        <h3 className="font-semibold text-slate-800 mb-2">Adjustments <span className="font-normal text-slate-400 text-sm">(counts from the Infraction List)</span></h3>
+        <table className="w-full text-sm">
+          <thead><tr className="border-b"><th className="text-left py-2 px-3">Column</th><th className="text-left py-2 px-3">Email label</th><th className="text-left py-2 px-3">Rule</th><th className="text-left py-2 px-3">Pts each</th></tr></thead>
+          <tbody>
+            {ADJUSTMENT_TYPES.map(({ id, description }) => (
+              <tr key={id} className="border-b">
+                <td className="py-2 px-3 text-slate-500">{description}</td>
+                <td className="py-2 px-3"><input type="text" value={draft.adjustments[id].label} onChange={e => setAdjustment(id, 'label', e.target.value)} className="px-2 py-1 border rounded w-full"/></td>
+                <td className="py-2 px-3">
+                  <select value={draft.adjustments[id].rule} onChange={e => setAdjustment(id, 'rule', e.target.value)} className="px-2 py-1 border rounded">
+                    {ADJUSTMENT_RULES.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+                  </select>
+                </td>
+                <td className="py-2 px-3"><input type="number" step="0.5" value={draft.adjustments[id].points} onChange={e => setAdjustment(id, 'points', e.target.value)} disabled={draft.adjustments[id].rule === 'listOnly'} className="px-2 py-1 border rounded w-20 disabled:opacity-40"/></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div>
+        <h3 className="font-semibold text-slate-800 mb-2">Notice windows</h3>
+        <div className="grid md:grid-cols-3 gap-3">
+          {NOTICE_FIELDS.map(({ key, label }) => (
+            <label key={key} className="block text-sm">
+              <span className="text-slate-600">{label}</span>
+              <input type="number" min={NOTICE_LIMITS[key][0]} max={NOTICE_LIMITS[key][1]} value={draft.notice[key]} onChange={e => setNotice(key, e.target.value)} className="mt-1 px-2 py-1 border rounded w-full"/>
+            </label>
+          ))}
+          <label className="block text-sm">
+            <span className="text-slate-600">Good standing (max points)</span>
+            <input type="number" min={0} value={draft.goodStandingMaxPoints} onChange={e => setDraft(d => ({ ...d, goodStandingMaxPoints: e.target.value }))} className="mt-1 px-2 py-1 border rounded w-full"/>
+          </label>
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={draft.notice.allowAnyDayCalloff} onChange={e => setNotice('allowAnyDayCalloff', e.target.checked)}/>
+            Enable the any-day callout rule
+          </label>
+        </div>
+      </div>
+
+      <div>
+        <h3 className="font-semibold text-slate-800 mb-2">Point aging</h3>
+        <div className="grid md:grid-cols-3 gap-3">
+          <label className="block text-sm">
+            <span className="text-slate-600">Points expire</span>
+            <select value={draft.aging.mode} onChange={e => setAging('mode', e.target.value)} className="mt-1 px-2 py-1 border rounded w-full">
+              {AGING_MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+            </select>
+          </label>
+          <label className="block text-sm">
+            <span className="text-slate-600">Rolling window (days)</span>
+            <input type="number" min={1} value={draft.aging.rollingDays} onChange={e => setAging('rollingDays', e.target.value)} disabled={!['rolling', 'both'].includes(draft.aging.mode)} className="mt-1 px-2 py-1 border rounded w-full disabled:opacity-40"/>
+          </label>
+          <label className="block text-sm">
+            <span className="text-slate-600">Undated historical counts</span>
+            <select value={draft.aging.undated} onChange={e => setAging('undated', e.target.value)} disabled={draft.aging.mode === 'none'} className="mt-1 px-2 py-1 border rounded w-full disabled:opacity-40">
+              {UNDATED_RULES.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+            </select>
+          </label>
+          <label className="block text-sm md:col-span-3">
+            <span className="text-slate-600">Term start dates (YYYY-MM-DD, comma-separated; points earned before a term start reset on it)</span>
+            <input type="text" value={draft.aging.termStarts} onChange={e => setAging('termStarts', e.target.value)} disabled={!['term', 'both'].includes(draft.aging.mode)} placeholder="2026-01-20, 2026-08-25" className="mt-1 px-2 py-1 border rounded w-full font-mono disabled:opacity-40"/>
+          </label>
+        </div>
+      </div>
+
+      <div>
+        <h3 className="font-semibold text-slate-800 mb-2">Keyword lists <span className="font-normal text-slate-400 text-sm">(comma-separated)</span></h3>
+        <div className="grid md:grid-cols-3 gap-3">
+          {KEYWORD_FIELDS.map(({ key, label }) => (
+            <label key={key} className="block text-sm">
+              <span className="text-slate-600">{label}</span>
+              <textarea value={draft.keywords[key]} onChange={e => setKeywords(key, e.target.value)} className="mt-1 w-full h-28 p-2 border rounded-lg font-mono text-xs"/>
+            </label>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { CHANGE_KINDS } from '../reconcile.js';
+
+const KIND_STYLES = {
+  add: 'bg-green-100 text-green-800',
+  replace: 'bg-blue-100 text-blue-800',
+  duplicate: 'bg-slate-100 text-slate-600',
+  occupied: 'bg-amber-100 text-amber-800',
+  unmatched: 'bg-red-100 text-red-800',
+  cancelled: 'bg-slate-100 text-slate-500'
+};
+
+const formatDate = (key) => {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+};
+
+function ChangeRow({ change, approvable, approved, onToggle }) {
+  return (
+    <label className={`flex items-center gap-2 px-3 py-1.5 text-xs ${approvable ? 'cursor-pointer hover:bg-slate-50' : ''}`}>
+      {approvable && <input type="checkbox" checked={approved} onChange={() => onToggle(change.id)}/>}
+      <span className="w-40 truncate font-medium">{change.name}</span>
+      <span className="w-28 text-slate-500">{formatDate(change.date)}</span>
+      <span className="w-12 font-mono text-slate-400">{change.cell || ''}</span>
+      <span className="font-mono">
+        {change.kind === 'replace' ? <><s className="text-slate-400">{change.current}</s> → {change.infraction}</> : change.infraction}
+        {change.kind === 'occupied' && <span className="text-slate-500"> (cell has {change.current})</span>}
+      </span>
+      {change.problem && <span className="text-red-700">{change.problem}</span>}
+      {change.hint && <span className="text-slate-500">• {change.hint}</span>}
+    </label>
+  );
+}
+
+// changes: output of reconcileEntries; only add/replace rows can be approved
+export default function ReconcilePanel({ changes, approvedIds, onToggle, onSetKind }) {
+  const [open, setOpen] = useState({ add: true, replace: true, unmatched: true });
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap gap-2 text-xs">
+        {CHANGE_KINDS.map(({ kind, label }) => (
+          <span key={kind} className={`px-2 py-0.5 rounded ${KIND_STYLES[kind]}`}>{changes.filter(c => c.kind === kind).length} {label.toLowerCase()}</span>
+        ))}
+      </div>
+      {CHANGE_KINDS.map(({ kind, label, approvable }) => {
+        const group = changes.filter(c => c.kind === kind);
+        if (!group.length) return null;
+        const approvedCount = group.filter(c => approvedIds.has(c.id)).length;
+        return (
+          <div key={kind} className="border rounded-lg overflow-hidden">
+            <div className={`flex items-center justify-between px-3 py-2 text-sm ${KIND_STYLES[kind]}`}>
+              <button onClick={() => setOpen(o => ({ ...o, [kind]: !o[kind] }))} className="font-medium">
+                {open[kind] ? '▼' : '▶'} {label} ({group.length})
+              </button>
+              {approvable && (
+                <span className="flex items-center gap-2 text-xs">
+                  {approvedCount} approved
+                  <button onClick={() => onSetKind(kind, true)} className="underline">all</button>
+                  <button onClick={() => onSetKind(kind, false)} className="underline">none</button>
+                </span>
+              )}
+            </div>
+            {open[kind] && (
+              <div className="divide-y max-h-64 overflow-y-auto">
+                {group.map(c => <ChangeRow key={c.id} change={c} approvable={approvable} approved={approvedIds.has(c.id)} onToggle={onToggle}/>)}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
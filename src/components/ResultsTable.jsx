@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { Pencil, X } from 'lucide-react';
+import { INFRACTION_ROLES } from '../policyProfiles.js';
+import { toDateInputValue, fromDateInputValue } from '../time.js';
+
+const STATUSES = [
+  { value: 'active', label: 'Active' },
+  { value: 'cancelled', label: 'Cancelled' },
+  { value: 'denied', label: 'Denied' }
+];
+
+const FIELD_LABELS = { name: 'Name', shiftDate: 'Date', infraction: 'Type', status: 'Status', note: 'Note', unitId: 'Unit' };
+
+// units: every unit, so a misrouted entry can be moved; the picker is hidden with only one
+export default function ResultsTable({ entries, profile, units = [], getInfractionColor, onChange }) {
+  const [editingId, setEditingId] = useState(null);
+  const overrideValue = (o, value) => (o.field === 'unitId' ? units.find(u => u.id === value)?.name || value : value);
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead><tr className="border-b"><th className="text-left py-2 px-3">Employee</th><th className="text-left py-2 px-3">Date</th><th className="text-left py-2 px-3">Type</th><th className="text-left py-2 px-3">Pts</th><th className="text-left py-2 px-3">Status</th><th className="text-left py-2 px-3">Reason</th><th></th></tr></thead>
+        <tbody>
+          {entries.map(e => {
+            const typeChanged = e.infraction !== e.engine.infraction;
+            const isEditing = editingId === e.id;
+            return (
+              <React.Fragment key={e.id}>
+                <tr className={`border-b hover:bg-slate-50 ${e.isCancelled ? 'opacity-50' : ''}`}>
+                  <td className="py-2 px-3 font-medium">{e.name}{e.overrides.length > 0 && <span className="ml-1 text-xs text-blue-600" title="Edited by a manager">*</span>}
+                    {e.w2wName && e.w2wName !== e.name && <div className="text-xs font-normal text-slate-400">W2W: {e.w2wName}</div>}</td>
+                  <td className="py-2 px-3">{e.shiftDate.toLocaleDateString('en-US',{month:'short',day:'numeric'})}</td>
+                  <td className="py-2 px-3">
+                    <select value={e.infraction} onChange={ev => onChange(e.id, { infraction: ev.target.value })}
+                      className={`px-2 py-0.5 rounded-full text-xs font-semibold border-0 ${getInfractionColor(e.infraction)}`}>
+                      {INFRACTION_ROLES.map(({ role }) => <option key={role} value={profile.types[role].code}>{profile.types[role].code}</option>)}
+                    </select>
+                    {typeChanged && <span className="ml-2 text-xs text-slate-400 line-through">{e.engine.infraction}</span>}
+                  </td>
+                  <td className="py-2 px-3"><span className={e.points > 0 ? 'text-red-600' : e.points < 0 ? 'text-green-600' : ''}>{e.points > 0 ? '+' : ''}{e.points}</span></td>
+                  <td className="py-2 px-3">
+                    <select value={e.status} onChange={ev => onChange(e.id, { status: ev.target.value })} className="px-1 py-0.5 border rounded text-xs">
+                      {STATUSES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+                    </select>
+                  </td>
+                  <td className="py-2 px-3 text-xs text-slate-500">
+                    {e.engine.reason}
+                    {e.reason !== e.engine.reason && <div className="text-slate-700">Re-evaluated: {e.reason}</div>}
+                    {e.note && <div className="text-blue-700">Note: {e.note}</div>}
+                  </td>
+                  <td className="py-2 px-3">
+                    <button onClick={() => setEditingId(isEditing ? null : e.id)} className="p-1 rounded hover:bg-slate-200 text-slate-500" title={isEditing ? 'Close' : 'Edit'}>
+                      {isEditing ? <X size={14}/> : <Pencil size={14}/>}
+                    </button>
+                  </td>
+                </tr>
+                {isEditing && (
+                  <tr className="border-b bg-slate-50">
+                    <td colSpan={7} className="px-3 py-3">
+                      <div className="grid md:grid-cols-3 gap-3">
+                        <label className="block text-xs">
+                          <span className="text-slate-600">Name (Last, First)</span>
+                          <input type="text" defaultValue={e.name} onBlur={ev => ev.target.value.trim() && onChange(e.id, { name: ev.target.value.trim() })} className="mt-1 px-2 py-1 border rounded w-full text-sm"/>
+                        </label>
+                        <label className="block text-xs">
+                          <span className="text-slate-600">Shift date</span>
+                          <input type="date" defaultValue={toDateInputValue(e.shiftDate)} onBlur={ev => ev.target.value && onChange(e.id, { shiftDate: fromDateInputValue(ev.target.value) })} className="mt-1 px-2 py-1 border rounded w-full text-sm"/>
+                        </label>
+                        <label className="block text-xs">
+                          <span className="text-slate-600">Manager note</span>
+                          <input type="text" defaultValue={e.note} onBlur={ev => onChange(e.id, { note: ev.target.value.trim() })} placeholder="e.g. Doctor's note received" className="mt-1 px-2 py-1 border rounded w-full text-sm"/>
+                        </label>
+                        {units.length > 1 && (
+                          <label className="block text-xs">
+                            <span className="text-slate-600">Unit {e.position && <span className="text-slate-400">(W2W: {e.position})</span>}</span>
+                            <select value={e.unitId} onChange={ev => onChange(e.id, { unitId: ev.target.value })} className="mt-1 px-2 py-1 border rounded w-full text-sm">
+                              {units.map(u => <option key={u.id} value={u.id}>{u.name}</option>)}
+                            </select>
+                          </label>
+                        )}
+                      </div>
+                      {e.overrides.length > 0 && (
+                        <ul className="mt-3 text-xs text-slate-500 space-y-0.5">
+                          {e.overrides.map((o, i) => (
+                            <li key={i}>{new Date(o.at).toLocaleString()} — {o.by} changed {FIELD_LABELS[o.field] || o.field}: "{overrideValue(o, o.from)}" → "{overrideValue(o, o.to)}"</li>
+                          ))}
+                        </ul>
+                      )}
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
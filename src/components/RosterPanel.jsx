@@ -0,0 +1,141 @@
+import React, { useState, useRef } from 'react';
+import { Plus, Trash2, Download, Upload, AlertTriangle, CheckCircle } from 'lucide-react';
+import { Roster, parseRosterFile } from '../roster.js';
+import { downloadFile, readFileAsText } from '../fileUtils.js';
+
+const FIELDS = [
+  { key: 'name', label: 'Name (as in the sheets)', className: 'w-48' },
+  { key: 'aliases', label: 'Aliases (; separated)', className: 'w-56' },
+  { key: 'netId', label: 'NetID', className: 'w-20' },
+  { key: 'email', label: 'Email', className: 'w-44' },
+  { key: 'position', label: 'Position', className: 'w-28' }
+];
+
+// Text input that commits on blur, so half-typed names don't re-resolve every entry
+function Cell({ value, onCommit, className }) {
+  return (
+    <input key={value} type="text" defaultValue={value} onBlur={e => e.target.value !== value && onCommit(e.target.value)}
+      className={`px-1.5 py-0.5 border rounded text-xs ${className}`}/>
+  );
+}
+
+// unknownNames: [{ name, sources }] seen in W2W or the sheets but not on the roster
+// sheetPeople: [{ name, email, netId }] from the last Infraction List, offered as a quick seed
+export default function RosterPanel({ roster, onChange, unknownNames, sheetPeople }) {
+  const [filter, setFilter] = useState('');
+  const [message, setMessage] = useState(null);
+  const fileInput = useRef(null);
+
+  const update = (id, key, value) => {
+    try {
+      if (key === 'name') {
+        onChange(Roster.rename(roster, id, value));
+        return;
+      }
+      const [changed] = Roster.normalize([{ ...roster.find(e => e.id === id), [key]: value }]);
+      onChange(roster.map(e => (e.id === id ? changed : e)));
+    } catch (err) {
+      setMessage({ ok: false, text: err.message });
+    }
+  };
+
+  const addPeople = (people, source) => {
+    const { roster: next, added } = Roster.mergeEmployees(roster, people);
+    onChange(next);
+    setMessage({ ok: true, text: `Added ${added} employee${added !== 1 ? 's' : ''} from ${source}` });
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      addPeople(parseRosterFile(file.name, await readFileAsText(file)), file.name);
+    } catch (err) {
+      setMessage({ ok: false, text: `Import failed: ${err.message}` });
+    }
+  };
+
+  const confirmAlias = (employee, alias) => {
+    onChange(Roster.addAlias(roster, employee.id, alias));
+    setMessage({ ok: true, text: `Saved "${alias}" as an alias of ${employee.name}` });
+  };
+
+  const shown = roster.filter(emp => !filter || [emp.name, ...emp.aliases, emp.netId, emp.position]
+    .some(v => v.toLowerCase().includes(filter.toLowerCase())));
+
+  return (
+    <div className="space-y-4">
+      {unknownNames.length > 0 && (
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h2 className="font-semibold mb-1 flex items-center gap-2"><AlertTriangle size={16} className="text-amber-600"/> Names not on the roster ({unknownNames.length})</h2>
+          <p className="text-xs text-slate-500 mb-3">Confirm a suggestion to save the name as an alias, or add the person as a new employee.</p>
+          <div className="divide-y border rounded-lg max-h-80 overflow-y-auto">
+            {unknownNames.map(({ name, sources }) => (
+              <div key={name} className="flex flex-wrap items-center gap-2 px-3 py-2 text-sm">
+                <span className="font-medium">{name}</span>
+                <span className="text-xs text-slate-400">{sources.join(', ')}</span>
+                <span className="flex-1"/>
+                {Roster.suggest(roster, name).map(({ employee, score }) => (
+                  <button key={employee.id} onClick={() => confirmAlias(employee, name)}
+                    className="px-2 py-0.5 bg-blue-50 hover:bg-blue-100 text-blue-800 rounded text-xs">
+                    = {employee.name} <span className="text-blue-400">{Math.round(score * 100)}%</span>
+                  </button>
+                ))}
+                <button onClick={() => addPeople([{ name }], 'the unmatched list')} className="flex items-center gap-1 px-2 py-0.5 bg-slate-100 hover:bg-slate-200 rounded text-xs"><Plus size={12}/> New employee</button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-xl shadow-lg p-6 space-y-3">
+        <div className="flex flex-wrap items-center gap-2">
+          <h2 className="font-semibold mr-2">Roster ({roster.length})</h2>
+          <input type="text" value={filter} onChange={e => setFilter(e.target.value)} placeholder="Filter..." className="px-2 py-1 border rounded text-sm w-40"/>
+          <button onClick={() => onChange([...roster, ...Roster.normalize([{ name: 'New, Employee' }])])} className="flex items-center gap-1 px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded"><Plus size={14}/> Add</button>
+          {sheetPeople.length > 0 && (
+            <button onClick={() => addPeople(sheetPeople, 'the Infraction List')} className="px-3 py-1 bg-slate-100 hover:bg-slate-200 text-sm rounded">Add names from Infraction List</button>
+          )}
+          <button onClick={() => fileInput.current.click()} className="flex items-center gap-1 px-3 py-1 bg-slate-100 hover:bg-slate-200 text-sm rounded"><Upload size={14}/> Import CSV/JSON</button>
+          <input ref={fileInput} type="file" accept=".csv,.tsv,.txt,.json" onChange={handleImport} className="hidden"/>
+          <button onClick={() => downloadFile('roster.json', Roster.toJSON(roster))} disabled={!roster.length} className="flex items-center gap-1 px-3 py-1 bg-slate-100 hover:bg-slate-200 disabled:opacity-40 text-sm rounded"><Download size={14}/> Export JSON</button>
+        </div>
+        {message && (
+          <div className={`flex items-center gap-2 text-sm ${message.ok ? 'text-green-700' : 'text-red-700'}`}>
+            {message.ok ? <CheckCircle size={14}/> : <AlertTriangle size={14}/>} {message.text}
+          </div>
+        )}
+        {roster.length === 0 ? (
+          <p className="text-slate-400 text-center py-8 text-sm">No employees yet. Import a CSV with a Name column (plus optional Aliases, NetID, Email, Position) or add names from the Infraction List.</p>
+        ) : (
+          <div className="overflow-x-auto max-h-[32rem] overflow-y-auto">
+            <table className="text-xs">
+              <thead className="bg-slate-50 sticky top-0">
+                <tr className="text-left text-slate-500">
+                  {FIELDS.map(f => <th key={f.key} className="px-2 py-2 font-medium">{f.label}</th>)}
+                  <th/>
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map(emp => (
+                  <tr key={emp.id} className="border-t">
+                    {FIELDS.map(f => (
+                      <td key={f.key} className="px-2 py-1">
+                        <Cell value={f.key === 'aliases' ? emp.aliases.join('; ') : emp[f.key]} className={f.className}
+                          onCommit={value => update(emp.id, f.key, value)}/>
+                      </td>
+                    ))}
+                    <td className="px-2 py-1">
+                      <button onClick={() => onChange(roster.filter(e => e.id !== emp.id))} title="Remove from roster" className="text-slate-400 hover:text-red-600"><Trash2 size={14}/></button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+import React, { useState } from 'react';
+import { History, Plus, Trash2 } from 'lucide-react';
+
+const formatTimestamp = (iso) => new Date(iso).toLocaleString('en-US', {
+  weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+});
+
+export default function SessionPanel({ sessions, currentId, saveError, onOpen, onNew, onDelete, onClearAll }) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg overflow-hidden">
+      <div className="flex items-center justify-between px-4 py-3 gap-2 flex-wrap">
+        <button onClick={() => setOpen(o => !o)} className="flex items-center gap-2 font-semibold text-sm text-slate-700">
+          <History size={16} className="text-slate-500"/> Recent sessions <span className="font-normal text-slate-400">({sessions.length})</span>
+          <span className="text-slate-400 text-xs">{open ? '▲ hide' : '▼ show'}</span>
+        </button>
+        <div className="flex gap-2">
+          <button onClick={onNew} className="flex items-center gap-1 px-3 py-1 bg-slate-100 hover:bg-slate-200 text-sm rounded"><Plus size={14}/> New session</button>
+          <button onClick={onClearAll} className="flex items-center gap-1 px-3 py-1 bg-red-50 hover:bg-red-100 text-red-700 text-sm rounded"><Trash2 size={14}/> Clear all data</button>
+        </div>
+      </div>
+      {saveError && <p className="px-4 pb-3 text-sm text-red-600">{saveError}</p>}
+      {open && (
+        <div className="border-t max-h-60 overflow-y-auto">
+          {sessions.length === 0 ? <p className="text-slate-400 text-sm text-center py-4">Nothing saved yet</p> : sessions.map(s => (
+            <div key={s.id} className={`flex items-center justify-between px-4 py-2 border-b text-sm ${s.id === currentId ? 'bg-blue-50' : ''}`}>
+              <button onClick={() => onOpen(s.id)} className="text-left flex-1 hover:text-blue-700">
+                <span className="font-medium">{formatTimestamp(s.createdAt)}</span>
+                <span className="text-slate-400 ml-2">{s.entryCount} entries • saved {formatTimestamp(s.updatedAt)}</span>
+                {s.id === currentId && <span className="ml-2 text-xs text-blue-600">current</span>}
+              </button>
+              <button onClick={() => onDelete(s.id)} className="p-1 rounded hover:bg-red-100 text-slate-400 hover:text-red-600" title="Delete session"><Trash2 size={14}/></button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Save, Plus, Trash2, Download, Upload } from 'lucide-react';
+import { DEFAULT_SHEET_LAYOUT, DATE_FORMATS, SheetLayouts } from '../sheetLayouts.js';
+import { downloadFile, readFileAsText } from '../fileUtils.js';
+
+const SHEET_FIELDS = [
+  { key: 'logSheet', label: 'Call-off log sheet' },
+  { key: 'infractionSheet', label: 'Infraction list sheet' },
+  { key: 'woSheet', label: 'WO expiration sheet' }
+];
+
+const POSITION_FIELDS = [
+  { key: 'logHeaderRow', label: 'Log: date header row', type: 'number' },
+  { key: 'logNameColumn', label: 'Log: name column', type: 'text' },
+  { key: 'woFirstRow', label: 'WO: first data row', type: 'number' },
+  { key: 'woFullColumn', label: 'WO: full shifts start at column', type: 'text' },
+  { key: 'woPartialColumn', label: 'WO: partial shifts start at column', type: 'text' }
+];
+
+export default function SheetLayoutEditor({ layouts, activeLayout, onSelect, onSave, onDelete }) {
+  const [draft, setDraft] = useState(activeLayout);
+  const [message, setMessage] = useState(null);
+  const fileInput = useRef(null);
+
+  useEffect(() => { setDraft(activeLayout); }, [activeLayout]);
+
+  const set = (key, value) => setDraft(d => ({ ...d, [key]: value }));
+
+  const commit = (layout, text) => {
+    onSave(layout);
+    onSelect(layout.id);
+    setMessage({ ok: true, text });
+  };
+
+  const handleSave = () => {
+    try {
+      commit(SheetLayouts.normalize(draft), 'Layout saved');
+    } catch (e) {
+      setMessage({ ok: false, text: e.message });
+    }
+  };
+
+  const handleNew = () => {
+    try {
+      commit(SheetLayouts.create(`${draft.name} (copy)`, SheetLayouts.normalize(draft)), 'Created a copy of this layout');
+    } catch (e) {
+      setMessage({ ok: false, text: e.message });
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const layout = SheetLayouts.fromJSON(await readFileAsText(file));
+      commit(layout, `Imported "${layout.name}"`);
+    } catch (err) {
+      setMessage({ ok: false, text: `Import failed: ${err.message}` });
+    }
+  };
+
+  const handleExport = () => {
+    const fileName = activeLayout.name.replace(/[^\w-]+/g, '_') || 'sheets';
+    downloadFile(`${fileName}.sheets.json`, SheetLayouts.toJSON(activeLayout));
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 space-y-6">
+      <div className="flex flex-wrap gap-2 items-center">
+        <h2 className="font-semibold mr-2">Sheet layout</h2>
+        <select value={activeLayout.id} onChange={e => onSelect(e.target.value)} className="px-2 py-1 border rounded text-sm">
+          {layouts.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+        </select>
+        <button onClick={handleSave} className="flex items-center gap-1 px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded"><Save size={14}/> Save</button>
+        <button onClick={handleNew} className="flex items-center gap-1 px-3 py-1 bg-slate-100 hover:bg-slate-200 text-sm rounded"><Plus size={14}/> Duplicate</button>
+        <button onClick={handleExport} className="flex items-center gap-1 px-3 py-1 bg-slate-100 hover:bg-slate-200 text-sm rounded"><Download size={14}/> Export JSON</button>
+        <button onClick={() => fileInput.current.click()} className="flex items-center gap-1 px-3 py-1 bg-slate-100 hover:bg-slate-200 text-sm rounded"><Upload size={14}/> Import JSON</button>
+        <input ref={fileInput} type="file" accept=".json,application/json" onChange={handleImport} className="hidden"/>
+        <button onClick={() => setDraft({ ...DEFAULT_SHEET_LAYOUT, id: draft.id, name: draft.name })} className="px-3 py-1 bg-slate-100 hover:bg-slate-200 text-sm rounded">Reset to defaults</button>
+        <button onClick={() => onDelete(activeLayout.id)} disabled={layouts.length <= 1} className="flex items-center gap-1 px-3 py-1 bg-red-50 hover:bg-red-100 disabled:opacity-40 text-red-700 text-sm rounded"><Trash2 size={14}/> Delete</button>
+        {message && <span className={`text-sm ${message.ok ? 'text-green-600' : 'text-red-600'}`}>{message.text}</span>}
+      </div>
+      <p className="text-xs text-slate-500">Where this unit's workbook keeps things. Used to read pasted or uploaded sheets and by the generated Apps Script.</p>
+
+      <div className="grid md:grid-cols-4 gap-3">
+        <label className="block text-sm">
+          <span className="text-slate-600">Layout name</span>
+          <input type="text" value={draft.name} onChange={e => set('name', e.target.value)} className="mt-1 px-2 py-1 border rounded w-full"/>
+        </label>
+        {SHEET_FIELDS.map(({ key, label }) => (
+          <label key={key} className="block text-sm">
+            <span className="text-slate-600">{label}</span>
+            <input type="text" value={draft[key]} onChange={e => set(key, e.target.value)} className="mt-1 px-2 py-1 border rounded w-full"/>
+          </label>
+        ))}
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-3">
+        {POSITION_FIELDS.map(({ key, label, type }) => (
+          <label key={key} className="block text-sm">
+            <span className="text-slate-600">{label}</span>
+            <input type={type} min={1} value={draft[key]} onChange={e => set(key, e.target.value)} className={`mt-1 px-2 py-1 border rounded w-full ${type === 'text' ? 'font-mono uppercase' : ''}`}/>
+          </label>
+        ))}
+        <label className="block text-sm">
+          <span className="text-slate-600">Date format</span>
+          <select value={draft.dateFormat} onChange={e => set('dateFormat', e.target.value)} className="mt-1 px-2 py-1 border rounded w-full">
+            {DATE_FORMATS.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+          </select>
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { AlertTriangle, CheckCircle } from 'lucide-react';
+import { SHEET_COLUMNS, columnLetter, resolveColumns } from '../sheetColumns.js';
+
+const SHEET_LABELS = { infractionList: 'Infraction List', woExpiration: 'WO Expiration' };
+
+function MappingTable({ columns }) {
+  return (
+    <table className="w-full text-xs">
+      <tbody>
+        {columns.map(col => (
+          <tr key={col.field} className="border-b">
+            <td className="py-1 pr-2 text-slate-600">{col.label}</td>
+            <td className="py-1 font-mono">{col.index === null
+              ? <span className="text-slate-400">not found</span>
+              : <>{columnLetter(col.index)} <span className="text-slate-500">“{col.header}”</span></>}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export default function SheetMappingPanel({ columns, error, aliases, onAliasesChange, isConfirmed, onConfirm }) {
+  const [showAliases, setShowAliases] = useState(false);
+
+  const setAliases = (sheet, field, text) => {
+    const list = text.split(',').map(a => a.trim().toLowerCase()).filter(Boolean);
+    onAliasesChange({ ...aliases, [sheet]: { ...(aliases[sheet] || {}), [field]: list } });
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 space-y-4">
+      {error && (
+        <div className="flex items-start gap-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+          <AlertTriangle size={16} className="shrink-0 mt-0.5"/> <span>{error}<br/>Fix the sheet headers or add an alias below, then generate again.</span>
+        </div>
+      )}
+      {columns && (
+        <>
+          <div className={`flex flex-wrap items-center justify-between gap-2 p-3 rounded-lg text-sm ${isConfirmed ? 'bg-green-50 text-green-800' : 'bg-amber-50 text-amber-800'}`}>
+            <span className="flex items-center gap-2">
+              {isConfirmed ? <CheckCircle size={16}/> : <AlertTriangle size={16}/>}
+              {isConfirmed ? 'Column mapping matches the last confirmed layout.' : 'New column layout detected. Check the mapping before sending emails.'}
+            </span>
+            {!isConfirmed && <button onClick={onConfirm} className="px-3 py-1 bg-amber-600 hover:bg-amber-700 text-white text-xs rounded">Looks right</button>}
+          </div>
+          <div className="grid md:grid-cols-2 gap-4">
+            {Object.entries(columns).filter(([, cols]) => cols.length).map(([sheet, cols]) => (
+              <div key={sheet}>
+                <h3 className="font-semibold text-sm mb-1">{SHEET_LABELS[sheet]}</h3>
+                <MappingTable columns={cols}/>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+      <button onClick={() => setShowAliases(s => !s)} className="text-xs text-slate-500 hover:text-slate-700">
+        {showAliases ? '▲ hide' : '▼ edit'} header aliases
+      </button>
+      {showAliases && (
+        <div className="grid md:grid-cols-2 gap-4">
+          {Object.keys(SHEET_COLUMNS).map(sheet => (
+            <div key={sheet} className="space-y-1">
+              <h3 className="font-semibold text-sm">{SHEET_LABELS[sheet]}</h3>
+              {resolveColumns(sheet, aliases).map(col => (
+                <label key={col.field} className="flex items-center gap-2 text-xs">
+                  <span className="w-28 shrink-0 text-slate-600">{col.label}{col.required ? ' *' : ''}</span>
+                  <input type="text" defaultValue={col.aliases.join(', ')} onBlur={e => setAliases(sheet, col.field, e.target.value)}
+                    className="flex-1 px-2 py-1 border rounded font-mono"/>
+                </label>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from 'react';
+import { Save, Plus, Trash2 } from 'lucide-react';
+import { Units } from '../units.js';
+
+// Location words are edited as comma-separated text
+const toDraft = (unit) => ({ ...unit, locations: unit.locations.join(', ') });
+
+export default function UnitEditor({ units, activeUnit, profiles, layouts, onSelect, onSave, onDelete }) {
+  const [draft, setDraft] = useState(() => toDraft(activeUnit));
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => { setDraft(toDraft(activeUnit)); }, [activeUnit]);
+
+  const set = (key, value) => setDraft(d => ({ ...d, [key]: value }));
+
+  // onSave gets the whole list so location clashes between units are caught before saving
+  const commit = (unit, text) => {
+    try {
+      const list = units.some(u => u.id === unit.id) ? units.map(u => (u.id === unit.id ? unit : u)) : [...units, unit];
+      onSave(Units.normalizeList(list));
+      onSelect(unit.id);
+      setMessage({ ok: true, text });
+    } catch (e) {
+      setMessage({ ok: false, text: e.message });
+    }
+  };
+
+  const handleSave = () => {
+    try {
+      commit(Units.normalize(draft), 'Unit saved');
+    } catch (e) {
+      setMessage({ ok: false, text: e.message });
+    }
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete ${activeUnit.name}? Its roster and sheet pastes are removed too; W2W entries routed to it move to ${units.find(u => u.id !== activeUnit.id)?.name}.`)) return;
+    onDelete(activeUnit.id);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 space-y-6">
+      <div className="flex flex-wrap gap-2 items-center">
+        <h2 className="font-semibold mr-2">Dining unit</h2>
+        <select value={activeUnit.id} onChange={e => onSelect(e.target.value)} className="px-2 py-1 border rounded text-sm">
+          {units.map(u => <option key={u.id} value={u.id}>{u.name}</option>)}
+        </select>
+        <button onClick={handleSave} className="flex items-center gap-1 px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded"><Save size={14}/> Save</button>
+        <button onClick={() => commit(Units.create(`New unit ${units.length + 1}`, activeUnit), 'Added a unit with the same policy and sheets')} className="flex items-center gap-1 px-3 py-1 bg-slate-100 hover:bg-slate-200 text-sm rounded"><Plus size={14}/> New unit</button>
+        <button onClick={handleDelete} disabled={units.length <= 1} className="flex items-center gap-1 px-3 py-1 bg-red-50 hover:bg-red-100 disabled:opacity-40 text-red-700 text-sm rounded"><Trash2 size={14}/> Delete</button>
+        {message && <span className={`text-sm ${message.ok ? 'text-green-600' : 'text-red-600'}`}>{message.text}</span>}
+      </div>
+      <p className="text-xs text-slate-500">
+        Each unit has its own roster, sheets, manager and sign-off. Pasted W2W requests go to the unit whose location words appear in
+        the request's position text; anything that matches no unit goes to {units[0].name}.
+      </p>
+
+      <div className="grid md:grid-cols-3 gap-3">
+        <label className="block text-sm">
+          <span className="text-slate-600">Unit name</span>
+          <input type="text" value={draft.name} onChange={e => set('name', e.target.value)} className="mt-1 px-2 py-1 border rounded w-full"/>
+        </label>
+        <label className="block text-sm">
+          <span className="text-slate-600">Policy profile</span>
+          <select value={draft.profileId} onChange={e => set('profileId', e.target.value)} className="mt-1 px-2 py-1 border rounded w-full">
+            {profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
+        </label>
+        <label className="block text-sm">
+          <span className="text-slate-600">Sheet layout</span>
+          <select value={draft.layoutId} onChange={e => set('layoutId', e.target.value)} className="mt-1 px-2 py-1 border rounded w-full">
+            {layouts.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+          </select>
+        </label>
+        <label className="block text-sm">
+          <span className="text-slate-600">Manager name</span>
+          <input type="text" value={draft.managerName} onChange={e => set('managerName', e.target.value)} className="mt-1 px-2 py-1 border rounded w-full"/>
+        </label>
+        <label className="block text-sm md:col-span-2">
+          <span className="text-slate-600">W2W location words <span className="text-slate-400">(comma-separated, e.g. okenshields, oken)</span></span>
+          <input type="text" value={draft.locations} onChange={e => set('locations', e.target.value)} className="mt-1 px-2 py-1 border rounded w-full"/>
+        </label>
+        <label className="block text-sm md:col-span-3">
+          <span className="text-slate-600">Email sign-off <span className="text-slate-400">(lines under the manager's name, used by {'{signOff}'})</span></span>
+          <textarea value={draft.signature} onChange={e => set('signature', e.target.value)} rows={2} placeholder="Okenshields Student Managers" className="mt-1 px-2 py-1 border rounded w-full"/>
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+// Bulk export of the weekly emails: .eml drafts, a mail-merge CSV and mailto links
+import { createZip } from './zip.js';
+
+export const DEFAULT_EMAIL_DOMAIN = 'cornell.edu';
+
+// Prefer the Email column; otherwise build the address from the NetID (a bare NetID
+// typed into the Email column counts too)
+export function recipientFor(employee, emailDomain = DEFAULT_EMAIL_DOMAIN) {
+  const email = String(employee.email || '').trim();
+  if (email.includes('@')) return email;
+  const netId = String(employee.netId || email).trim().toLowerCase();
+  const domain = String(emailDomain || '').trim().replace(/^@/, '');
+  return netId && domain ? `${netId}@${domain}` : '';
+}
+
+function encodeHeader(value) {
+  if (/^[\x20-\x7e]*$/.test(value)) return value;
+  const bytes = new TextEncoder().encode(value);
+  return `=?UTF-8?B?${btoa(String.fromCharCode(...bytes))}?=`;
+}
+
+// X-Unsent makes Outlook open the file as an editable draft instead of a received message
+export function buildEml({ to, subject, body }) {
+  return [
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    'X-Unsent: 1',
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    body.replace(/\r?\n/g, '\r\n')
+  ].join('\r\n');
+}
+
+export function mailtoLink({ to, subject, body }) {
+  const query = `subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body.replace(/\r?\n/g, '\r\n'))}`;
+  return `mailto:${to}?${query}`;
+}
+
+function fileSafeName(name) {
+  return name.replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, ' ').trim() || 'employee';
+}
+
+export function emlZip(messages) {
+  const used = new Set();
+  return createZip(messages.map(message => {
+    let name = fileSafeName(message.name);
+    for (let n = 2; used.has(name); n++) name = `${fileSafeName(message.name)} (${n})`;
+    used.add(name);
+    return { name: `${name}.eml`, content: buildEml(message) };
+  }));
+}
+
+export function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Column names Outlook and Gmail mail-merge add-ons pick up without remapping; the BOM keeps
+// Excel from mangling accented names
+export function mailMergeCSV(messages) {
+  const rows = [
+    ['Email', 'First Name', 'Name', 'Points', 'Subject', 'Body'],
+    ...messages.map(m => [m.to, m.firstName, m.name, m.points, m.subject, m.body])
+  ];
+  return '\ufeff' + rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+}
@@ -0,0 +1,125 @@
+// Weekly email templates, picked by point tier and filled with {placeholder} values
+
+export const EMAIL_PLACEHOLDERS = [
+  { key: 'firstName', description: 'Employee first name' },
+  { key: 'name', description: 'Name as written in the Infraction List' },
+  { key: 'totalPoints', description: 'Point total, e.g. 3' },
+  { key: 'pointsLabel', description: 'Point total with unit, e.g. "3 infraction points"' },
+  { key: 'infractionLines', description: 'One line per infraction with points, date and status' },
+  { key: 'makeUpDeadlines', description: 'Infractions that can still be made up, with their deadline' },
+  { key: 'makeUpWindow', description: 'Make-up window from the policy, e.g. "2 weeks"' },
+  { key: 'goodStandingLabel', description: 'Good-standing limit with unit, e.g. "3 infraction points"' },
+  { key: 'managerName', description: "The unit's manager name" },
+  { key: 'signOff', description: "Manager name followed by the unit's sign-off lines" },
+  { key: 'unitName', description: 'Name of the dining unit' }
+];
+
+const SIGNATURE = `Thank you,
+{signOff}
+
+Note: This email was generated using an alpha version of our attendance tracking software. If you notice any mistakes or discrepancies, please let us know by replying to this email.`;
+
+export const DEFAULT_EMAIL_TEMPLATES = [
+  {
+    id: 'reminder',
+    name: 'Friendly reminder',
+    minPoints: 1,
+    subject: 'Attendance reminder: {pointsLabel}',
+    body: `Hi {firstName},
+
+This is a reminder that you have accumulated {pointsLabel} so far.
+
+This includes:
+
+{infractionLines}
+
+Please note that you have {makeUpWindow} after the call-off date to make up your call-off shifts. Let us know if you need an extension.
+
+To be in good standing is to have at most {goodStandingLabel}. Please also let us know if we make any mistakes or if you have any questions.
+
+${SIGNATURE}`
+  },
+  {
+    id: 'warning',
+    name: 'Warning',
+    minPoints: 3,
+    subject: 'Attendance warning: {pointsLabel}',
+    body: `Hi {firstName},
+
+This is a warning that you have accumulated {pointsLabel}, which is the most you can have and still be in good standing.
+
+This includes:
+
+{infractionLines}
+
+You can still make up these call-offs:
+
+{makeUpDeadlines}
+
+Any further infraction will put you above good standing. You have {makeUpWindow} after a call-off to make it up; let us know if you need an extension, if we made a mistake, or if you have any questions.
+
+${SIGNATURE}`
+  },
+  {
+    id: 'formal',
+    name: 'Formal notice',
+    minPoints: 4,
+    subject: 'Formal attendance notice: {pointsLabel}',
+    body: `Dear {firstName},
+
+This is a formal notice that you have accumulated {pointsLabel}. Good standing requires at most {goodStandingLabel}.
+
+This includes:
+
+{infractionLines}
+
+The following call-offs can still be made up:
+
+{makeUpDeadlines}
+
+Please reply to this email to schedule a meeting with a manager about your attendance. If you believe any of the above is incorrect, let us know in your reply.
+
+${SIGNATURE}`
+  }
+];
+
+// Stored templates are trusted only as far as their shape; anything unusable falls back
+// to the defaults so the email step never breaks on a bad save
+export function normalizeTemplates(templates) {
+  if (!Array.isArray(templates) || !templates.length) return DEFAULT_EMAIL_TEMPLATES;
+  const valid = templates.filter(t => t && typeof t.body === 'string' && Number.isFinite(Number(t.minPoints)));
+  if (!valid.length) return DEFAULT_EMAIL_TEMPLATES;
+  return valid.map((t, i) => ({
+    id: String(t.id || `template-${i + 1}`),
+    name: String(t.name || `Template ${i + 1}`),
+    minPoints: Number(t.minPoints),
+    subject: String(t.subject ?? ''),
+    body: t.body
+  }));
+}
+
+// The template with the highest threshold the employee has reached; below every
+// threshold the lowest tier is used
+export function templateForPoints(templates, points) {
+  const sorted = [...templates].sort((a, b) => a.minPoints - b.minPoints);
+  return sorted.filter(t => points >= t.minPoints).pop() || sorted[0];
+}
+
+// Tier position (0 = lowest) for color-coding employees
+export function templateTier(templates, points) {
+  const sorted = [...templates].sort((a, b) => a.minPoints - b.minPoints);
+  return sorted.indexOf(templateForPoints(sorted, points));
+}
+
+// Replace {placeholder} tokens; unknown tokens are left as typed so mistakes stay visible
+export function fillPlaceholders(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] ?? match));
+}
+
+export function renderEmail(template, values) {
+  return {
+    template,
+    subject: fillPlaceholders(template.subject, values),
+    body: fillPlaceholders(template.body, values)
+  };
+}
@@ -0,0 +1,105 @@
+// One employee's attendance history from every source the tool has: the sheet results from
+// processEmailSheets (infractions, WO pairings, adjustments, aging), the current batch's
+// entries and the notices in the escalation ledger.
+import { ESCALATION_STAGES } from './escalationLedger.js';
+
+const KIND_ORDER = ['infraction', 'makeUp', 'wo', 'aged', 'adjustment', 'batch', 'notice', 'deadline', 'ageOff'];
+
+// Undated items come first; ties keep point changes ahead of informational rows
+const byDate = (a, b) => {
+  if (!a.date !== !b.date) return a.date ? 1 : -1;
+  return (a.date ? a.date - b.date : 0) || KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind);
+};
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// sheet: the employee's row from processEmailSheets (or null when they're not on the sheets)
+// entries: processed W2W/time-clock entries for this employee; notices: their ledger notices
+// Returns { events, total } where each event is { date, kind, title, detail, change, total, future }
+// and total is the running sheet total after it. Only sheet events change the total, so the
+// last total matches what the email reports.
+export function buildTimeline({ sheet, entries = [], notices = [], today = new Date(), parseDate, displayName, formatDate }) {
+  const day = startOfDay(today);
+  const events = [];
+  const add = (event) => events.push({ change: 0, detail: '', ...event });
+
+  (sheet?.infractions || []).forEach(inf => {
+    const date = inf.hasDate ? parseDate(inf.date) : null;
+    const label = displayName(inf.type);
+    add({
+      date, kind: 'infraction', change: inf.basePoints,
+      title: date ? `${label} (${inf.type})` : `${label} (${inf.type}), from the Infraction List`,
+      detail: date ? '' : 'Not in the NS-C Log, so the date is unknown'
+    });
+
+    if (inf.madeUpBy) {
+      // Credit lands when both the infraction and the WO have happened
+      const woDate = parseDate(inf.madeUpBy);
+      add({
+        date: woDate && date ? new Date(Math.max(woDate, date)) : woDate || date,
+        kind: 'makeUp', change: -inf.madeUpPoints,
+        title: `WO ${woDate ? formatDate(woDate) : inf.madeUpBy} made up ${date ? formatDate(date) : 'an undated'} ${inf.type}`
+      });
+    }
+    if (inf.agedOffOn) add({ date: inf.agedOffOn, kind: 'aged', change: -inf.basePoints, title: `${date ? formatDate(date) : ''} ${inf.type} aged off`.trim() });
+    if (inf.undatedDropped) add({ date: null, kind: 'aged', change: -inf.basePoints, title: `Undated ${inf.type} not counted under the aging policy` });
+
+    if (date && inf.points > 0 && !inf.madeUpBy && inf.deadline) {
+      const future = inf.deadline >= day;
+      add({
+        date: inf.deadline, kind: 'deadline', future,
+        title: `${future ? 'Make-up deadline' : 'Make-up window closed'} for ${formatDate(date)} ${inf.type}`,
+        detail: inf.extension ? `Extended${inf.extension.reason ? `: ${inf.extension.reason}` : ''}${inf.extension.grantedBy ? ` (${inf.extension.grantedBy})` : ''}` : ''
+      });
+    }
+  });
+
+  (sheet?.unusedWos || []).forEach(wo => {
+    const date = parseDate(wo.woDate);
+    add({ date, kind: 'wo', title: `WO ${date ? formatDate(date) : wo.woDate} worked, not needed for a make-up`, detail: wo.source || '' });
+  });
+
+  (sheet?.adjustments || []).forEach(a => {
+    // Infraction events carry their points before adjustments, so cancellations count here
+    add({ date: day, kind: 'adjustment', change: a.points - (a.cancelled || 0), title: `${a.label} x${a.count}`, detail: a.detail ? `As of this sheet (${a.detail})` : 'As of this sheet' });
+  });
+
+  if (sheet?.aging?.next) {
+    const { date, infraction } = sheet.aging.next;
+    add({ date, kind: 'ageOff', future: true, title: `${formatDate(parseDate(infraction.date))} ${infraction.type} ages off` });
+  }
+
+  entries.forEach(e => {
+    const changes = e.overrides.map(o => `${o.field}: ${o.from || '—'} → ${o.to || '—'}${o.by ? ` (${o.by})` : ''}`);
+    add({
+      date: e.shiftDate, kind: 'batch',
+      title: `This batch: ${e.infraction} ${e.shiftTime || ''}`.trim() + (e.isCancelled ? ` (${e.status})` : ''),
+      detail: [e.reason, ...changes].filter(Boolean).join(' • ')
+    });
+  });
+
+  notices.forEach(n => {
+    add({ date: new Date(n.date), kind: 'notice', title: `${n.template || 'Notice'} sent at ${n.points} pts`, detail: ESCALATION_STAGES.find(s => s.id === n.stage)?.label || n.stage });
+  });
+
+  return withTotals(events);
+}
+
+function withTotals(events) {
+  events.sort(byDate);
+  let total = 0;
+  events.forEach(e => {
+    total += e.change;
+    e.total = total;
+  });
+  return { events, total };
+}
+
+// An employee on several units' sheets: parts is [{ unit, sheet, entries }], one per unit.
+// Each event carries its unit name and the total runs across every unit; notices are added once.
+export function buildCombinedTimeline({ parts, notices = [], ...options }) {
+  const events = parts.flatMap(({ unit, sheet, entries }) =>
+    buildTimeline({ ...options, sheet, entries }).events.map(e => ({ ...e, unit })));
+  events.push(...buildTimeline({ ...options, notices }).events);
+  return withTotals(events);
+}
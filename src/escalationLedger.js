@@ -0,0 +1,98 @@
+// Record of attendance notices sent, and the escalation stage each employee has reached
+
+export const ESCALATION_STAGES = [
+  { id: 'reminder', label: 'Reminder' },
+  { id: 'warning', label: 'Warning' },
+  { id: 'meeting', label: 'Meeting required' },
+  { id: 'hr', label: 'HR referral' }
+];
+
+const MEETING_STAGE = 2;
+const HR_STAGE = 3;
+
+const stageIndex = (id) => ESCALATION_STAGES.findIndex(s => s.id === id);
+
+export const EMPTY_LEDGER = { version: 1, notices: [] };
+
+export const EscalationLedger = {
+  // Validate a stored or imported ledger; throws with a message that names the bad notice
+  normalize(raw) {
+    if (!raw || !Array.isArray(raw.notices)) throw new Error('Ledger must have a "notices" list');
+    const notices = raw.notices.map((n, i) => {
+      const where = `Notice ${i + 1}`;
+      if (!n || typeof n.name !== 'string' || !n.name.trim()) throw new Error(`${where} has no employee name`);
+      if (!n.date || isNaN(new Date(n.date))) throw new Error(`${where} (${n.name}) has an invalid date`);
+      if (!Number.isFinite(Number(n.points))) throw new Error(`${where} (${n.name}) has invalid points`);
+      if (stageIndex(n.stage) === -1) throw new Error(`${where} (${n.name}) has unknown stage "${n.stage}"`);
+      return {
+        id: String(n.id || `notice-${Date.parse(n.date)}-${i}`),
+        key: String(n.key || n.name.toLowerCase().trim()),
+        name: n.name.trim(),
+        date: new Date(n.date).toISOString(),
+        points: Number(n.points),
+        tier: Number(n.tier) || 0,
+        template: String(n.template || ''),
+        stage: n.stage
+      };
+    });
+    return { version: 1, notices };
+  },
+
+  toJSON(ledger) {
+    return JSON.stringify({ ...ledger, exportedAt: new Date().toISOString() }, null, 2);
+  },
+
+  fromJSON(text) {
+    let raw;
+    try {
+      raw = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Not valid JSON: ${e.message}`);
+    }
+    return this.normalize(raw);
+  },
+
+  // Imported notices are added to the existing ones; a notice already in the ledger is kept once
+  merge(ledger, incoming) {
+    const ids = new Set(ledger.notices.map(n => n.id));
+    const added = incoming.notices.filter(n => !ids.has(n.id));
+    return { ledger: { ...ledger, notices: [...ledger.notices, ...added] }, added: added.length };
+  },
+
+  noticesFor(ledger, key) {
+    return ledger.notices.filter(n => n.key === key).sort((a, b) => new Date(a.date) - new Date(b.date));
+  },
+
+  // Stage follows the template tier (the top tier means a meeting is required). Someone who
+  // already reached the meeting stage and has gained points since is referred to HR.
+  stageFor(previous, points, tier, tierCount) {
+    const topTier = tier >= tierCount - 1;
+    let stage = Math.min(topTier ? MEETING_STAGE : tier, MEETING_STAGE);
+    const meeting = [...previous].reverse().find(n => stageIndex(n.stage) >= MEETING_STAGE);
+    if (topTier && meeting && points > meeting.points) stage = HR_STAGE;
+    if (meeting && stageIndex(meeting.stage) === HR_STAGE && topTier) stage = HR_STAGE;
+    return ESCALATION_STAGES[stage].id;
+  },
+
+  // Where an employee stands now compared with their last recorded notice
+  status(ledger, key, points, tier, tierCount) {
+    const previous = this.noticesFor(ledger, key);
+    const last = previous[previous.length - 1] || null;
+    const stage = this.stageFor(previous, points, tier, tierCount);
+    return {
+      last,
+      stage,
+      noticeCount: previous.length,
+      crossedThreshold: !last || stageIndex(stage) > stageIndex(last.stage),
+      pointsSinceLast: last ? points - last.points : null
+    };
+  },
+
+  record(ledger, notices) {
+    return { ...ledger, notices: [...ledger.notices, ...notices] };
+  },
+
+  remove(ledger, id) {
+    return { ...ledger, notices: ledger.notices.filter(n => n.id !== id) };
+  }
+};
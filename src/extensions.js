@@ -0,0 +1,84 @@
+// Make-up extensions granted on individual infractions. An infraction is identified by
+// employee, shift date and code, so an extension keeps applying in later weekly runs.
+
+export const EMPTY_EXTENSIONS = { version: 1, extensions: [] };
+
+const isoDay = (value) => {
+  const d = value instanceof Date ? value : new Date(`${String(value).slice(0, 10)}T00:00:00`);
+  if (isNaN(d)) return null;
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+export const Extensions = {
+  // key: the employee's roster entry id, or their name when not on the roster (see Roster.personKey)
+  infractionId(key, date, type) {
+    return `${key}|${isoDay(date)}|${type}`;
+  },
+
+  // Validate stored or imported extensions; throws with a message that names the bad one
+  normalize(raw) {
+    if (!raw || !Array.isArray(raw.extensions)) throw new Error('File must have an "extensions" list');
+    const extensions = raw.extensions.map((x, i) => {
+      const where = `Extension ${i + 1}`;
+      if (!x || typeof x.name !== 'string' || !x.name.trim()) throw new Error(`${where} has no employee name`);
+      if (!isoDay(x.date)) throw new Error(`${where} (${x.name}) has an invalid infraction date`);
+      if (!isoDay(x.deadline)) throw new Error(`${where} (${x.name}) has an invalid deadline`);
+      if (isoDay(x.deadline) < isoDay(x.date)) throw new Error(`${where} (${x.name}) ends before the infraction`);
+      if (typeof x.type !== 'string' || !x.type.trim()) throw new Error(`${where} (${x.name}) has no infraction code`);
+      return {
+        id: String(x.id || `extension-${i}-${isoDay(x.date)}`),
+        key: String(x.key || x.name.toLowerCase().trim()),
+        name: x.name.trim(),
+        date: isoDay(x.date),
+        type: x.type.trim(),
+        deadline: isoDay(x.deadline),
+        reason: String(x.reason || '').trim(),
+        grantedBy: String(x.grantedBy || '').trim(),
+        grantedOn: x.grantedOn && !isNaN(new Date(x.grantedOn)) ? new Date(x.grantedOn).toISOString() : new Date().toISOString()
+      };
+    });
+    return { version: 1, extensions };
+  },
+
+  toJSON(store) {
+    return JSON.stringify({ ...store, exportedAt: new Date().toISOString() }, null, 2);
+  },
+
+  fromJSON(text) {
+    let raw;
+    try {
+      raw = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Not valid JSON: ${e.message}`);
+    }
+    return this.normalize(raw);
+  },
+
+  // Imported extensions replace any existing one for the same infraction
+  merge(store, incoming) {
+    const ids = new Set(incoming.extensions.map(x => this.infractionId(x.key, x.date, x.type)));
+    const kept = store.extensions.filter(x => !ids.has(this.infractionId(x.key, x.date, x.type)));
+    return { store: { ...store, extensions: [...kept, ...incoming.extensions] }, added: incoming.extensions.length };
+  },
+
+  // { infractionId: extension } for quick lookups while matching
+  index(store) {
+    return Object.fromEntries(store.extensions.map(x => [this.infractionId(x.key, x.date, x.type), x]));
+  },
+
+  // Granting again on the same infraction replaces the earlier extension
+  grant(store, extension) {
+    const [added] = this.normalize({ extensions: [{ ...extension, id: `extension-${Date.now()}` }] }).extensions;
+    return this.merge(store, { extensions: [added] }).store;
+  },
+
+  remove(store, id) {
+    return { ...store, extensions: store.extensions.filter(x => x.id !== id) };
+  },
+
+  // The extended deadline as a local Date
+  deadlineDate(extension) {
+    const [y, m, d] = extension.deadline.split('-').map(Number);
+    return new Date(y, m - 1, d);
+  }
+};
@@ -0,0 +1,17 @@
+// Library entry point: the parsers, policy engine and generators the web app is built on,
+// usable from Node without React (see bin/w2w.js). HTML page parsing needs a DOMParser,
+// so in Node only pasted text and CSV/TSV exports can be read.
+export { W2WParser, W2W_RECORD_COLUMNS, DEFAULT_SHIFT_TIME } from './w2wParser.js';
+export { SheetParser } from './sheetParser.js';
+export { AttendancePolicyEngine } from './policyEngine.js';
+export { DEFAULT_POLICY_PROFILE, INFRACTION_ROLES, CALLOFF_ROLES, PICKUP_ROLES, LATE_ROLES, PolicyProfiles } from './policyProfiles.js';
+export { DEFAULT_SHEET_LAYOUT, SheetLayouts } from './sheetLayouts.js';
+export { parseTimePunches } from './timePunches.js';
+export { computeSheetPoints, emailValues, hasSheetInput } from './sheetPoints.js';
+export { DEFAULT_EMAIL_TEMPLATES, normalizeTemplates, templateForPoints, renderEmail } from './emailTemplates.js';
+export { DEFAULT_EMAIL_DOMAIN, recipientFor, mailMergeCSV, buildEml } from './emailExport.js';
+export { buildBatchScripts, buildApplyScript, buildUndoScript, batchIdFor } from './appsScript.js';
+export { EMPTY_EXTENSIONS, Extensions } from './extensions.js';
+export { EMPTY_ROSTER, Roster, parseRosterFile } from './roster.js';
+export { DEFAULT_UNIT, Units } from './units.js';
+export { parseCSV } from './tableImport.js';
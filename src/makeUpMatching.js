@@ -0,0 +1,105 @@
+// Which WO makes up which infraction. Each WO clears one point of one infraction, and the
+// assignment is chosen to clear as many points as possible overall; taking the first WO
+// that fits can strand an infraction another order would have covered.
+
+// Ties between equally good assignments prefer clearing infractions that can no longer be
+// made up any other way, then WOs closest to the infraction. Both bonuses stay below one
+// point-unit so they never cost a made-up point.
+const POINT_UNIT = 1000;
+const CLOSED_BONUS = 500;
+const MAX_CLOSENESS_BONUS = 100;
+
+// Kuhn–Munkres on a square cost matrix (minimizing). Returns the column picked for each row.
+function hungarian(cost) {
+  const n = cost.length;
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(n + 1).fill(0);
+  const p = new Array(n + 1).fill(0); // p[col] = row matched to col (1-based, 0 = none)
+  const way = new Array(n + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Array(n + 1).fill(Infinity);
+    const used = new Array(n + 1).fill(false);
+    do {
+      used[j0] = true;
+      const i0 = p[j0];
+      let delta = Infinity;
+      let j1 = 0;
+      for (let j = 1; j <= n; j++) {
+        if (used[j]) continue;
+        const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+        if (cur < minv[j]) { minv[j] = cur; way[j] = j0; }
+        if (minv[j] < delta) { delta = minv[j]; j1 = j; }
+      }
+      for (let j = 0; j <= n; j++) {
+        if (used[j]) { u[p[j]] += delta; v[j] -= delta; } else minv[j] -= delta;
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+
+  const rowToCol = new Array(n).fill(-1);
+  for (let j = 1; j <= n; j++) if (p[j]) rowToCol[p[j] - 1] = j - 1;
+  return rowToCol;
+}
+
+// infractions: [{ points, ... }], wos: [...]
+// canMakeUp(infraction, wo): whether this WO falls in the infraction's make-up window
+// isClosed(infraction): true when the infraction can't be made up by a future WO
+// daysApart(infraction, wo): distance used only to break ties (null when unknown)
+// Returns, for each infraction, the index of the WO that makes it up or -1.
+export function matchMakeUps(infractions, wos, { canMakeUp, isClosed = () => false, daysApart = () => null }) {
+  const size = Math.max(infractions.length, wos.length);
+  if (!infractions.length || !wos.length) return infractions.map(() => -1);
+
+  const weights = infractions.map(inf => wos.map(wo => {
+    const madeUp = Math.min(1, Math.max(0, inf.points));
+    if (!madeUp || !canMakeUp(inf, wo)) return 0;
+    const days = daysApart(inf, wo);
+    const closeness = days == null ? 0 : Math.max(0, MAX_CLOSENESS_BONUS - 1 - Math.round(days));
+    return Math.round(madeUp * 100) * POINT_UNIT + (isClosed(inf) ? CLOSED_BONUS : 0) + closeness;
+  }));
+
+  const cost = Array.from({ length: size }, (_, i) =>
+    Array.from({ length: size }, (_, j) => -((weights[i] && weights[i][j]) || 0)));
+
+  return hungarian(cost).slice(0, infractions.length)
+    .map((col, i) => (col < wos.length && weights[i][col] > 0 ? col : -1));
+}
+
+const DAY_MS = 86400000;
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Last day a WO still counts for an infraction on `date`
+export function makeUpDeadline(date, windowDays) {
+  const deadline = startOfDay(date);
+  deadline.setDate(deadline.getDate() + windowDays);
+  return deadline;
+}
+
+// Every dated infraction that still carries points and hasn't been made up, with whole days
+// left until its deadline (negative once it has passed; those are only kept with
+// includeExpired, so an extension can still be granted). employees: emailData rows from
+// processEmailSheets; parseDate turns the log's cell values into Dates.
+export function openMakeUps(employees, { windowDays, parseDate, today = new Date(), includeExpired = false }) {
+  return employees.flatMap(emp => emp.infractions
+    .filter(inf => inf.hasDate && inf.points > 0 && !inf.madeUpBy && parseDate(inf.date))
+    .map(inf => {
+      const deadline = inf.deadline || makeUpDeadline(parseDate(inf.date), windowDays);
+      return {
+        name: emp.name, totalPoints: emp.totalPoints, type: inf.type, date: parseDate(inf.date), deadline,
+        extension: inf.extension || null,
+        daysLeft: Math.round((deadline - startOfDay(today)) / DAY_MS),
+        recoverable: Math.min(1, inf.points)
+      };
+    }))
+    .filter(r => includeExpired || r.daysLeft >= 0)
+    .sort((a, b) => a.daysLeft - b.daysLeft || a.name.localeCompare(b.name));
+}
@@ -0,0 +1,101 @@
+// Point aging: infractions stop counting after a rolling number of days, at the start of a
+// new term, or whichever comes first. Undated historical counts follow their own setting
+// because there is no date to age them by.
+
+export const AGING_MODES = [
+  { id: 'none', label: 'Points never expire' },
+  { id: 'rolling', label: 'Rolling window' },
+  { id: 'term', label: 'Reset at each term start' },
+  { id: 'both', label: 'Rolling window and term resets' }
+];
+
+export const UNDATED_RULES = [
+  { id: 'keep', label: 'Keep counting them' },
+  { id: 'drop', label: 'Treat them as aged off' }
+];
+
+export const DEFAULT_AGING = { mode: 'none', rollingDays: 180, termStarts: [], undated: 'keep' };
+
+const DAY_MS = 86400000;
+const ISO_DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const fromIso = (iso) => {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
+
+export function normalizeAging(raw = {}) {
+  const aging = { ...DEFAULT_AGING, ...raw };
+  if (!AGING_MODES.some(m => m.id === aging.mode)) throw new Error(`Unknown point aging mode "${aging.mode}"`);
+  const rollingDays = Number(aging.rollingDays);
+  if (!Number.isInteger(rollingDays) || rollingDays < 1 || rollingDays > 730) throw new Error('Rolling window must be 1 to 730 days');
+  if (!Array.isArray(aging.termStarts)) throw new Error('Term start dates must be a list');
+  const termStarts = aging.termStarts.map(d => String(d).trim()).filter(Boolean);
+  const bad = termStarts.find(d => !ISO_DAY.test(d) || fromIso(d).getMonth() + 1 !== Number(d.slice(5, 7)));
+  if (bad) throw new Error(`Term start "${bad}" is not a YYYY-MM-DD date`);
+  if (!UNDATED_RULES.some(r => r.id === aging.undated)) throw new Error(`Unknown rule for undated counts "${aging.undated}"`);
+  return { mode: aging.mode, rollingDays, termStarts: [...new Set(termStarts)].sort(), undated: aging.undated };
+}
+
+const usesRolling = (aging) => aging.mode === 'rolling' || aging.mode === 'both';
+const usesTerms = (aging) => aging.mode === 'term' || aging.mode === 'both';
+
+// The day an infraction on `date` stops counting, or null if it never does
+export function ageOffDate(aging, date) {
+  const candidates = [];
+  if (usesRolling(aging)) {
+    const rolled = startOfDay(date);
+    rolled.setDate(rolled.getDate() + aging.rollingDays);
+    candidates.push(rolled);
+  }
+  if (usesTerms(aging)) {
+    const nextTerm = aging.termStarts.map(fromIso).find(t => t > startOfDay(date));
+    if (nextTerm) candidates.push(nextTerm);
+  }
+  return candidates.length ? new Date(Math.min(...candidates)) : null;
+}
+
+// Zero the points of every infraction that has aged off by `today` (inf.agedOffOn records
+// when) and of undated counts when the policy drops them (inf.undatedDropped). Run before
+// WO matching. Returns the number of points removed.
+export function applyAging(infractions, aging, { today = new Date(), parseDate }) {
+  if (aging.mode === 'none') return 0;
+  const day = startOfDay(today);
+  let agedPoints = 0;
+
+  infractions.forEach(inf => {
+    if (inf.points <= 0) return;
+    const date = inf.hasDate ? parseDate(inf.date) : null;
+    if (!date) {
+      if (aging.undated !== 'drop') return;
+      agedPoints += inf.points;
+      inf.points = 0;
+      inf.undatedDropped = true;
+      return;
+    }
+    const offOn = ageOffDate(aging, date);
+    if (offOn && offOn <= day) {
+      agedPoints += inf.points;
+      inf.points = 0;
+      inf.agedOffOn = offOn;
+    }
+  });
+  return agedPoints;
+}
+
+// The next infraction still carrying points to age off, as { date, infraction, daysAway },
+// or null. Run after matching and adjustments so it reflects what's actually left.
+export function nextAgeOff(infractions, aging, { today = new Date(), parseDate }) {
+  if (aging.mode === 'none') return null;
+  const day = startOfDay(today);
+  let next = null;
+  infractions.forEach(inf => {
+    const date = inf.points > 0 && inf.hasDate ? parseDate(inf.date) : null;
+    const offOn = date && ageOffDate(aging, date);
+    if (offOn && offOn > day && (!next || offOn < next.date)) {
+      next = { date: offOn, infraction: inf, daysAway: Math.round((offOn - day) / DAY_MS) };
+    }
+  });
+  return next;
+}
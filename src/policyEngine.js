@@ -0,0 +1,116 @@
+// Attendance policy rules engine: classifies W2W and time-clock entries into infraction codes.
+// Thresholds, keywords and point values come from the active policy profile (see policyProfiles.js)
+import { DEFAULT_POLICY_PROFILE, PolicyProfiles } from './policyProfiles.js';
+import { parseShiftTime, shiftStartDateTime, hoursBetween } from './time.js';
+
+export const AttendancePolicyEngine = {
+  isWeekendMorningShift(date, shiftTime, cutoffHour = 14) {
+    const dayOfWeek = date.getDay();
+    const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
+    if (!isWeekend) return false;
+    const shift = parseShiftTime(shiftTime);
+    if (!shift) return false;
+    return shift.start < cutoffHour * 60;
+  },
+  
+  isTuesdayOrThursday(date) {
+    const day = date.getDay();
+    return day === 2 || day === 4;
+  },
+  
+  isEveningShift(shiftTime) {
+    const shift = parseShiftTime(shiftTime);
+    if (!shift) return false;
+    return shift.start >= 16 * 60;
+  },
+  
+  // Time-clock arrivals: within the grace period is on time (null), past the very-late
+  // cutoff is the heavier code
+  classifyLateArrival(minutesLate, notice) {
+    if (minutesLate <= notice.lateGraceMinutes) return null;
+    return minutesLate > notice.veryLateMinutes ? 'veryLate' : 'late';
+  },
+
+  calculateHoursNotice(requestedDate, shiftDate, shiftTime) {
+    const shiftStart = shiftStartDateTime(shiftDate, shiftTime);
+    if (!shiftStart) return 999;
+    return hoursBetween(requestedDate, shiftStart);
+  },
+  
+  determineInfractionType(entry, options = {}) {
+    const { shiftDate, shiftTime, requestedDate, comment, isPickup, isHostShift } = entry;
+    const profile = options.profile || DEFAULT_POLICY_PROFILE;
+    const { types, notice, keywords } = profile;
+    const result = (role, reason) => ({ type: types[role].code, reason, points: types[role].points });
+
+    if (entry.isLate) {
+      const role = this.classifyLateArrival(entry.minutesLate, notice) || 'late';
+      return role === 'veryLate'
+        ? result(role, `Clocked in ${entry.minutesLate} min late (over ${notice.veryLateMinutes} min)`)
+        : result(role, `Clocked in ${entry.minutesLate} min late (${notice.lateGraceMinutes} min grace)`);
+    }
+
+    if (isPickup) {
+      return isHostShift
+        ? result('hostPickup', 'Door shift covered')
+        : result('pickup', 'Shift covered by another employee');
+    }
+    
+    const commentLower = (comment || '').toLowerCase();
+    const hoursNotice = this.calculateHoursNotice(requestedDate, shiftDate, shiftTime);
+    
+    const hasPrelim = keywords.academic.some(kw => commentLower.includes(kw));
+    const hasFinal = keywords.final.some(kw => commentLower.includes(kw));
+    
+    if (hasPrelim || hasFinal) {
+      const reason = hasFinal ? 'Final exam - excused absence' : 'Prelim exam - excused absence';
+      return result('academic', reason);
+    }
+    
+    const isSick = PolicyProfiles.matchesKeyword(commentLower, keywords.sick);
+    
+    if (isSick) {
+      const isWeekendMorning = this.isWeekendMorningShift(shiftDate, shiftTime, notice.weekendMorningCutoffHour);
+      if (hoursNotice >= notice.sickNoticeHours || isWeekendMorning) {
+        return result('sick', `Sick callout with ${hoursNotice.toFixed(1)} hours notice`);
+      } else {
+        return result('lateSick', `Late sick callout - only ${hoursNotice.toFixed(1)} hours notice`);
+      }
+    }
+    
+    if (!requestedDate || hoursNotice < 0) {
+      return result('noCall', 'No show / No call - no prior notice given');
+    }
+
+    if (notice.allowAnyDayCalloff) {
+      const reqDay = new Date(requestedDate.getFullYear(), requestedDate.getMonth(), requestedDate.getDate());
+      const shiftDay = new Date(shiftDate.getFullYear(), shiftDate.getMonth(), shiftDate.getDate());
+      const diffDays = (shiftDay - reqDay) / (1000 * 60 * 60 * 24);
+      if (diffDays >= notice.anyDayCalloffDays) {
+        return result('callout', `Called out ${diffDays.toFixed(0)} days before shift (${notice.anyDayCalloffDays}-day rule)`);
+      }
+    }
+
+    const calloutWindow = notice.calloutWindowHours;
+    if (hoursNotice >= calloutWindow) {
+      return result('callout', `Called out with ${hoursNotice.toFixed(1)} hours notice (>${calloutWindow}h)`);
+    } else {
+      return result('lateCallout', `Late callout - only ${hoursNotice.toFixed(1)} hours notice (<${calloutWindow}h)`);
+    }
+  },
+
+  // Classify parsed entries into processed rows sorted by shift date. Punches inside the
+  // grace period are on time, so they never become entries.
+  processEntries(entries, { profile = DEFAULT_POLICY_PROFILE } = {}) {
+    return entries
+      .filter(entry => !entry.isLate || this.classifyLateArrival(entry.minutesLate, profile.notice))
+      .map((entry, idx) => {
+        const infraction = this.determineInfractionType(entry, { profile });
+        return { ...entry, id: idx, infraction: infraction.type, reason: infraction.reason,
+                 points: infraction.points, isCancelled: false, status: 'active', note: '',
+                 engine: { infraction: infraction.type, reason: infraction.reason, points: infraction.points },
+                 overrides: [] };
+      })
+      .sort((a, b) => a.shiftDate - b.shiftDate);
+  }
+};
@@ -0,0 +1,180 @@
+// Attendance policy profiles: infraction types, point values, notice windows and keyword lists
+import { DEFAULT_ADJUSTMENTS, normalizeAdjustments } from './adjustments.js';
+import { DEFAULT_AGING, normalizeAging } from './pointAging.js';
+
+// Each role is a classification the engine can produce; the profile decides its code and points.
+// countKey names the role's Infraction List column; countIsPoints marks a column that holds
+// points rather than a count, and countedIn names the points column another role adds to.
+export const INFRACTION_ROLES = [
+  { role: 'callout', description: 'Callout with enough notice', countKey: 'nsc' },
+  { role: 'lateCallout', description: 'Callout inside the notice window', countKey: 'nslc' },
+  { role: 'noCall', description: 'No show, no prior notice', countKey: 'nsnc' },
+  { role: 'sick', description: 'Sick callout with enough notice', countKey: 'nss' },
+  { role: 'lateSick', description: 'Sick callout inside the sick notice window', countKey: 'nsls' },
+  { role: 'academic', description: 'Prelim / final exam conflict' },
+  { role: 'late', description: 'Clocked in after the grace period', countKey: 'late', countIsPoints: true },
+  { role: 'veryLate', description: 'Clocked in past the very-late cutoff', countedIn: 'late' },
+  { role: 'pickup', description: 'Shift picked up (WO)' },
+  { role: 'hostPickup', description: 'Door / host shift picked up' }
+];
+
+export const CALLOFF_ROLES = ['callout', 'lateCallout', 'noCall', 'sick', 'lateSick'];
+export const PICKUP_ROLES = ['pickup', 'hostPickup'];
+export const LATE_ROLES = ['late', 'veryLate'];
+
+export const DEFAULT_POLICY_PROFILE = {
+  id: 'default',
+  name: 'Cornell Dining',
+  types: {
+    callout: { code: 'NS/C', label: 'No Show/Call', points: 1 },
+    lateCallout: { code: 'NS/LC', label: 'No Show/Late Call', points: 2 },
+    noCall: { code: 'NS/NC', label: 'No Show/No Call', points: 3 },
+    sick: { code: 'NS/S', label: 'Sick Call (excused)', points: 0 },
+    lateSick: { code: 'NS/LS', label: 'Late Sick Call', points: 1 },
+    academic: { code: 'Prelim', label: 'Prelim/Final Exam', points: 0 },
+    late: { code: 'L', label: 'Late', points: 0.5 },
+    veryLate: { code: 'VL', label: 'Very Late', points: 1 },
+    pickup: { code: 'WO', label: 'Work Off', points: -1 },
+    hostPickup: { code: 'WO Host', label: 'Work Off (Door)', points: -1 }
+  },
+  notice: {
+    calloutWindowHours: 48,
+    sickNoticeHours: 2,
+    weekendMorningCutoffHour: 14,
+    allowAnyDayCalloff: false,
+    anyDayCalloffDays: 2,
+    makeUpWindowDays: 14,
+    lateGraceMinutes: 5,
+    veryLateMinutes: 15
+  },
+  keywords: {
+    sick: [
+      'sick', 'ill', 'fever', 'cough', 'cold', 'flu', 'nausea', 'vomit',
+      'headache', 'migraine', 'stomach', 'broken', 'injury', 'injured',
+      'doctor', 'hospital', 'clinic', 'health', 'medical', 'unwell',
+      'not feeling well', "don't feel well", 'feeling unwell', 'throat',
+      'sore', 'ache', 'pain', 'dizzy', 'diarrhea', 'covid', 'virus'
+    ],
+    academic: ['prelim', 'exam', 'final', 'finals', 'midterm', 'test'],
+    final: ['final']
+  },
+  adjustments: DEFAULT_ADJUSTMENTS,
+  aging: DEFAULT_AGING,
+  goodStandingMaxPoints: 3
+};
+
+// [min, max] for each notice setting; the header and policy editor inputs use the same bounds
+export const NOTICE_LIMITS = {
+  calloutWindowHours: [0, 336],
+  sickNoticeHours: [0, 72],
+  weekendMorningCutoffHour: [0, 24],
+  anyDayCalloffDays: [0, 30],
+  makeUpWindowDays: [0, 120],
+  lateGraceMinutes: [0, 60],
+  veryLateMinutes: [0, 240]
+};
+
+export const PolicyProfiles = {
+  // Fill missing fields from the default and reject anything the engine can't use
+  normalize(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error('Policy profile must be a JSON object');
+    const base = DEFAULT_POLICY_PROFILE;
+
+    const types = {};
+    INFRACTION_ROLES.forEach(({ role }) => {
+      const t = { ...base.types[role], ...(raw.types?.[role] || {}) };
+      const code = String(t.code || '').trim();
+      if (!code) throw new Error(`Infraction type "${role}" needs a code`);
+      const points = Number(t.points);
+      if (!Number.isFinite(points)) throw new Error(`Infraction type "${code}" has invalid points`);
+      types[role] = { code, label: String(t.label || code).trim(), points };
+    });
+    const codes = Object.values(types).map(t => t.code);
+    const duplicate = codes.find((c, i) => codes.indexOf(c) !== i);
+    if (duplicate) throw new Error(`Infraction code "${duplicate}" is used more than once`);
+
+    const notice = { ...base.notice, ...(raw.notice || {}) };
+    Object.entries(NOTICE_LIMITS).forEach(([key, [min, max]]) => {
+      const value = Number(notice[key]);
+      if (!Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`Notice setting "${key}" must be between ${min} and ${max}`);
+      }
+      notice[key] = value;
+    });
+    notice.allowAnyDayCalloff = !!notice.allowAnyDayCalloff;
+    if (notice.veryLateMinutes < notice.lateGraceMinutes) {
+      throw new Error('The very-late cutoff can\'t be shorter than the late grace period');
+    }
+
+    const keywords = {};
+    Object.keys(base.keywords).forEach(key => {
+      const list = raw.keywords?.[key] ?? base.keywords[key];
+      if (!Array.isArray(list)) throw new Error(`Keyword list "${key}" must be an array`);
+      keywords[key] = list.map(k => String(k).toLowerCase().trim()).filter(Boolean);
+    });
+
+    const goodStandingMaxPoints = Number(raw.goodStandingMaxPoints ?? base.goodStandingMaxPoints);
+    if (!Number.isFinite(goodStandingMaxPoints)) throw new Error('goodStandingMaxPoints must be a number');
+
+    return {
+      id: String(raw.id || `profile-${Date.now()}`),
+      name: String(raw.name || 'Untitled profile').trim(),
+      types, notice, keywords, goodStandingMaxPoints,
+      adjustments: normalizeAdjustments(raw.adjustments),
+      aging: normalizeAging(raw.aging)
+    };
+  },
+
+  create(name, from = DEFAULT_POLICY_PROFILE) {
+    return this.normalize({ ...JSON.parse(JSON.stringify(from)), id: `profile-${Date.now()}`, name });
+  },
+
+  toJSON(profile) {
+    const { id, ...rest } = profile;
+    return JSON.stringify(rest, null, 2);
+  },
+
+  fromJSON(text) {
+    let raw;
+    try {
+      raw = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Not valid JSON: ${e.message}`);
+    }
+    return this.normalize({ ...raw, id: `profile-${Date.now()}` });
+  },
+
+  roleForCode(profile, code) {
+    return INFRACTION_ROLES.find(({ role }) => profile.types[role].code === code)?.role || null;
+  },
+
+  getPoints(profile, code) {
+    const role = this.roleForCode(profile, code);
+    return role ? profile.types[role].points : 0;
+  },
+
+  getDisplayName(profile, code) {
+    const role = this.roleForCode(profile, code);
+    return role ? profile.types[role].label : code;
+  },
+
+  calloffCodes(profile) {
+    return CALLOFF_ROLES.map(role => profile.types[role].code);
+  },
+
+  pickupCodes(profile) {
+    return PICKUP_ROLES.map(role => profile.types[role].code);
+  },
+
+  lateCodes(profile) {
+    return LATE_ROLES.map(role => profile.types[role].code);
+  },
+
+  // Keyword match: single words on word boundaries, phrases as substrings
+  matchesKeyword(text, keywords) {
+    const lower = (text || '').toLowerCase();
+    return keywords.some(kw =>
+      kw.includes(' ') ? lower.includes(kw) : new RegExp(`\\b${kw.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(lower)
+    );
+  }
+};
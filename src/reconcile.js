@@ -0,0 +1,55 @@
+// Dry run of the NS-C Log writes: what the generated Apps Script would do to each cell,
+// worked out against a copy of the current sheet before anything is run in Sheets
+
+export const CHANGE_KINDS = [
+  { kind: 'add', label: 'Will be added', approvable: true },
+  { kind: 'replace', label: 'Will replace a WO', approvable: true },
+  { kind: 'duplicate', label: 'Already in the log' },
+  { kind: 'occupied', label: 'Cell already holds something else' },
+  { kind: 'unmatched', label: 'No matching row or date column' },
+  { kind: 'cancelled', label: 'Cancelled or denied' }
+];
+
+export const APPROVABLE_KINDS = CHANGE_KINDS.filter(k => k.approvable).map(k => k.kind);
+
+// grid: { dateColumns: { 'YYYY-MM-DD': columnIndex }, employees: { name: { rowNumber, cells } } }
+// as read by SheetParser.parseNSCLogGrid. Rows are matched as the script matches them: by exact
+// name, then by the roster spellings otherSpellings(entry) gives. nameKey only powers the
+// "did you mean" hint for names that differ in spelling.
+export function reconcileEntries(entries, grid, { calloffCodes, woCodes, dateKey, nameKey, columnLetter, nameColumn = 'A', otherSpellings = () => [] }) {
+  const written = new Map(); // cells earlier entries in this batch will fill
+  const sheetNames = Object.keys(grid.employees);
+
+  return entries.map(e => {
+    const change = { id: e.id, name: e.name, date: dateKey(e.shiftDate), infraction: e.infraction };
+    if (e.isCancelled) return { ...change, kind: 'cancelled' };
+
+    const spelling = [e.name.trim(), ...otherSpellings(e)].find(n => grid.employees[n]);
+    const row = spelling === undefined ? undefined : grid.employees[spelling];
+    // Column indexes are 0-based, so a date in column A is index 0 (the script checks the same way)
+    const col = grid.dateColumns[change.date];
+    if (row === undefined || col === undefined) {
+      const similar = row === undefined && sheetNames.find(n => nameKey(n) === nameKey(e.name));
+      return {
+        ...change, kind: 'unmatched',
+        problem: [row === undefined && `name not in column ${nameColumn}`, col === undefined && 'date not in header row'].filter(Boolean).join(', '),
+        hint: similar ? `The sheet spells it "${similar}"` : ''
+      };
+    }
+
+    const cellKey = `${row.rowNumber}|${col}`;
+    const current = written.has(cellKey) ? written.get(cellKey) : String(row.cells[col] ?? '').trim();
+    const located = { ...change, cell: `${columnLetter(col)}${row.rowNumber}`, current };
+
+    if (!current) {
+      written.set(cellKey, e.infraction);
+      return { ...located, kind: 'add' };
+    }
+    if (current === e.infraction) return { ...located, kind: 'duplicate' };
+    if (calloffCodes.includes(e.infraction) && woCodes.includes(current)) {
+      written.set(cellKey, e.infraction);
+      return { ...located, kind: 'replace' };
+    }
+    return { ...located, kind: 'occupied' };
+  });
+}
@@ -0,0 +1,204 @@
+// Employee roster: one canonical name per person plus the other spellings W2W and the
+// sheets use for them, so every source resolves to the same row
+import { detectFormat, parseCSV, rowsToRecords } from './tableImport.js';
+
+// Normalization Helper for matching names across different sheets
+export const normalizeName = (name) => {
+  if (!name) return '';
+  // Remove trailing tags like (HOST) or (STU)
+  let clean = String(name).replace(/\s*\([^)]*\)\s*/g, ' ').toLowerCase().replace(/\s+/g, ' ').trim();
+  // Handle "Surname, First" -> "First Surname"
+  if (clean.includes(',')) {
+    const parts = clean.split(',').map(s => s.trim());
+    return `${parts[1]} ${parts[0]}`;
+  }
+  return clean;
+};
+
+const MIN_SUGGESTION_SCORE = 0.6;
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+// Nicknames usually start the legal name (Alex/Alexander), so a prefix counts as a near match
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  if (Math.min(a.length, b.length) >= 3 && (a.startsWith(b) || b.startsWith(a))) return 0.9;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+// Token-wise similarity in both directions, so word order, extra middle names and
+// hyphenated surnames cost little
+function nameSimilarity(a, b) {
+  const tokens = (key) => key.split(/[\s-]+/).filter(Boolean);
+  const ta = tokens(a);
+  const tb = tokens(b);
+  if (!ta.length || !tb.length) return 0;
+  const coverage = (from, to) => from.reduce((sum, t) => sum + Math.max(...to.map(u => tokenSimilarity(t, u))), 0) / from.length;
+  return (coverage(ta, tb) + coverage(tb, ta)) / 2;
+}
+
+export const EMPTY_ROSTER = [];
+
+export const Roster = {
+  newId() {
+    return `emp-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  },
+
+  // Validate a stored or imported roster; throws with a message that names the bad row
+  normalize(list) {
+    if (!Array.isArray(list)) throw new Error('Roster must be a list of employees');
+    return list.map((emp, i) => {
+      if (!emp || typeof emp.name !== 'string' || !emp.name.trim()) throw new Error(`Roster row ${i + 1} has no name`);
+      const aliases = Array.isArray(emp.aliases) ? emp.aliases : String(emp.aliases || '').split(/[;|]/);
+      return {
+        id: String(emp.id || this.newId()),
+        name: emp.name.trim(),
+        aliases: [...new Set(aliases.map(a => String(a).trim()).filter(Boolean))],
+        netId: String(emp.netId || '').trim().toLowerCase(),
+        email: String(emp.email || '').trim(),
+        position: String(emp.position || '').trim()
+      };
+    });
+  },
+
+  // Map every normalized spelling (canonical name, aliases, NetID) to its roster entry
+  buildIndex(roster) {
+    const index = new Map();
+    roster.forEach(emp => {
+      [emp.name, ...emp.aliases].forEach(n => {
+        const key = normalizeName(n);
+        if (key && !index.has(key)) index.set(key, emp);
+      });
+      if (emp.netId && !index.has(emp.netId)) index.set(emp.netId, emp);
+    });
+    return index;
+  },
+
+  resolve(index, name) {
+    return index.get(normalizeName(name)) || null;
+  },
+
+  canonicalName(index, name) {
+    return this.resolve(index, name)?.name || name;
+  },
+
+  // Key for stored records (ledger notices, extensions): the roster entry's id, so renames
+  // and alias edits keep them attached; people not on the roster are keyed by name
+  personKey(index, name) {
+    return this.resolve(index, name)?.id || normalizeName(name);
+  },
+
+  // Re-point stored records at the roster: name keys that now resolve take the entry's id,
+  // and ids of deleted entries fall back to the recorded name. Returns the same array when
+  // nothing changed. indexes: one roster index per unit, searched in order.
+  rekeyRecords(records, indexes) {
+    const ids = new Set(indexes.flatMap(index => [...index.values()].map(emp => emp.id)));
+    let changed = false;
+    const next = records.map(record => {
+      if (ids.has(record.key)) return record;
+      const emp = indexes.map(index => this.resolve(index, record.name)).find(Boolean);
+      const key = emp ? emp.id : normalizeName(record.name);
+      if (key === record.key) return record;
+      changed = true;
+      return { ...record, key };
+    });
+    return changed ? next : records;
+  },
+
+  // Every spelling the roster knows for a name other than the name itself, for matching
+  // sheet rows that haven't caught up with a rename
+  otherSpellings(index, name) {
+    const emp = this.resolve(index, name);
+    return emp ? [emp.name, ...emp.aliases].filter(n => n !== name) : [];
+  },
+
+  // A renamed entry keeps its old name as an alias, so sheets and W2W still resolve it
+  rename(roster, id, name) {
+    const emp = roster.find(e => e.id === id);
+    if (!emp || emp.name === name.trim()) return roster;
+    const [renamed] = this.normalize([{ ...emp, name, aliases: [...emp.aliases, emp.name].filter(a => a !== name.trim()) }]);
+    return roster.map(e => (e.id === id ? renamed : e));
+  },
+
+  // Closest roster entries for a name the roster doesn't know, best first
+  suggest(roster, name, limit = 3) {
+    const key = normalizeName(name);
+    if (!key) return [];
+    return roster
+      .map(emp => ({
+        employee: emp,
+        score: Math.max(...[emp.name, ...emp.aliases].map(n => nameSimilarity(key, normalizeName(n))))
+      }))
+      .filter(s => s.score >= MIN_SUGGESTION_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  },
+
+  addAlias(roster, id, alias) {
+    return roster.map(emp => (emp.id === id && !emp.aliases.includes(alias) && emp.name !== alias
+      ? { ...emp, aliases: [...emp.aliases, alias] } : emp));
+  },
+
+  // Add people not already on the roster (by any spelling); details fill in blanks only
+  mergeEmployees(roster, people) {
+    let next = [...roster];
+    let added = 0;
+    people.forEach(person => {
+      const existing = this.resolve(this.buildIndex(next), person.name);
+      if (existing) {
+        next = next.map(emp => (emp.id !== existing.id ? emp : {
+          ...emp,
+          netId: emp.netId || String(person.netId || '').trim().toLowerCase(),
+          email: emp.email || String(person.email || '').trim(),
+          position: emp.position || String(person.position || '').trim()
+        }));
+      } else {
+        next.push(...this.normalize([{ ...person, id: this.newId() }]));
+        added++;
+      }
+    });
+    return { roster: next, added };
+  },
+
+  toJSON(roster) {
+    return JSON.stringify(roster, null, 2);
+  }
+};
+
+// Column aliases for roster CSV imports (see tableImport.rowsToRecords)
+export const ROSTER_COLUMN_ALIASES = {
+  name: ['name', 'employee', 'employee name', 'legal name'],
+  aliases: ['aliases', 'alias', 'preferred name', 'other names', 'nickname'],
+  netId: ['netid', 'net id'],
+  email: ['email', 'e-mail', 'email address'],
+  position: ['position', 'role', 'job', 'title']
+};
+
+// Roster files are either an exported JSON roster or a CSV/TSV with at least a name column
+export function parseRosterFile(fileName, text) {
+  if (/\.json$/i.test(fileName) || /^\s*\[/.test(text)) {
+    let raw;
+    try {
+      raw = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Not valid JSON: ${e.message}`);
+    }
+    return Roster.normalize(raw);
+  }
+  const delimiter = detectFormat(fileName, text) === 'csv' ? ',' : '\t';
+  const table = rowsToRecords(parseCSV(text, delimiter), ROSTER_COLUMN_ALIASES, 1);
+  if (!table || !('name' in table.mapping)) throw new Error('No name column found. Expected a header such as "Name" or "Employee".');
+  return Roster.normalize(table.records.filter(r => r.name));
+}
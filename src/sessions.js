@@ -0,0 +1,92 @@
+// Saved processing sessions: pasted W2W text, imported files, processed entries and each unit's sheet pastes/uploads
+import { LocalStore } from './storage.js';
+
+const INDEX_KEY = 'sessions';
+const MAX_SESSIONS = 20;
+
+const DATE_FIELDS = ['shiftDate', 'requestedDate', 'scheduledStart', 'clockIn'];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z$/;
+
+// JSON turns Dates into strings; turn them back so the engine and export keep working
+function reviveEntry(entry) {
+  const revived = { ...entry };
+  DATE_FIELDS.forEach(field => {
+    if (revived[field]) revived[field] = new Date(revived[field]);
+  });
+  return revived;
+}
+
+// Uploaded sheet rows keep date cells as Dates (see workbookImport.js)
+function reviveSheetUploads(uploads) {
+  const revived = {};
+  Object.entries(uploads || {}).forEach(([key, upload]) => {
+    revived[key] = {
+      ...upload,
+      rows: upload.rows.map(row => row.map(cell => (typeof cell === 'string' && ISO_DATE.test(cell) ? new Date(cell) : cell)))
+    };
+  });
+  return revived;
+}
+
+function reviveUnitSheets(unitSheets) {
+  if (!unitSheets) return undefined;
+  return Object.fromEntries(Object.entries(unitSheets).map(([id, sheets]) => [id, { ...sheets, sheetUploads: reviveSheetUploads(sheets.sheetUploads) }]));
+}
+
+export const SessionStore = {
+  newId() {
+    return `session-${Date.now()}`;
+  },
+
+  // Newest first: [{ id, createdAt, updatedAt, entryCount }]
+  list() {
+    return LocalStore.load(INDEX_KEY, []);
+  },
+
+  load(id) {
+    const session = LocalStore.load(`session.${id}`, null);
+    if (!session) return null;
+    return {
+      ...session,
+      processedEntries: (session.processedEntries || []).map(reviveEntry),
+      importedFiles: (session.importedFiles || []).map(f => ({ ...f, entries: f.entries.map(reviveEntry) })),
+      sheetUploads: reviveSheetUploads(session.sheetUploads),
+      unitSheets: reviveUnitSheets(session.unitSheets)
+    };
+  },
+
+  latest() {
+    const [first] = this.list();
+    return first ? this.load(first.id) : null;
+  },
+
+  // Throws when the session itself can't be stored, leaving the index (and any earlier
+  // copy of the session) as it was so the list never points at a missing session
+  save(session) {
+    const now = new Date().toISOString();
+    const index = this.list();
+    const existing = index.find(s => s.id === session.id);
+    const meta = {
+      id: session.id,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      entryCount: session.processedEntries.length
+    };
+    if (!LocalStore.save(`session.${session.id}`, { ...session, ...meta })) {
+      throw new Error('This session is too large for browser storage and was not saved. Delete older sessions, or paste sheets instead of uploading whole workbooks.');
+    }
+
+    const next = [meta, ...index.filter(s => s.id !== session.id)];
+    next.slice(MAX_SESSIONS).forEach(s => LocalStore.remove(`session.${s.id}`));
+    LocalStore.save(INDEX_KEY, next.slice(0, MAX_SESSIONS));
+    return next.slice(0, MAX_SESSIONS);
+  },
+
+  remove(id) {
+    LocalStore.remove(`session.${id}`);
+    const next = this.list().filter(s => s.id !== id);
+    LocalStore.save(INDEX_KEY, next);
+    return next;
+  }
+};
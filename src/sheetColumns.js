@@ -0,0 +1,144 @@
+// Header-driven column mapping for the Infraction List and WO Expiration sheets
+import { mapColumns, normalizeHeader } from './tableImport.js';
+import { DEFAULT_SHEET_LAYOUT, SheetLayouts } from './sheetLayouts.js';
+
+export const SHEET_COLUMNS = {
+  infractionList: [
+    // Names usually sit under a blank header in column A
+    { field: 'name', label: 'Employee name', aliases: ['name', 'employee', 'employee name'], required: true, blankHeaderIndex: 0 },
+    { field: 'nsc', label: 'NS/C', aliases: ['ns/c'], required: true },
+    { field: 'nslc', label: 'NS/LC', aliases: ['ns/lc'], required: true },
+    { field: 'nsnc', label: 'NS/NC', aliases: ['ns/nc'], required: true },
+    { field: 'nss', label: 'NS/S', aliases: ['ns/s'], required: true },
+    { field: 'nsls', label: 'NS/LS', aliases: ['ns/ls'], required: true },
+    { field: 'late', label: 'Late', aliases: ['late', 'tardy'] },
+    { field: 'wo', label: 'WO', aliases: ['wo', 'work off'] },
+    { field: 'woHost', label: 'WO Host', aliases: ['wo host', 'wo door'] },
+    { field: 'coupon', label: 'Coupon', aliases: ['coupon', 'coupons'] },
+    { field: 'prelim', label: 'Prelim', aliases: ['prelim', 'prelims'] },
+    { field: 'break', label: 'Break', aliases: ['break'] },
+    { field: 'total', label: 'Total', aliases: ['total', 'total points'] },
+    { field: 'email', label: 'Email', aliases: ['email', 'e-mail', 'email address'] },
+    { field: 'netId', label: 'NetID', aliases: ['netid', 'net id'] }
+  ],
+  woExpiration: [
+    { field: 'name', label: 'Name', aliases: ['name', 'employee'], required: true },
+    { field: 'woDate', label: 'WO date', aliases: ['wo date', 'date'], required: true }
+  ]
+};
+
+const HEADER_SEARCH_ROWS = 5;
+
+export function columnLetter(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+// Built-in column definitions with the user's alias overrides ({ field: [aliases] }) applied
+export function resolveColumns(sheet, aliasOverrides = {}) {
+  return SHEET_COLUMNS[sheet].map(col => {
+    const custom = aliasOverrides[sheet]?.[col.field];
+    return Array.isArray(custom) && custom.length ? { ...col, aliases: custom.map(normalizeHeader) } : col;
+  });
+}
+
+// Pick the header row among the first few rows and map every column definition to an index.
+// Throws when a required column is missing so wrong points never reach an email.
+export function mapSheetColumns(rows, sheet, sheetLabel, aliasOverrides) {
+  const columns = resolveColumns(sheet, aliasOverrides);
+  let best = { rowIndex: -1, mapping: {} };
+  rows.slice(0, HEADER_SEARCH_ROWS).forEach((row, rowIndex) => {
+    const mapping = mapColumns(row, Object.fromEntries(columns.map(col => [col.field, col.aliases])));
+    columns.forEach(col => {
+      const i = col.blankHeaderIndex;
+      if (!(col.field in mapping) && i !== undefined && !normalizeHeader(row[i]) &&
+          !Object.values(mapping).includes(i)) mapping[col.field] = i;
+    });
+    if (Object.keys(mapping).length > Object.keys(best.mapping).length) best = { rowIndex, mapping };
+  });
+
+  const missing = columns.filter(col => col.required && !(col.field in best.mapping));
+  if (best.rowIndex === -1 || missing.length) {
+    const found = best.rowIndex === -1 ? 'none' : rows[best.rowIndex].filter(Boolean).join(', ');
+    throw new Error(`${sheetLabel} is missing required column${missing.length === 1 ? '' : 's'}: ` +
+      `${(missing.length ? missing : columns.filter(c => c.required)).map(c => c.label).join(', ')}. ` +
+      `Headers found: ${found}`);
+  }
+
+  const headerRow = rows[best.rowIndex];
+  return {
+    headerRowIndex: best.rowIndex,
+    mapping: best.mapping,
+    columns: columns.map(col => ({
+      field: col.field,
+      label: col.label,
+      index: best.mapping[col.field] ?? null,
+      header: col.field in best.mapping ? headerRow[best.mapping[col.field]] : null
+    }))
+  };
+}
+
+const describeWOTables = (full, partial, header = []) => ['full', 'partial'].flatMap(label => {
+  const t = label === 'full' ? full : partial;
+  const title = label === 'full' ? 'Full' : 'Partial/door';
+  return [
+    { field: `${label}Name`, label: `${title} shift name`, index: t?.nameIndex ?? null, header: t ? header[t.nameIndex] ?? null : null },
+    { field: `${label}Date`, label: `${title} shift WO date`, index: t?.dateIndex ?? null, header: t ? header[t.dateIndex] ?? null : null }
+  ];
+});
+
+// The WO Expiration sheet holds side-by-side tables (full shifts, partial/door shifts), each
+// with its own Name and date column. When both tables start in the layout's full and partial
+// columns the layout decides; otherwise (a single table, or a paste that doesn't start at
+// column A) section titles above the header do, and without titles the left table is full
+// shifts. With no recognisable header the tables are read from the layout's columns and rows.
+export function mapWOExpirationColumns(rows, aliasOverrides, layout = DEFAULT_SHEET_LAYOUT) {
+  const [nameCol, dateCol] = resolveColumns('woExpiration', aliasOverrides);
+  const matches = (cell, col, exact) => col.aliases.some(a => exact ? cell === a : cell.includes(a));
+  const layoutIndex = {
+    full: SheetLayouts.columnNumber(layout.woFullColumn) - 1,
+    partial: SheetLayouts.columnNumber(layout.woPartialColumn) - 1
+  };
+
+  for (let rowIndex = 0; rowIndex < Math.min(rows.length, HEADER_SEARCH_ROWS); rowIndex++) {
+    const headers = rows[rowIndex].map(normalizeHeader);
+    const nameIndexes = headers.map((h, i) => (matches(h, nameCol, true) ? i : -1)).filter(i => i !== -1);
+    const tables = nameIndexes.map((nameIndex, n) => {
+      const limit = nameIndexes[n + 1] ?? headers.length;
+      const between = headers.slice(nameIndex + 1, limit);
+      let offset = between.findIndex(h => matches(h, dateCol, true));
+      if (offset === -1) offset = between.findIndex(h => matches(h, dateCol, false));
+      return offset === -1 ? null : { nameIndex, dateIndex: nameIndex + 1 + offset };
+    }).filter(Boolean);
+    if (!tables.length) continue;
+
+    const titles = rows.slice(0, rowIndex).flatMap(row => row
+      .map((cell, index) => ({ index, title: normalizeHeader(cell) }))
+      .filter(t => /full|partial|door/.test(t.title)));
+    const isPartial = (table, i) => {
+      const title = titles.filter(t => t.index <= table.nameIndex).sort((a, b) => b.index - a.index)[0];
+      return title ? /partial|door/.test(title.title) : i > 0;
+    };
+
+    const aligned = tables.length > 1 && tables.every(t => t.nameIndex === layoutIndex.full || t.nameIndex === layoutIndex.partial);
+    const full = tables.find((t, i) => (aligned ? t.nameIndex === layoutIndex.full : !isPartial(t, i))) || null;
+    const partial = tables.find((t, i) => (aligned ? t.nameIndex === layoutIndex.partial : isPartial(t, i))) || null;
+    return { headerRowIndex: rowIndex, full, partial, columns: describeWOTables(full, partial, rows[rowIndex]) };
+  }
+
+  // Only trust bare positions when some row there actually holds a name and a date
+  const firstIndex = layout.woFirstRow - 1;
+  const fromLayout = (index) => ({ nameIndex: index, dateIndex: index + 1 });
+  const hasData = (t) => rows.slice(firstIndex).some(row => String(row[t.nameIndex] ?? '').trim() &&
+    SheetLayouts.parseDate(row[t.dateIndex] ?? '', layout.dateFormat));
+  const [full, partial] = [fromLayout(layoutIndex.full), fromLayout(layoutIndex.partial)].map(t => (hasData(t) ? t : null));
+  if (full || partial) {
+    return { headerRowIndex: firstIndex - 1, full, partial, columns: describeWOTables(full, partial) };
+  }
+
+  throw new Error(`WO Expiration is missing required columns: ${nameCol.label}, ${dateCol.label}. ` +
+    `Headers found: ${(rows[0] || []).filter(Boolean).join(', ') || 'none'}`);
+}
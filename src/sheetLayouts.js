@@ -0,0 +1,113 @@
+// Workbook layouts: where each unit's attendance workbook keeps its sheets, names, dates
+// and WO tables. The active layout drives SheetParser and the generated Apps Script.
+
+export const DATE_FORMATS = [
+  { id: 'M/D/YYYY', label: '12/31/2025 (month first)' },
+  { id: 'D/M/YYYY', label: '31/12/2025 (day first)' },
+  { id: 'YYYY-MM-DD', label: '2025-12-31' }
+];
+
+export const DEFAULT_SHEET_LAYOUT = {
+  id: 'default',
+  name: 'Cornell Dining',
+  logSheet: 'NS-C Log',
+  infractionSheet: 'Infraction List',
+  woSheet: 'WO Expiration',
+  logHeaderRow: 1,
+  logNameColumn: 'A',
+  woFirstRow: 3,
+  woFullColumn: 'A',
+  woPartialColumn: 'G',
+  dateFormat: 'M/D/YYYY'
+};
+
+// Typed dates the workbook may hold, whatever the layout writes: ISO, or day and month
+// with / or . and a 2- or 4-digit year (2-digit years are 20xx). The generated Apps Script
+// builds its date matcher from these same sources.
+export const TYPED_DATE_SOURCES = {
+  iso: String.raw`^(\d{4})-(\d{1,2})-(\d{1,2})`,
+  separated: String.raw`^(\d{1,2})[/.](\d{1,2})[/.](\d{2}|\d{4})(?!\d)`
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export const SheetLayouts = {
+  // 'A' → 1, 'AB' → 28; null for anything that isn't a column letter
+  columnNumber(letters) {
+    const clean = String(letters || '').trim().toUpperCase();
+    if (!/^[A-Z]{1,3}$/.test(clean)) return null;
+    return [...clean].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+  },
+
+  normalize(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error('Sheet layout must be a JSON object');
+    const layout = { ...DEFAULT_SHEET_LAYOUT, ...raw };
+
+    ['logSheet', 'infractionSheet', 'woSheet'].forEach(key => {
+      layout[key] = String(layout[key] || '').trim();
+      if (!layout[key]) throw new Error(`Sheet name "${key}" can't be blank`);
+    });
+    ['logHeaderRow', 'woFirstRow'].forEach(key => {
+      const row = Number(layout[key]);
+      if (!Number.isInteger(row) || row < 1 || row > 50) throw new Error(`"${key}" must be a row number between 1 and 50`);
+      layout[key] = row;
+    });
+    ['logNameColumn', 'woFullColumn', 'woPartialColumn'].forEach(key => {
+      if (!this.columnNumber(layout[key])) throw new Error(`"${key}" must be a column letter such as A or G`);
+      layout[key] = String(layout[key]).trim().toUpperCase();
+    });
+    if (Math.abs(this.columnNumber(layout.woFullColumn) - this.columnNumber(layout.woPartialColumn)) < 2) {
+      throw new Error('The full and partial WO tables each take two columns, so they must be at least two columns apart');
+    }
+    if (!DATE_FORMATS.some(f => f.id === layout.dateFormat)) throw new Error(`Unknown date format "${layout.dateFormat}"`);
+
+    return {
+      ...layout,
+      id: String(raw.id || `layout-${Date.now()}`),
+      name: String(raw.name || 'Untitled layout').trim()
+    };
+  },
+
+  create(name, from = DEFAULT_SHEET_LAYOUT) {
+    return this.normalize({ ...from, id: `layout-${Date.now()}`, name });
+  },
+
+  toJSON(layout) {
+    const { id, ...rest } = layout;
+    return JSON.stringify(rest, null, 2);
+  },
+
+  fromJSON(text) {
+    let raw;
+    try {
+      raw = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Not valid JSON: ${e.message}`);
+    }
+    return this.normalize({ ...raw, id: `layout-${Date.now()}` });
+  },
+
+  // Text dates as the layout writes them; Dates pass through. Trailing text such as a
+  // weekday ("12/09/2025 Tue") is ignored. Returns null when the value isn't a date.
+  parseDate(value, format = DEFAULT_SHEET_LAYOUT.dateFormat) {
+    if (value instanceof Date) return isNaN(value) ? null : new Date(value);
+    const text = String(value ?? '').trim();
+    const iso = text.match(new RegExp(TYPED_DATE_SOURCES.iso));
+    const slashed = text.match(new RegExp(TYPED_DATE_SOURCES.separated));
+    let y, m, d;
+    if (iso) [, y, m, d] = iso.map(Number);
+    else if (slashed) {
+      const [, a, b, year] = slashed.map(Number);
+      y = year < 100 ? 2000 + year : year;
+      [m, d] = format === 'D/M/YYYY' ? [b, a] : [a, b];
+    } else return null;
+    const date = new Date(y, m - 1, d);
+    return date.getMonth() === m - 1 && date.getDate() === d ? date : null;
+  },
+
+  formatDate(date, format = DEFAULT_SHEET_LAYOUT.dateFormat) {
+    const [y, m, d] = [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+    if (format === 'YYYY-MM-DD') return `${y}-${pad(m)}-${pad(d)}`;
+    return format === 'D/M/YYYY' ? `${d}/${m}/${y}` : `${m}/${d}/${y}`;
+  }
+};
@@ -0,0 +1,154 @@
+// Sheet parser for email generation and the NS-C Log comparison.
+import { DEFAULT_POLICY_PROFILE, PolicyProfiles } from './policyProfiles.js';
+import { DEFAULT_SHEET_LAYOUT, SheetLayouts } from './sheetLayouts.js';
+import { mapSheetColumns, mapWOExpirationColumns } from './sheetColumns.js';
+import { toDateInputValue } from './time.js';
+
+// Every method takes either pasted tab-separated text or rows from an uploaded
+// workbook, where date cells are already Date objects.
+export const SheetParser = {
+  cellValue(value) {
+    return value instanceof Date ? value : String(value ?? '').trim();
+  },
+
+  // Where the NS-C Log keeps its dates and names, per the sheet layout. Returns the header
+  // row index, the name column index and { columnIndex: Date } for every dated column.
+  logColumns(rows, layout = DEFAULT_SHEET_LAYOUT) {
+    const headerIndex = layout.logHeaderRow - 1;
+    const nameIndex = SheetLayouts.columnNumber(layout.logNameColumn) - 1;
+    const header = [...(rows[headerIndex] || [])];
+    if (typeof header[0] === 'string') header[0] = header[0].replace(/^\ufeff/, '');
+    // A paste trimmed of its leading tab starts with a date; data rows still start with a name
+    const shift = nameIndex === 0 && SheetLayouts.parseDate(this.cellValue(header[0]), layout.dateFormat) ? 1 : 0;
+
+    const columnDates = {};
+    header.forEach((cell, i) => {
+      const col = i + shift;
+      const date = col !== nameIndex && SheetLayouts.parseDate(this.cellValue(cell), layout.dateFormat);
+      if (date) columnDates[col] = date;
+    });
+    return { headerIndex, nameIndex, columnDates };
+  },
+
+  parseNSCLog(input, profile = DEFAULT_POLICY_PROFILE, layout = DEFAULT_SHEET_LAYOUT) {
+    const rows = SheetParser.splitRows(input);
+    const { headerIndex, nameIndex, columnDates } = this.logColumns(rows, layout);
+    const dates = Object.values(columnDates);
+    if (rows.length <= headerIndex + 1 || !dates.length) return { dates: [], employees: {} };
+
+    const employees = {};
+    const infractionCodes = [...PolicyProfiles.calloffCodes(profile), ...PolicyProfiles.lateCodes(profile)];
+    const pickupCodes = PolicyProfiles.pickupCodes(profile);
+
+    rows.slice(headerIndex + 1).forEach(parts => {
+      const name = String(parts[nameIndex] ?? '').trim();
+      if (!name) return;
+
+      employees[name] = { name, infractions: [], woDates: [] };
+
+      Object.entries(columnDates).forEach(([col, date]) => {
+        const value = String(parts[col] ?? '').trim();
+        if (value && infractionCodes.includes(value)) {
+          employees[name].infractions.push({ date, type: value });
+        }
+        // Also extract WO dates from NS-C Log for matching
+        if (value && pickupCodes.includes(value)) {
+          employees[name].woDates.push({ date, type: value });
+        }
+      });
+    });
+
+    return { dates, employees };
+  },
+
+  // Every cell of the NS-C Log keyed the way the Apps Script finds it: rows by name,
+  // columns by header date. Column indexes are 0-based, row numbers 1-based.
+  parseNSCLogGrid(input, layout = DEFAULT_SHEET_LAYOUT) {
+    const rows = SheetParser.splitRows(input);
+    const { headerIndex, nameIndex, columnDates } = this.logColumns(rows, layout);
+
+    const dateColumns = {};
+    Object.entries(columnDates).forEach(([col, date]) => {
+      const key = toDateInputValue(date);
+      if (!(key in dateColumns)) dateColumns[key] = Number(col);
+    });
+
+    const employees = {};
+    rows.forEach((cells, i) => {
+      const name = i > headerIndex && String(cells[nameIndex] ?? '').trim();
+      if (name && !employees[name]) employees[name] = { rowNumber: i + 1, cells };
+    });
+    return { dateColumns, employees };
+  },
+
+  // Tab-separated rows; leading tabs are kept because column A's header may be blank
+  splitRows(input) {
+    if (Array.isArray(input)) return input;
+    return input.replace(/^\ufeff/, '').split(/\r?\n/).filter(line => line.trim()).map(line => line.split('\t'));
+  },
+
+  // Columns are found by header name; see sheetColumns.js for the aliases
+  parseInfractionList(input, aliasOverrides) {
+    const rows = SheetParser.splitRows(input);
+    const { headerRowIndex, mapping, columns } = mapSheetColumns(rows, 'infractionList', 'Infraction List', aliasOverrides);
+    const cell = (parts, field) => (field in mapping ? this.cellValue(parts[mapping[field]]) : undefined);
+    
+    const employees = {};
+    
+    for (let i = headerRowIndex + 1; i < rows.length; i++) {
+      const parts = rows[i];
+      const name = String(cell(parts, 'name') ?? '');
+      if (!name || name === 'a') continue;
+      
+      employees[name] = {
+        name,
+        nsc: parseInt(cell(parts, 'nsc')) || 0,
+        nslc: parseInt(cell(parts, 'nslc')) || 0,
+        nsnc: parseInt(cell(parts, 'nsnc')) || 0,
+        nss: parseInt(cell(parts, 'nss')) || 0,
+        nsls: parseInt(cell(parts, 'nsls')) || 0,
+        late: parseFloat(cell(parts, 'late')) || 0,
+        wo: parseInt(cell(parts, 'wo')) || 0,
+        woHost: parseInt(cell(parts, 'woHost')) || 0,
+        coupon: parseInt(cell(parts, 'coupon')) || 0,
+        prelim: parseInt(cell(parts, 'prelim')) || 0,
+        break: parseInt(cell(parts, 'break')) || 0,
+        total: parseFloat(cell(parts, 'total')) || 0,
+        email: String(cell(parts, 'email') ?? ''),
+        netId: String(cell(parts, 'netId') ?? '')
+      };
+    }
+    
+    return { employees, columns };
+  },
+  
+  // Tables sit at the layout's WO columns, found by header when the paste is shifted;
+  // text dates are read in the layout's date format
+  parseWOExpiration(input, aliasOverrides, layout = DEFAULT_SHEET_LAYOUT) {
+    const rows = SheetParser.splitRows(input);
+    const { headerRowIndex, full, partial, columns } = mapWOExpirationColumns(rows, aliasOverrides, layout);
+    const fullShifts = [];
+    const partialShifts = [];
+    const woDate = (cell) => SheetLayouts.parseDate(cell, layout.dateFormat) || cell;
+    
+    for (let i = headerRowIndex + 1; i < rows.length; i++) {
+      const parts = rows[i];
+      
+      const fullName = full && this.cellValue(parts[full.nameIndex]);
+      const fullWODate = full && this.cellValue(parts[full.dateIndex]);
+      
+      if (fullName && fullWODate) {
+        fullShifts.push({ name: fullName, woDate: woDate(fullWODate) });
+      }
+      
+      const partialName = partial && this.cellValue(parts[partial.nameIndex]);
+      const partialWODate = partial && this.cellValue(parts[partial.dateIndex]);
+      
+      if (partialName && partialWODate) {
+        partialShifts.push({ name: partialName, woDate: woDate(partialWODate) });
+      }
+    }
+    
+    return { fullShifts, partialShifts, columns };
+  }
+};
@@ -0,0 +1,278 @@
+// Point totals and email contents computed from the three attendance sheets: the NS-C Log,
+// the Infraction List and WO Expiration. Shared by the app's Emails tab and the CLI.
+import { DEFAULT_POLICY_PROFILE, CALLOFF_ROLES, LATE_ROLES, INFRACTION_ROLES, PolicyProfiles } from './policyProfiles.js';
+import { DEFAULT_SHEET_LAYOUT } from './sheetLayouts.js';
+import { SheetParser } from './sheetParser.js';
+import { parseDate, isWithinDays, formatDateShort } from './time.js';
+import { EMPTY_EXTENSIONS, Extensions } from './extensions.js';
+import { Roster, normalizeName } from './roster.js';
+import { applyAdjustments } from './adjustments.js';
+import { applyAging, nextAgeOff } from './pointAging.js';
+import { matchMakeUps, makeUpDeadline } from './makeUpMatching.js';
+
+export const hasSheetInput = (input) => (Array.isArray(input) ? input.length > 0 : !!input.trim());
+
+export function getFirstName(fullName) {
+  if (!fullName) return '';
+  const parts = fullName.split(',');
+  return parts.length >= 2 ? parts[1].trim().split(' ')[0] : fullName.split(' ')[0];
+}
+
+export function getInfractionDisplayName(type, profile = DEFAULT_POLICY_PROFILE) {
+  return PolicyProfiles.getDisplayName(profile, type);
+}
+
+// Calloff and late points only; make-up credits are handled by WO matching, not by summing points
+export function getInfractionPoints(type, profile = DEFAULT_POLICY_PROFILE) {
+  const role = PolicyProfiles.roleForCode(profile, type);
+  return CALLOFF_ROLES.includes(role) || LATE_ROLES.includes(role) ? profile.types[role].points : 0;
+}
+
+export function formatWindowDays(days) {
+  if (days > 0 && days % 7 === 0) return `${days / 7} week${days === 7 ? '' : 's'}`;
+  return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+// sheets: { nscLog, infractionList, woExpiration } as pasted text or workbook rows.
+// Throws when the Infraction List or WO Expiration columns can't be identified. Returns
+// { employees, allEmployees, columns, people }: employees who need an email, every employee's
+// points, the columns found in each sheet and every name the sheets mention.
+export function computeSheetPoints(sheets, {
+  profile = DEFAULT_POLICY_PROFILE, layout = DEFAULT_SHEET_LAYOUT, aliases = {},
+  rosterIndex = Roster.buildIndex([]), extensions = EMPTY_EXTENSIONS, asOf = new Date()
+} = {}) {
+  const infractionSheet = SheetParser.parseInfractionList(sheets.infractionList, aliases);
+  const woExpiration = hasSheetInput(sheets.woExpiration || '')
+    ? SheetParser.parseWOExpiration(sheets.woExpiration, aliases, layout)
+    : { fullShifts: [], partialShifts: [], columns: [] };
+  const nscLog = SheetParser.parseNSCLog(sheets.nscLog || '', profile, layout);
+  const infractionList = infractionSheet.employees;
+  // Matching key for a name from any source: the roster name when known, else the name itself
+  const rosterKey = (name) => normalizeName(Roster.canonicalName(rosterIndex, name));
+  const today = new Date(asOf);
+  today.setHours(0, 0, 0, 0); // an infraction stays open through its deadline day
+
+  // Create normalized lookups to handle name variations
+  const normalizedWos = {};
+  // Add WOs from WO Expiration sheet
+  [
+    ...woExpiration.fullShifts.map(wo => ({ ...wo, source: 'WO Expiration (full shift)' })),
+    ...woExpiration.partialShifts.map(wo => ({ ...wo, source: 'WO Expiration (partial shift)' }))
+  ].forEach(wo => {
+    const norm = rosterKey(wo.name);
+    if (!normalizedWos[norm]) normalizedWos[norm] = [];
+    normalizedWos[norm].push(wo);
+  });
+
+  const normalizedNscLog = {};
+  Object.keys(nscLog.employees).forEach(n => {
+    const norm = rosterKey(n);
+    normalizedNscLog[norm] = nscLog.employees[n];
+    // Also add WO dates from NS-C Log (may not be in WO Expiration sheet)
+    if (nscLog.employees[n].woDates) {
+      if (!normalizedWos[norm]) normalizedWos[norm] = [];
+      nscLog.employees[n].woDates.forEach(wo => {
+        // Avoid duplicates - check if this date already exists
+        const woDateParsed = parseDate(wo.date);
+        if (!woDateParsed) return;
+        const exists = normalizedWos[norm].some(existing => {
+          const existingParsed = parseDate(existing.woDate);
+          if (!existingParsed) return false;
+          return woDateParsed.setHours(0,0,0,0) === existingParsed.setHours(0,0,0,0);
+        });
+        if (!exists) {
+          normalizedWos[norm].push({ name: n, woDate: wo.date, source: 'NS-C Log' });
+        }
+      });
+    }
+  });
+
+  const employeeEmails = [];
+  const allEmployeePoints = [];
+  const extensionIndex = Extensions.index(extensions);
+
+  Object.keys(infractionList).forEach(rawName => {
+    const normName = rosterKey(rawName);
+    const infData = infractionList[rawName];
+    const rosterEntry = Roster.resolve(rosterIndex, rawName);
+    const nscData = normalizedNscLog[normName];
+    const availableWos = [...(normalizedWos[normName] || [])];
+
+    const countRoles = INFRACTION_ROLES.filter(r => r.countKey);
+
+    // Compute potential infraction points from counts only (before WO deductions).
+    // We can't rely on infData.total because the sheet may have deducted WOs that
+    // were actually outside the 14-day make-up window. A points column (Late) counts as is.
+    const potentialRawPoints = countRoles
+      .reduce((sum, r) => sum + Math.max(0, r.countIsPoints ? infData[r.countKey] : infData[r.countKey] * profile.types[r.role].points), 0)
+      + Object.entries(profile.adjustments)
+        .filter(([id, a]) => a.rule === 'addPoints' && a.points > 0)
+        .reduce((sum, [id, a]) => sum + infData[id] * a.points, 0);
+    if (potentialRawPoints <= 0) {
+      allEmployeePoints.push({ name: rawName, totalPoints: potentialRawPoints, sheetTotal: infData.total, matches: [], unusedWos: availableWos, adjustments: [], aging: { agedPoints: 0, next: null }, infractions: [] });
+      return;
+    }
+
+    const infractions = nscData?.infractions || [];
+    const makeUpDays = profile.notice.makeUpWindowDays;
+
+    // What the NS-C Log already accounts for in each Infraction List column: a count, or for
+    // a points column (Late) the points of every role recorded there (L and VL)
+    const logTally = Object.fromEntries(countRoles.map(r => [r.countKey, 0]));
+    infractions.forEach(inf => {
+      const role = INFRACTION_ROLES.find(r => profile.types[r.role].code === inf.type);
+      const column = role && countRoles.find(r => r.countKey === (role.countKey || role.countedIn));
+      if (column) logTally[column.countKey] += column.countIsPoints ? Math.max(0, profile.types[role.role].points) : 1;
+    });
+
+    // Calculate how many infractions are missing from NS-C Log (historical data); points left
+    // over in a points column become undated infractions of the column's own role
+    const missingCounts = {};
+    countRoles.forEach(r => {
+      const missing = Math.max(0, infData[r.countKey] - logTally[r.countKey]);
+      const perInfraction = profile.types[r.role].points;
+      missingCounts[r.countKey] = !r.countIsPoints ? missing : perInfraction > 0 ? Math.round(missing / perInfraction) : 0;
+    });
+
+    // An extension only ever pushes the deadline later than the policy window
+    const withDeadline = (inf) => {
+      const date = parseDate(inf.date);
+      if (!date) return { ...inf, deadline: null };
+      const extension = extensionIndex[Extensions.infractionId(Roster.personKey(rosterIndex, rawName), date, inf.type)];
+      const deadline = makeUpDeadline(date, makeUpDays);
+      const extended = extension && Extensions.deadlineDate(extension);
+      return extended && extended > deadline ? { ...inf, deadline: extended, extension } : { ...inf, deadline };
+    };
+    const isExpired = (inf) => !inf.hasDate || !inf.deadline || today > inf.deadline;
+
+    // Dated infractions from the NS-C Log, then the Infraction List counts it doesn't cover
+    // (historical, so undated; any remaining WO may have made them up)
+    const allInfractions = [
+      ...infractions.map(inf => withDeadline({ ...inf, points: getInfractionPoints(inf.type, profile), hasDate: true })),
+      ...countRoles.flatMap(r => {
+        const { code, points } = profile.types[r.role];
+        return Array.from({ length: missingCounts[r.countKey] }, () => ({ type: code, points: Math.max(0, points), hasDate: false, date: null }));
+      })
+    ];
+    allInfractions.forEach(inf => { inf.basePoints = inf.points; });
+
+    // Aged-off points are gone before matching, so they never use up a WO
+    const agedPoints = applyAging(allInfractions, profile.aging, { today, parseDate });
+
+    const assignment = matchMakeUps(allInfractions, availableWos, {
+      canMakeUp: (inf, wo) => {
+        if (!inf.hasDate || isWithinDays(wo.woDate, inf.date, makeUpDays)) return true;
+        const woDate = inf.extension && parseDate(wo.woDate);
+        return !!woDate && woDate >= parseDate(inf.date) && woDate <= inf.deadline;
+      },
+      isClosed: isExpired,
+      daysApart: (inf, wo) => {
+        const [a, b] = [parseDate(inf.date), parseDate(wo.woDate)];
+        return a && b ? Math.abs(a - b) / 86400000 : null;
+      }
+    });
+
+    allInfractions.forEach((inf, i) => {
+      inf.status = '';
+      if (inf.agedOffOn) inf.status = ` (aged off ${formatDateShort(inf.agedOffOn)})`;
+      if (inf.undatedDropped) inf.status = ' (undated, no longer counted)';
+      if (inf.points <= 0) return;
+      const wo = availableWos[assignment[i]];
+      if (wo) {
+        inf.madeUpPoints = Math.min(1, inf.points);
+        inf.points -= inf.madeUpPoints;
+        inf.madeUpBy = wo.woDate;
+        inf.status = parseDate(wo.woDate) ? ` (already made up by the ${formatDateShort(wo.woDate)} WO)` : ' (already made up)';
+      } else if (isExpired(inf)) {
+        // No WO and no date means it's historical and can no longer be made up
+        inf.status = ' (can no longer make up at this time)';
+      }
+    });
+    const unusedWos = availableWos.filter((wo, j) => !assignment.includes(j));
+
+    // Coupons and other adjustments apply to what WOs left over
+    const adjustments = applyAdjustments(allInfractions, infData, profile.adjustments);
+    allInfractions.forEach(inf => {
+      if (!inf.cancelledBy) return;
+      inf.adjustmentNote = inf.cancelledBy.map(c => ` (${c.points} pt cancelled by ${c.label})`).join('');
+    });
+
+    const aging = { agedPoints, next: nextAgeOff(allInfractions, profile.aging, { today, parseDate }) };
+
+    // Sort: dated infractions first (by date), then undated ones
+    allInfractions.sort((a, b) => {
+      if (a.hasDate && b.hasDate) return new Date(a.date) - new Date(b.date);
+      if (a.hasDate) return -1;
+      if (b.hasDate) return 1;
+      return 0;
+    });
+
+    // Compute the actual total after date-based WO matching.
+    // This may differ from infData.total when WOs were outside the 14-day window.
+    const computedTotal = allInfractions.reduce((sum, inf) => sum + inf.points, 0) + adjustments.pointsDelta;
+    allEmployeePoints.push({
+      name: rawName, totalPoints: computedTotal, sheetTotal: infData.total, unusedWos, adjustments: adjustments.lines, aging, infractions: allInfractions,
+      matches: allInfractions.filter(inf => inf.madeUpBy).map(inf => ({ woDate: inf.madeUpBy, type: inf.type, date: inf.date }))
+    });
+    if (computedTotal <= 0) return;
+
+    employeeEmails.push({
+      name: rawName, firstName: getFirstName(rawName), totalPoints: computedTotal,
+      email: rosterEntry?.email || infData.email, netId: rosterEntry?.netId || infData.netId,
+      infractions: allInfractions, adjustments: adjustments.lines, aging, counts: infData
+    });
+  });
+
+  employeeEmails.sort((a, b) => a.name.localeCompare(b.name));
+  allEmployeePoints.sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    employees: employeeEmails,
+    allEmployees: allEmployeePoints,
+    columns: { infractionList: infractionSheet.columns, woExpiration: woExpiration.columns },
+    people: [
+      ...Object.values(infractionList).map(e => ({ name: e.name, email: e.email, netId: e.netId, source: 'Infraction List' })),
+      ...Object.keys(nscLog.employees).map(name => ({ name, source: 'NS-C Log' })),
+      ...[...woExpiration.fullShifts, ...woExpiration.partialShifts].map(wo => ({ name: String(wo.name), source: 'WO Expiration' }))
+    ]
+  };
+}
+
+// Placeholder values shared by every template tier (see emailTemplates.js)
+export function emailValues(employee, { profile = DEFAULT_POLICY_PROFILE, managerName, signOff = managerName, unitName = '' }) {
+  const makeUpDays = profile.notice.makeUpWindowDays;
+  const maxPoints = profile.goodStandingMaxPoints;
+  const infractionLines = employee.infractions
+    // Skip 0-point infractions, unless a WO, coupon or aging is why they're at 0
+    .filter(inf => inf.points !== 0 || inf.madeUpBy || inf.cancelledBy || inf.agedOffOn || inf.undatedDropped)
+    .map(inf => inf.hasDate
+      ? `    ${inf.points}: ${formatDateShort(inf.date)} : ${getInfractionDisplayName(inf.type, profile)}${inf.status}${inf.adjustmentNote || ''}`
+      // Historical infraction without date from NS-C Log
+      : `    ${inf.points}: ${getInfractionDisplayName(inf.type, profile)}${inf.status}${inf.adjustmentNote || ''}`);
+  // Cancelled points already show on the infraction lines, so those adjustments are listed
+  // without a number and the numbered lines add up to the total
+  const adjustmentLines = (employee.adjustments || []).map(a => (a.cancelled
+    ? `    ${a.label} x${a.count} (${a.detail})`
+    : `    ${a.points > 0 ? '+' : ''}${a.points}: ${a.label} x${a.count}${a.detail ? ` (${a.detail})` : ''}`));
+  const next = employee.aging?.next;
+  const agingLines = next
+    ? [`    Next to age off: ${formatDateShort(next.date)} (${formatDateShort(next.infraction.date)} ${getInfractionDisplayName(next.infraction.type, profile)}, ${next.infraction.points} pt)`]
+    : [];
+  const deadlines = employee.infractions
+    .filter(inf => inf.hasDate && inf.points > 0 && !inf.status)
+    .map(inf => `    ${formatDateShort(inf.date)} ${getInfractionDisplayName(inf.type, profile)}: make up by ${formatDateShort(inf.deadline || makeUpDeadline(parseDate(inf.date), makeUpDays))}${inf.extension ? ' (extended)' : ''}`);
+
+  return {
+    firstName: employee.firstName,
+    name: employee.name,
+    totalPoints: employee.totalPoints,
+    pointsLabel: `${employee.totalPoints} infraction point${employee.totalPoints !== 1 ? 's' : ''}`,
+    infractionLines: [...infractionLines, ...adjustmentLines, ...agingLines].join('\n'),
+    makeUpDeadlines: deadlines.length ? deadlines.join('\n') : '    None at this time.',
+    makeUpWindow: formatWindowDays(makeUpDays),
+    goodStandingLabel: `${maxPoints} infraction point${maxPoints !== 1 ? 's' : ''}`,
+    managerName,
+    signOff,
+    unitName
+  };
+}
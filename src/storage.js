@@ -0,0 +1,44 @@
+// Small localStorage wrapper so settings survive a page reload
+const PREFIX = 'w2w.';
+
+export const LocalStore = {
+  load(key, fallback) {
+    try {
+      const raw = window.localStorage.getItem(PREFIX + key);
+      return raw === null ? fallback : JSON.parse(raw);
+    } catch (e) {
+      console.error(e);
+      return fallback;
+    }
+  },
+
+  // Returns false when the browser refused the write (usually the storage quota)
+  save(key, value) {
+    try {
+      window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+      return true;
+    } catch (e) {
+      console.error(e);
+      return false;
+    }
+  },
+
+  remove(key) {
+    try {
+      window.localStorage.removeItem(PREFIX + key);
+    } catch (e) {
+      console.error(e);
+    }
+  },
+
+  // Removes everything this app stored (sessions, settings, profiles)
+  clearAll() {
+    try {
+      Object.keys(window.localStorage)
+        .filter(key => key.startsWith(PREFIX))
+        .forEach(key => window.localStorage.removeItem(key));
+    } catch (e) {
+      console.error(e);
+    }
+  }
+};
@@ -0,0 +1,100 @@
+// Read tabular files (CSV exports, saved HTML pages) into rows and header-mapped records
+
+export function detectFormat(fileName, text) {
+  const name = (fileName || '').toLowerCase();
+  if (/\.html?$/.test(name) || /^\s*<(!doctype|html|table|head|body)/i.test(text)) return 'html';
+  if (name.endsWith('.csv')) return 'csv';
+  if (name.endsWith('.tsv')) return 'tsv';
+  return 'text';
+}
+
+// RFC 4180-style: quoted fields may contain the delimiter, newlines and doubled quotes
+export function parseCSV(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\ufeff/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+const cellText = (cell) => cell.textContent.replace(/\s+/g, ' ').trim();
+
+// Every <table> in the page as an array of rows of cell text
+export function parseHTMLTables(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return [...doc.querySelectorAll('table')]
+    .map(table => [...table.querySelectorAll('tr')]
+      .map(tr => [...tr.querySelectorAll('th, td')].map(cellText))
+      .filter(cells => cells.some(Boolean)));
+}
+
+// Visible page text with one line per block, for pages without usable tables
+export function htmlToText(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  doc.querySelectorAll('script, style').forEach(el => el.remove());
+  doc.querySelectorAll('br, p, div, tr, li, h1, h2, h3, h4, td, th').forEach(el => el.append('\n'));
+  return doc.body.textContent.replace(/[ \t]+/g, ' ').replace(/\n\s*\n+/g, '\n').trim();
+}
+
+export const normalizeHeader = (h) => (h || '').toString().toLowerCase().replace(/[^a-z0-9/]+/g, ' ').trim();
+
+// Match a header row against { field: [aliases] }. Returns { field: columnIndex } for
+// every field found; exact alias matches win over partial ones.
+export function mapColumns(headerRow, aliases) {
+  const headers = headerRow.map(normalizeHeader);
+  const mapping = {};
+  const used = new Set();
+  [true, false].forEach(exact => {
+    Object.entries(aliases).forEach(([field, names]) => {
+      if (field in mapping) return;
+      const index = headers.findIndex((h, i) => !used.has(i) && h && names.some(n =>
+        exact ? h === n : h.includes(n)));
+      if (index !== -1) {
+        mapping[field] = index;
+        used.add(index);
+      }
+    });
+  });
+  return mapping;
+}
+
+// Find the first row that maps at least `minFields` columns and turn the rows under it
+// into records keyed by field. rowNumber is 1-based, as a spreadsheet would show it.
+export function rowsToRecords(rows, aliases, minFields = 2) {
+  const headerIndex = rows.findIndex(r => Object.keys(mapColumns(r, aliases)).length >= minFields);
+  if (headerIndex === -1) return null;
+  const mapping = mapColumns(rows[headerIndex], aliases);
+  const records = rows.slice(headerIndex + 1).map((cells, i) => {
+    const record = { rowNumber: headerIndex + i + 2 };
+    Object.entries(mapping).forEach(([field, col]) => { record[field] = (cells[col] || '').trim(); });
+    return record;
+  });
+  return { mapping, headers: rows[headerIndex], records };
+}
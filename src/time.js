@@ -0,0 +1,149 @@
+// Date and time helpers shared by the engine, parsers and UI
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Local calendar date as yyyy-mm-dd (what <input type="date"> expects)
+export function toDateInputValue(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function fromDateInputValue(value) {
+  const [y, m, d] = value.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+const MINUTES_PER_DAY = 24 * 60;
+const MS_PER_HOUR = 1000 * 60 * 60;
+
+// One clock time: "5:15pm", "5pm", "5:15 p.m.", "17:15", "noon", "midnight"
+const CLOCK_PATTERN = /^(\d{1,2})(?::?(\d{2}))?\s*([ap])?\.?\s*m?\.?$/i;
+
+// A time range as W2W prints it; each side needs minutes or am/pm so "Feb-8 - 3:15p" isn't a shift
+const CLOCK_SOURCE = String.raw`(?:\d{1,2}(?::\d{2})?\s*[ap]\.?m?\.?(?![a-z])|\d{1,2}:\d{2})`;
+export const TIME_RANGE_SOURCE = `${CLOCK_SOURCE}\\s*-\\s*${CLOCK_SOURCE}`;
+
+// Returns { hour, minute, meridiem } with hour as written (meridiem is 'a', 'p' or null)
+function readClock(text) {
+  const clean = (text || '').trim().toLowerCase();
+  if (clean === 'noon') return { hour: 12, minute: 0, meridiem: 'p' };
+  if (clean === 'midnight') return { hour: 12, minute: 0, meridiem: 'a' };
+  const match = clean.match(CLOCK_PATTERN);
+  if (!match) return null;
+  const hour = parseInt(match[1]);
+  const minute = parseInt(match[2] || '0');
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute, meridiem: match[3] || null };
+}
+
+function toMinutes({ hour, minute }, meridiem) {
+  let h = hour;
+  if (meridiem === 'p' && h !== 12) h += 12;
+  if (meridiem === 'a' && h === 12) h = 0;
+  return h * 60 + minute;
+}
+
+// Minutes after midnight for a single clock time, or null when unreadable
+export function parseClockTime(text) {
+  const clock = readClock(text);
+  return clock ? toMinutes(clock, clock.hour > 12 ? null : clock.meridiem) : null;
+}
+
+// Parse "5:15pm - 9:05pm", "17:15-21:05", "11 - 2pm" or "10pm - 2am".
+// A start without am/pm borrows the end's meridiem unless that would make the shift
+// longer than 12 hours. Returns null if no start time can be read.
+export function parseShiftTime(shiftTime) {
+  if (!shiftTime) return null;
+  const [startText, endText] = shiftTime.split(/\s*[-–]\s*/);
+  const startClock = readClock(startText);
+  if (!startClock) return null;
+  const endClock = endText ? readClock(endText) : null;
+
+  const endMeridiem = endClock && endClock.hour <= 12 ? endClock.meridiem : null;
+  const end = endClock ? toMinutes(endClock, endMeridiem) : null;
+
+  let start;
+  if (startClock.meridiem || startClock.hour > 12) {
+    start = toMinutes(startClock, startClock.hour > 12 ? null : startClock.meridiem);
+  } else if (endMeridiem && end !== null) {
+    // "11 - 2pm" is 11am; "5:15 - 9:05pm" is 5:15pm
+    const sameHalf = toMinutes(startClock, endMeridiem);
+    const duration = (end - sameHalf + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    start = duration > 0 && duration <= 12 * 60 ? sameHalf : toMinutes(startClock, endMeridiem === 'p' ? 'a' : 'p');
+  } else {
+    start = toMinutes(startClock, null);
+  }
+
+  const crossesMidnight = end !== null && end <= start;
+  const durationMinutes = end === null ? null : (crossesMidnight ? end + MINUTES_PER_DAY : end) - start;
+  return { start, end, crossesMidnight, durationMinutes };
+}
+
+function atMinutes(date, minutes) {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  result.setMinutes(minutes);
+  return result;
+}
+
+export function shiftStartDateTime(shiftDate, shiftTime) {
+  const shift = parseShiftTime(shiftTime);
+  return shift ? atMinutes(shiftDate, shift.start) : null;
+}
+
+// Shifts that end past midnight end on the following calendar day
+export function shiftEndDateTime(shiftDate, shiftTime) {
+  const shift = parseShiftTime(shiftTime);
+  if (!shift || shift.end === null) return null;
+  return atMinutes(shiftDate, shift.end + (shift.crossesMidnight ? MINUTES_PER_DAY : 0));
+}
+
+export function shiftDurationHours(shiftTime) {
+  const shift = parseShiftTime(shiftTime);
+  return shift && shift.durationMinutes !== null ? shift.durationMinutes / 60 : null;
+}
+
+export function hoursBetween(from, to) {
+  return (to - from) / MS_PER_HOUR;
+}
+
+// W2W request stamps like "Dec-20 - 3:15p" carry no year. Pick the year that puts the
+// request closest to the shift, so a December request for a January shift stays in December.
+export function inferRequestYear(monthIndex, day, shiftDate) {
+  const shiftYear = shiftDate.getFullYear();
+  const candidates = [shiftYear - 1, shiftYear, shiftYear + 1];
+  return candidates.reduce((best, year) => {
+    const distance = Math.abs(new Date(year, monthIndex, day) - shiftDate);
+    const bestDistance = Math.abs(new Date(best, monthIndex, day) - shiftDate);
+    return distance < bestDistance ? year : best;
+  });
+}
+
+// Sheet cells: Date objects from workbooks, or text like "12/09/2025 Tue" from pastes
+export function parseDate(dateStr) {
+  if (!dateStr) return null;
+  if (dateStr instanceof Date) return isNaN(dateStr) ? null : new Date(dateStr);
+  // Strip day-of-week suffix "12/09/2025 Tue" -> "12/09/2025"
+  const cleaned = dateStr.toString().replace(/\s+(Sun|Mon|Tue|Wed|Thu|Fri|Sat).*$/i, '').trim();
+  const d = new Date(cleaned);
+  return isNaN(d) ? null : d;
+}
+
+export function isWithinDays(date1, date2, days) {
+  const d1 = parseDate(date1);
+  const d2 = parseDate(date2);
+  if (!d1 || !d2) return false;
+  d1.setHours(0,0,0,0);
+  d2.setHours(0,0,0,0);
+  // WO can be within 14 days before or after the infraction
+  const diffTime = Math.abs(d1.getTime() - d2.getTime());
+  const diffDays = diffTime / (1000 * 60 * 60 * 24);
+  return diffDays <= days;
+}
+
+export function formatDateShort(dateStr) {
+  if (!dateStr) return '';
+  const d = parseDate(dateStr);
+  if (!d) return dateStr;
+  const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  return `${d.getMonth()+1}/${d.getDate()}/${d.getFullYear()} ${days[d.getDay()]}`;
+}
@@ -0,0 +1,86 @@
+// Time-clock exports (employee, scheduled start, actual clock-in) turned into arrival records.
+// Whether an arrival counts as late is the policy engine's call, not the importer's.
+import { detectFormat, parseCSV, rowsToRecords } from './tableImport.js';
+import { parseClockTime } from './time.js';
+
+export const TIME_PUNCH_COLUMNS = {
+  name: ['employee', 'employee name', 'name'],
+  firstName: ['first name', 'first'],
+  lastName: ['last name', 'last'],
+  date: ['date', 'shift date', 'work date', 'punch date'],
+  scheduled: ['scheduled start', 'scheduled in', 'sched in', 'shift start', 'scheduled', 'start time', 'start'],
+  clockIn: ['actual clock in', 'clock in', 'clocked in', 'punch in', 'in punch', 'actual in', 'time in', 'actual']
+};
+
+const MS_PER_MINUTE = 60000;
+
+// "First Last" → "Last, First"; names that already have a comma are kept
+const lastFirst = (name) => {
+  const parts = name.trim().split(/\s+/);
+  return name.includes(',') || parts.length < 2 ? name.trim() : `${parts.slice(1).join(' ')}, ${parts[0]}`;
+};
+
+// A stamp is either a full date and time ("10/14/2025 7:05 AM", "2025-10-14 07:05") or just a
+// time on the row's date. Returns null when neither can be read.
+function readStamp(text, dateText) {
+  const clean = (text || '').trim();
+  const split = clean.match(/^(\d{4}-\d{1,2}-\d{1,2}|\d{1,2}\/\d{1,2}\/\d{2,4})[T\s]+(.+)$/);
+  const day = new Date(split ? split[1].replace(/-/g, '/') : (dateText || '').trim());
+  // Seconds ("07:05:00") are dropped; lateness is counted in whole minutes
+  const minutes = parseClockTime((split ? split[2] : clean).replace(/^(\d{1,2}:\d{2}):\d{2}/, '$1'));
+  if (isNaN(day) || minutes === null) return null;
+  day.setHours(0, 0, 0, 0);
+  day.setMinutes(minutes);
+  return day;
+}
+
+const formatClock = (date) => date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }).replace(/\s/g, '').toLowerCase();
+
+// Returns { format, entries, skipped } or throws when no header with a name, scheduled start
+// and clock-in can be found. Entries carry the same fields as W2W entries plus
+// isLate, scheduledStart, clockIn and minutesLate (negative when early).
+export function parseTimePunches(fileName, text) {
+  const format = detectFormat(fileName, text);
+  if (format === 'html') throw new Error('Time punches must be a CSV or TSV export');
+  const rows = parseCSV(text, format === 'tsv' || (format === 'text' && text.includes('\t')) ? '\t' : ',');
+  const table = rowsToRecords(rows, TIME_PUNCH_COLUMNS, 3);
+  const { mapping } = table || { mapping: {} };
+  if (!table || !('scheduled' in mapping) || !('clockIn' in mapping) || !('name' in mapping || 'lastName' in mapping)) {
+    throw new Error('Could not find Employee, Scheduled Start and Clock In columns');
+  }
+
+  const entries = [];
+  const skipped = [];
+  table.records.forEach(record => {
+    const rawText = Object.values(record).slice(1).filter(Boolean).join(' | ');
+    const source = { row: record.rowNumber };
+    const rawName = record.name || [record.firstName, record.lastName].filter(Boolean).join(' ');
+    if (!rawName) {
+      if (rawText) skipped.push({ ...source, text: rawText, reason: 'No employee name' });
+      return;
+    }
+    if (!record.clockIn) {
+      skipped.push({ ...source, text: rawText, reason: 'No clock-in (absences come from W2W, not the time clock)' });
+      return;
+    }
+    const scheduledStart = readStamp(record.scheduled, record.date);
+    const clockIn = readStamp(record.clockIn, record.date || (scheduledStart && scheduledStart.toDateString()));
+    if (!scheduledStart || !clockIn) {
+      skipped.push({ ...source, text: rawText, reason: `Could not read the ${scheduledStart ? 'clock-in' : 'scheduled start'} time` });
+      return;
+    }
+    // A time-only punch just after midnight belongs to the day after a late-night start
+    if (clockIn - scheduledStart < -12 * 60 * MS_PER_MINUTE) clockIn.setDate(clockIn.getDate() + 1);
+
+    const shiftDate = new Date(scheduledStart);
+    shiftDate.setHours(0, 0, 0, 0);
+    entries.push({
+      name: lastFirst(rawName), shiftDate, shiftTime: formatClock(scheduledStart),
+      requestedDate: clockIn, comment: `Clocked in at ${formatClock(clockIn)}`,
+      isPickup: false, isHostShift: false, isLate: true,
+      scheduledStart, clockIn, minutesLate: Math.round((clockIn - scheduledStart) / MS_PER_MINUTE),
+      rawText, source, warnings: []
+    });
+  });
+  return { format, entries, skipped };
+}
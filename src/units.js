@@ -0,0 +1,62 @@
+// Dining units: each names the policy profile and sheet layout it runs on, who signs its
+// emails, and the W2W position/location words that route pasted requests to it.
+// Rosters and sheet pastes are kept per unit id in App.
+import { DEFAULT_POLICY_PROFILE, PolicyProfiles } from './policyProfiles.js';
+import { DEFAULT_SHEET_LAYOUT } from './sheetLayouts.js';
+
+export const DEFAULT_UNIT = {
+  id: 'default',
+  name: 'Cornell Dining',
+  profileId: DEFAULT_POLICY_PROFILE.id,
+  layoutId: DEFAULT_SHEET_LAYOUT.id,
+  managerName: 'MANAGER',
+  signature: '',
+  locations: []
+};
+
+export const Units = {
+  normalize(raw) {
+    if (!raw || typeof raw !== 'object') throw new Error('Unit must be a JSON object');
+    const name = String(raw.name || '').trim();
+    if (!name) throw new Error('Unit name can\'t be blank');
+    const locations = Array.isArray(raw.locations) ? raw.locations : String(raw.locations || '').split(',');
+    return {
+      id: String(raw.id || `unit-${Date.now()}`),
+      name,
+      profileId: String(raw.profileId || DEFAULT_UNIT.profileId),
+      layoutId: String(raw.layoutId || DEFAULT_UNIT.layoutId),
+      managerName: String(raw.managerName ?? DEFAULT_UNIT.managerName).trim(),
+      signature: String(raw.signature || '').trim(),
+      locations: [...new Set(locations.map(l => String(l).trim().toLowerCase()).filter(Boolean))]
+    };
+  },
+
+  // A location word claimed by two units would route by list order, so refuse it
+  normalizeList(list) {
+    if (!Array.isArray(list) || !list.length) throw new Error('There must be at least one unit');
+    const units = list.map(u => this.normalize(u));
+    const owner = {};
+    units.forEach(u => u.locations.forEach(word => {
+      if (owner[word] && owner[word] !== u.name) throw new Error(`"${word}" routes to both ${owner[word]} and ${u.name}`);
+      owner[word] = u.name;
+    }));
+    if (new Set(units.map(u => u.name.toLowerCase())).size !== units.length) throw new Error('Unit names must be different');
+    return units;
+  },
+
+  create(name, from = DEFAULT_UNIT) {
+    return this.normalize({ ...from, id: `unit-${Date.now()}`, name, locations: [] });
+  },
+
+  // The unit whose location words appear in the entry's position text, or in the request
+  // text when W2W showed no position. Anything unclaimed goes to the first unit.
+  route(units, entry) {
+    const text = entry.position || entry.rawText || '';
+    return units.find(u => u.locations.length && PolicyProfiles.matchesKeyword(text, u.locations)) || units[0];
+  },
+
+  // Manager name plus the unit's sign-off lines, for the {signOff} placeholder
+  signOff(unit) {
+    return [unit.managerName, unit.signature].filter(Boolean).join('\n');
+  }
+};
@@ -0,0 +1,355 @@
+// Parser for W2W pages: pasted text, saved HTML pages and CSV exports
+import { parseClockTime, parseShiftTime, inferRequestYear, TIME_RANGE_SOURCE } from './time.js';
+import { detectFormat, parseCSV, parseHTMLTables, htmlToText, rowsToRecords } from './tableImport.js';
+
+// Entries carry `source` (character offsets into the original paste) and `warnings`
+// for every value that was defaulted; pass a `skipped` array to collect rejected matches.
+export const DEFAULT_SHIFT_TIME = '5:15pm - 9:05pm';
+
+// Header names W2W uses (or that people rename them to) in CSV exports and saved pages
+export const W2W_RECORD_COLUMNS = {
+  name: ['employee', 'employee name', 'name', 'requested by', 'picked up by'],
+  firstName: ['first name', 'first'],
+  lastName: ['last name', 'last'],
+  date: ['shift date', 'date', 'day'],
+  time: ['shift time', 'time', 'hours'],
+  position: ['position', 'category', 'job', 'role', 'location'],
+  comment: ['comment', 'comments', 'note', 'notes', 'reason'],
+  requested: ['requested', 'request date', 'requested on', 'submitted', 'created']
+};
+
+const REQUEST_STAMP_PATTERN = /(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)-(\d{1,2})\s*-\s*(\d{1,2}):(\d{2})([ap])/i;
+
+export const W2WParser = {
+  // Collapse whitespace like the regexes expect, remembering where each character came from
+  normalizeText(text) {
+    let fullText = '';
+    const offsets = [];
+    let inSpace = false;
+    for (let i = 0; i < text.length; i++) {
+      if (/\s/.test(text[i])) {
+        if (!inSpace) { fullText += ' '; offsets.push(i); }
+        inSpace = true;
+      } else {
+        fullText += text[i];
+        offsets.push(i);
+        inSpace = false;
+      }
+    }
+    offsets.push(text.length);
+    return { fullText, offsets };
+  },
+
+  toSourceSpan(offsets, start, end) {
+    return { start: offsets[start], end: end > start ? offsets[end - 1] + 1 : offsets[start] };
+  },
+
+  parsePickupPage(text, skipped = []) {
+    const entries = [];
+    const { fullText, offsets } = this.normalizeText(text);
+    const pickupPattern = new RegExp(String.raw`([A-Z][a-z]+\s+[A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?)\s+((?:Mon|Tue|Wed|Thu|Fri|Sat|Sun)[a-z]*,?\s+(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+\d{1,2},?\s+\d{4})\s+(${TIME_RANGE_SOURCE})\s*([\w\s-]*)`, 'gi');
+    
+    let match;
+    const skipWords = ['unassigned', 'approve', 'reject', 'comment', 'pickup', 'request', 'from', 'through'];
+    
+    while ((match = pickupPattern.exec(fullText)) !== null) {
+      const name = match[1].trim();
+      const dateStr = match[2].trim();
+      const timeStr = match[3].trim();
+      const position = match[4]?.trim().toLowerCase() || '';
+      const source = this.toSourceSpan(offsets, match.index, match.index + match[0].length);
+
+      // Check if name contains skip words - if so, retry from after the first word
+      const nameParts = name.toLowerCase().split(/\s+/);
+      if (nameParts.some(part => skipWords.includes(part) || skipWords.some(w => part.includes(w)))) {
+        // Reset to after the first word so we can try matching the real name
+        pickupPattern.lastIndex = match.index + name.split(/\s+/)[0].length + 1;
+        continue;
+      }
+      
+      const parsedDate = new Date(dateStr);
+      if (isNaN(parsedDate)) {
+        skipped.push({ ...source, text: match[0], reason: `Could not read the shift date "${dateStr}"` });
+        continue;
+      }
+      if (!parseShiftTime(timeStr)) {
+        skipped.push({ ...source, text: match[0], reason: `Could not read the shift time "${timeStr}"` });
+        continue;
+      }
+      
+      const isHostShift = position.includes('host') || position.includes('door');
+      const warnings = [];
+      if (!position) warnings.push({ code: 'noPosition', message: 'No position text; treated as a regular shift' });
+      
+      entries.push({
+        name: this.formatName(name),
+        shiftDate: parsedDate,
+        shiftTime: timeStr,
+        requestedDate: new Date(),
+        comment: 'Shift pickup',
+        isPickup: true,
+        isHostShift: isHostShift,
+        position: position,
+        rawText: match[0],
+        source,
+        warnings
+      });
+    }
+    
+    return entries;
+  },
+  
+  parseCalloffPage(text, skipped = []) {
+    const entries = [];
+    const { fullText, offsets } = this.normalizeText(text);
+    const calloffPattern = /(?:Approve\s+Deny\s+|Deny\s+)?([A-Z][a-z]+\s+[A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?)\s+((?:Mon|Tue|Wed|Thu|Fri|Sat|Sun)[a-z]*,?\s+(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+\d{1,2},?\s+\d{4})/gi;
+    
+    const matches = [];
+    let match;
+    while ((match = calloffPattern.exec(fullText)) !== null) {
+      matches.push({
+        name: match[1].trim(),
+        dateStr: match[2].trim(),
+        text: match[0],
+        index: match.index,
+        endIndex: match.index + match[0].length
+      });
+    }
+    
+    const skipWords = ['from', 'through', 'comment', 'requested', 'approve', 'deny', 
+                       'days', 'choose', 'want', 'published', 'unassigned', 'date', 'time',
+                       'student', 'supe', 'fsw', 'din', 'host', 'br'];
+    const processed = new Set();
+    
+    for (let i = 0; i < matches.length; i++) {
+      const m = matches[i];
+      const matchSource = this.toSourceSpan(offsets, m.index, m.endIndex);
+      if (skipWords.some(w => m.name.toLowerCase().split(/\s+/).some(part => part === w))) {
+        skipped.push({ ...matchSource, text: m.text, reason: `"${m.name}" looks like page text, not a name` });
+        continue;
+      }
+      
+      const parsedDate = new Date(m.dateStr);
+      if (isNaN(parsedDate)) {
+        skipped.push({ ...matchSource, text: m.text, reason: `Could not read the shift date "${m.dateStr}"` });
+        continue;
+      }
+      
+      const key = `${m.name}|${parsedDate.toISOString().split('T')[0]}`;
+      if (processed.has(key)) {
+        skipped.push({ ...matchSource, text: m.text, reason: 'Duplicate request (same name and shift date)' });
+        continue;
+      }
+      processed.add(key);
+      
+      const endIdx = matches[i + 1] ? matches[i + 1].index : fullText.length;
+      const entryText = fullText.substring(m.endIndex, endIdx);
+      const warnings = [];
+      // How far into entryText the parser actually read; the rest is reported as unparsed
+      let consumed = 0;
+      const consume = (found) => { consumed = Math.max(consumed, found.index + found[0].length); };
+      
+      const timeMatch = entryText.match(new RegExp(`(${TIME_RANGE_SOURCE})`, 'i'));
+      const shiftTime = timeMatch ? timeMatch[1] : DEFAULT_SHIFT_TIME;
+      if (timeMatch) consume(timeMatch);
+      else warnings.push({ code: 'defaultShiftTime', message: `No shift time found; assumed ${DEFAULT_SHIFT_TIME}` });
+      
+      let comment = '';
+      const commentMatch = entryText.match(/(?:Published\s+)?(?:\d+\s+)?([A-Za-z][\w\s,'():/-]+?)(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)-\d/i);
+      if (commentMatch) {
+        comment = commentMatch[1].trim()
+          .replace(/Comment to include.*/i, '')
+          .replace(/Choose if want.*/i, '')
+          .trim();
+      }
+      if (!comment) warnings.push({ code: 'emptyComment', message: 'No comment found; sick/exam keywords could not be checked' });
+      
+      let requestedDate = new Date();
+      const reqMatch = entryText.match(REQUEST_STAMP_PATTERN);
+      if (reqMatch) {
+        consume(reqMatch);
+        requestedDate = this.parseRequestStamp(reqMatch[0], parsedDate);
+      } else {
+        warnings.push({ code: 'defaultRequestedDate', message: 'No request timestamp found; used the time of processing' });
+      }
+      
+      entries.push({
+        name: this.formatName(m.name),
+        shiftDate: parsedDate,
+        shiftTime: shiftTime,
+        requestedDate: requestedDate,
+        comment: comment,
+        isPickup: false,
+        isHostShift: false,
+        rawText: entryText.substring(0, 200),
+        source: this.toSourceSpan(offsets, m.index, m.endIndex + consumed),
+        warnings
+      });
+    }
+    
+    return entries;
+  },
+
+  // W2W request stamps look like "Feb-8 - 3:15p"; full dates from exports are accepted too
+  parseRequestStamp(text, shiftDate) {
+    const stamp = (text || '').match(REQUEST_STAMP_PATTERN);
+    if (stamp) {
+      const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+      const monthIndex = monthNames.findIndex(mn => mn.toLowerCase() === stamp[1].toLowerCase());
+      const day = parseInt(stamp[2]);
+      const minutes = parseClockTime(`${stamp[3]}:${stamp[4]}${stamp[5]}`);
+      return new Date(inferRequestYear(monthIndex, day, shiftDate), monthIndex, day, 0, minutes);
+    }
+    const parsed = new Date((text || '').replace(/\b([ap])\.?m?\.?$/i, ' $1m'));
+    return isNaN(parsed) ? null : parsed;
+  },
+
+  // Records from a CSV export or an HTML table, already keyed by W2W_RECORD_COLUMNS.
+  // Produces the same entry shape as the text parsers; `source` is the row number.
+  parseRecords(records, isPickup, skipped = []) {
+    const entries = [];
+    const processed = new Set();
+
+    records.forEach(record => {
+      const rawText = Object.values(record).slice(1).filter(Boolean).join(' | ');
+      const source = { row: record.rowNumber };
+      const rawName = record.name || [record.firstName, record.lastName].filter(Boolean).join(' ');
+      if (!rawName) {
+        if (rawText) skipped.push({ ...source, text: rawText, reason: 'No employee name' });
+        return;
+      }
+
+      // Some exports put date and time in one cell ("Mon, Feb 9, 2026 5:15pm - 9:05pm")
+      const timeInDate = (record.date || '').match(new RegExp(TIME_RANGE_SOURCE, 'i'));
+      const dateText = timeInDate ? record.date.replace(timeInDate[0], '') : (record.date || '');
+      const shiftDate = new Date(dateText.replace(/\b(Mon|Tue|Wed|Thu|Fri|Sat|Sun)[a-z]*,?\s*/i, '').trim());
+      if (isNaN(shiftDate)) {
+        skipped.push({ ...source, text: rawText, reason: `Could not read the shift date "${record.date || ''}"` });
+        return;
+      }
+
+      const name = rawName.includes(',') ? rawName.trim() : this.formatName(rawName);
+      const key = `${name}|${shiftDate.toISOString().split('T')[0]}`;
+      if (!isPickup && processed.has(key)) {
+        skipped.push({ ...source, text: rawText, reason: 'Duplicate request (same name and shift date)' });
+        return;
+      }
+      processed.add(key);
+
+      const warnings = [];
+      let shiftTime = record.time || timeInDate?.[0] || '';
+      if (!shiftTime) {
+        shiftTime = DEFAULT_SHIFT_TIME;
+        warnings.push({ code: 'defaultShiftTime', message: `No shift time found; assumed ${DEFAULT_SHIFT_TIME}` });
+      }
+      const position = (record.position || '').toLowerCase();
+
+      if (isPickup) {
+        if (!position) warnings.push({ code: 'noPosition', message: 'No position text; treated as a regular shift' });
+        entries.push({
+          name, shiftDate, shiftTime, requestedDate: new Date(), comment: 'Shift pickup',
+          isPickup: true, isHostShift: position.includes('host') || position.includes('door'), position,
+          rawText, source, warnings
+        });
+        return;
+      }
+
+      let requestedDate = this.parseRequestStamp(record.requested, shiftDate);
+      if (!requestedDate) {
+        requestedDate = new Date();
+        warnings.push({ code: 'defaultRequestedDate', message: 'No request timestamp found; used the time of processing' });
+      }
+      const comment = record.comment || '';
+      if (!comment) warnings.push({ code: 'emptyComment', message: 'No comment found; sick/exam keywords could not be checked' });
+
+      entries.push({
+        name, shiftDate, shiftTime, requestedDate, comment,
+        isPickup: false, isHostShift: false, position, rawText, source, warnings
+      });
+    });
+
+    return entries;
+  },
+
+  // Route an uploaded file to the structure-aware parser for its format. Saved pages with
+  // no recognizable table come back as `text` for the regular paste parser.
+  parseFile(fileName, content, isPickup) {
+    const format = detectFormat(fileName, content);
+    const tables = format === 'html' ? parseHTMLTables(content)
+      : format === 'csv' ? [parseCSV(content)]
+      : format === 'tsv' ? [parseCSV(content, '\t')]
+      : [];
+    for (const rows of tables) {
+      const table = rowsToRecords(rows, W2W_RECORD_COLUMNS);
+      if (!table || !('date' in table.mapping)) continue;
+      const skipped = [];
+      const entries = this.parseRecords(table.records, isPickup, skipped);
+      return { format, entries, skipped, mapping: table.mapping };
+    }
+    return { format, text: format === 'html' ? htmlToText(content) : content };
+  },
+
+  // Everything the diagnostics view needs for one paste
+  diagnose(text, isPickup) {
+    const skipped = [];
+    const entries = isPickup ? this.parsePickupPage(text, skipped) : this.parseCalloffPage(text, skipped);
+    const unparsed = this.findUnparsedSpans(text, [...entries.map(e => e.source), ...skipped]);
+    return { entries, skipped, unparsed };
+  },
+
+  // Spans of the paste that no entry or skipped match claimed but that still look like
+  // they mention an employee or a date - usually a request the regexes missed
+  findUnparsedSpans(text, claimed) {
+    const datePattern = /\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?[\s-]+\d{1,2}\b|\b\d{1,2}\/\d{1,2}(?:\/\d{2,4})?\b/g;
+    const namePattern = /\b[A-Z][a-z]+\s+[A-Z][a-z'-]+\b/g;
+    const pageWords = new Set(['pending', 'time', 'off', 'trades', 'trade', 'awaiting', 'approval', 'approve', 'deny',
+      'reject', 'request', 'requests', 'requested', 'comment', 'pickup', 'shift', 'shifts', 'from', 'through',
+      'published', 'unassigned', 'choose', 'want', 'date', 'days', 'total', 'student', 'host', 'position']);
+    const isNameLike = (candidate) => candidate.toLowerCase().split(/\s+/).every(word => !pageWords.has(word));
+
+    const spans = [];
+    const sorted = [...claimed].sort((a, b) => a.start - b.start);
+    let cursor = 0;
+    const checkGap = (start, end) => {
+      const gap = text.substring(start, end);
+      const hits = [];
+      for (const m of gap.matchAll(datePattern)) hits.push({ index: m.index, end: m.index + m[0].length, kind: 'date' });
+      for (const m of gap.matchAll(namePattern)) {
+        if (isNameLike(m[0])) hits.push({ index: m.index, end: m.index + m[0].length, kind: 'name' });
+      }
+      // Hits close together belong to the same missed request
+      const clusters = [];
+      hits.sort((x, y) => x.index - y.index).forEach(hit => {
+        const current = clusters[clusters.length - 1];
+        if (current && hit.index - current.end <= 80) {
+          current.end = Math.max(current.end, hit.end);
+          current.kinds.add(hit.kind);
+        } else {
+          clusters.push({ index: hit.index, end: hit.end, kinds: new Set([hit.kind]) });
+        }
+      });
+      clusters.forEach(c => spans.push({
+        start: start + c.index,
+        end: start + c.end,
+        text: gap.substring(c.index, c.end),
+        reason: `Contains ${[...c.kinds].map(k => k === 'date' ? 'a date' : 'a name').join(' and ')} but produced no entry`
+      }));
+    };
+    sorted.forEach(span => {
+      if (span.start > cursor) checkGap(cursor, span.start);
+      cursor = Math.max(cursor, span.end);
+    });
+    if (cursor < text.length) checkGap(cursor, text.length);
+    return spans;
+  },
+  
+  formatName(name) {
+    const parts = name.trim().split(/\s+/);
+    if (parts.length >= 2) {
+      const firstName = parts[0];
+      const lastName = parts.slice(1).join(' ');
+      return `${lastName}, ${firstName}`;
+    }
+    return name;
+  }
+};
@@ -0,0 +1,80 @@
+// Pick the NS-C Log, Infraction List and WO Expiration tabs out of an uploaded .xlsx
+// workbook or individual CSV downloads. Everything is read in the browser.
+import { parseCSV, normalizeHeader } from './tableImport.js';
+import { readFileAsText, readFileAsArrayBuffer } from './fileUtils.js';
+import { DEFAULT_SHEET_LAYOUT } from './sheetLayouts.js';
+
+export const WORKBOOK_SHEETS = {
+  nscLog: { label: 'NS-C Log', names: ['ns c log', 'nsc log'] },
+  infractionList: { label: 'Infraction List', names: ['infraction list', 'infractions'] },
+  woExpiration: { label: 'WO Expiration', names: ['wo expiration', 'wo expirations'] }
+};
+
+// Which sheet-layout field renames each tab
+const LAYOUT_SHEET_FIELDS = { nscLog: 'logSheet', infractionList: 'infractionSheet', woExpiration: 'woSheet' };
+
+const normalizeSheetName = (name) => (name || '').toLowerCase().replace(/\.[a-z]+$/, '').replace(/[^a-z0-9]+/g, ' ').trim();
+
+// The tab's name in this layout, e.g. "Call-Off Log" instead of "NS-C Log"
+export const sheetLabel = (key, layout = DEFAULT_SHEET_LAYOUT) => layout[LAYOUT_SHEET_FIELDS[key]] || WORKBOOK_SHEETS[key].label;
+
+// "NS-C Log" as a tab, or "Attendance 2026 - NS-C Log.csv" as a Google Sheets download
+export function matchSheetName(name, layout = DEFAULT_SHEET_LAYOUT) {
+  const clean = normalizeSheetName(name);
+  return Object.keys(WORKBOOK_SHEETS).find(key =>
+    [normalizeSheetName(sheetLabel(key, layout)), ...WORKBOOK_SHEETS[key].names]
+      .some(n => clean === n || clean.endsWith(` ${n}`))) || null;
+}
+
+// For CSVs with unhelpful file names, recognize the sheet from its first rows
+export function guessSheetFromRows(rows) {
+  const top = rows.slice(0, 5).map(row => row.map(c => (c instanceof Date ? 'date' : normalizeHeader(c))));
+  if (top.some(row => row.includes('ns/c') && row.includes('ns/lc'))) return 'infractionList';
+  if (top.some(row => row.some(c => /partial|door/.test(c))) && top.some(row => row.includes('name'))) return 'woExpiration';
+  // The log's header row may sit below a title row or two
+  const isDate = (c) => c instanceof Date || /^(\d{1,2}[/.]\d{1,2}[/.]\d{4}|\d{4}-\d{1,2}-\d{1,2})/.test(String(c).trim());
+  return rows.slice(0, 5).some(row => row.filter(isDate).length >= 3) ? 'nscLog' : null;
+}
+
+// SheetJS can land date cells a few seconds off the intended time; snap them to the minute
+function cleanCell(value) {
+  if (value instanceof Date) return new Date(Math.round(value.getTime() / 60000) * 60000);
+  return value ?? '';
+}
+
+function sheetRows(XLSX, worksheet) {
+  return XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: true, defval: '' })
+    .map(row => row.map(cleanCell));
+}
+
+// Returns { sheets: { nscLog: { fileName, sheetName, rows }, ... }, unmatched: [messages], missing: [labels] }
+export async function readSheetFiles(files, layout = DEFAULT_SHEET_LAYOUT) {
+  const sheets = {};
+  const unmatched = [];
+  // The first file (or workbook tab) for a sheet wins; later ones are reported, not dropped silently
+  const place = (key, sheet, source) => {
+    if (sheets[key]) unmatched.push(`${source}: skipped, ${sheetLabel(key, layout)} already came from ${sheets[key].fileName}`);
+    else sheets[key] = sheet;
+  };
+
+  for (const file of files) {
+    if (/\.(xlsx|xlsm|xls|ods)$/i.test(file.name)) {
+      // SheetJS is large, so it only loads once someone actually uploads a workbook
+      const XLSX = await import('xlsx');
+      const workbook = XLSX.read(await readFileAsArrayBuffer(file), { type: 'array', cellDates: true });
+      workbook.SheetNames.forEach(sheetName => {
+        const key = matchSheetName(sheetName, layout);
+        if (key) place(key, { fileName: file.name, sheetName, rows: sheetRows(XLSX, workbook.Sheets[sheetName]) }, `${file.name} (${sheetName})`);
+      });
+    } else {
+      const text = await readFileAsText(file);
+      const rows = parseCSV(text, /\.tsv$/i.test(file.name) ? '\t' : ',');
+      const key = matchSheetName(file.name, layout) || guessSheetFromRows(rows);
+      if (key) place(key, { fileName: file.name, sheetName: sheetLabel(key, layout), rows }, file.name);
+      else unmatched.push(`${file.name}: could not tell which sheet this is`);
+    }
+  }
+
+  const missing = Object.keys(WORKBOOK_SHEETS).filter(key => !sheets[key]).map(key => sheetLabel(key, layout));
+  return { sheets, unmatched, missing };
+}
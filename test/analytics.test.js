@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_POLICY_PROFILE } from '../src/index.js';
+import { attendanceRecords } from '../src/analytics.js';
+
+test('a calloff logged under a different code than the batch counts once, as the batch', () => {
+  const date = new Date(2026, 1, 3);
+  const records = attendanceRecords({
+    entries: [{ name: 'Doe, Jane', shiftDate: date, infraction: 'NS/LC', isCancelled: false }],
+    logEmployees: { 'Doe, Jane': { name: 'Doe, Jane', infractions: [{ date, type: 'NS/C' }], woDates: [] } },
+    profile: DEFAULT_POLICY_PROFILE,
+    rosterKey: name => name.toLowerCase(),
+    classify: () => ({ band: 'Evening', hoursNotice: 12 })
+  });
+  assert.equal(records.length, 1);
+  assert.equal(records[0].source, 'batch');
+  assert.equal(records[0].role, 'lateCallout');
+});
@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SheetParser, SheetLayouts, DEFAULT_SHEET_LAYOUT } from '../src/index.js';
+import { reconcileEntries } from '../src/reconcile.js';
+import { toDateInputValue } from '../src/time.js';
+
+test('a date in column A is matched when names sit in another column', () => {
+  const layout = SheetLayouts.normalize({ ...DEFAULT_SHEET_LAYOUT, logNameColumn: 'B' });
+  const grid = SheetParser.parseNSCLogGrid('2/3/2026\t\t2/4/2026\n\tDoe, Jane\t', layout);
+  const [change] = reconcileEntries([{ id: 1, name: 'Doe, Jane', shiftDate: new Date(2026, 1, 3), infraction: 'NS/C' }], grid, {
+    calloffCodes: ['NS/C'], woCodes: ['WO'], dateKey: toDateInputValue, nameKey: n => n,
+    columnLetter: c => String.fromCharCode(65 + c), nameColumn: layout.logNameColumn
+  });
+  assert.equal(change.kind, 'add');
+  assert.equal(change.cell, 'A2');
+});
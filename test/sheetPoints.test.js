@@ -0,0 +1,42 @@
+// Behavior checks for the library entry point: run with `npm test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeSheetPoints } from '../src/index.js';
+
+const tsv = (rows) => rows.map(r => r.join('\t')).join('\n');
+const INFRACTION_HEADER = ['Name', 'NS/C', 'NS/LC', 'NS/NC', 'NS/S', 'NS/LS', 'Late', 'WO', 'WO Host', 'Coupon', 'Prelim', 'Break', 'Total'];
+const infractionRow = (name, late, wo, total) => [name, 0, 0, 0, 0, 0, late, wo, 0, 0, 0, 0, total];
+
+test('Late column points already covered by a VL in the log add no undated lates', () => {
+  const { employees, allEmployees } = computeSheetPoints({
+    nscLog: tsv([['', '2/3/2026', '2/5/2026'], ['Doe, Jane', 'VL', 'WO']]),
+    infractionList: tsv([INFRACTION_HEADER, infractionRow('Doe, Jane', 1, 1, 0)]),
+    woExpiration: tsv([['Name', 'WO Date'], ['Doe, Jane', '2/5/2026']])
+  }, { asOf: new Date(2026, 1, 10) });
+
+  const jane = allEmployees.find(e => e.name === 'Doe, Jane');
+  assert.equal(jane.totalPoints, 0);
+  assert.deepEqual(jane.infractions.map(inf => inf.type), ['VL']);
+  assert.equal(employees.length, 0);
+});
+
+test('Late points the log does not cover become undated lates at the L rate', () => {
+  const { allEmployees } = computeSheetPoints({
+    nscLog: tsv([['', '2/3/2026'], ['Doe, Jane', 'VL']]),
+    infractionList: tsv([INFRACTION_HEADER, infractionRow('Doe, Jane', 2, 0, 2)])
+  }, { asOf: new Date(2026, 1, 10) });
+
+  const jane = allEmployees.find(e => e.name === 'Doe, Jane');
+  assert.deepEqual(jane.infractions.map(inf => inf.type).sort(), ['L', 'L', 'VL']);
+  assert.equal(jane.totalPoints, 2);
+});
+
+test('a half-point Infraction List total is kept as the sheet total', () => {
+  const { allEmployees } = computeSheetPoints({
+    infractionList: tsv([INFRACTION_HEADER, infractionRow('Doe, Jane', 0.5, 0, 0.5)])
+  }, { asOf: new Date(2026, 1, 10) });
+
+  const jane = allEmployees.find(e => e.name === 'Doe, Jane');
+  assert.equal(jane.sheetTotal, 0.5);
+  assert.equal(jane.totalPoints, 0.5);
+});